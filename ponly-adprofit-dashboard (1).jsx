@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from "react";
-import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, BarChart, Bar, ComposedChart, Line } from "recharts";
+import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, BarChart, Bar, ComposedChart, Line, ReferenceLine } from "recharts";
 
 // ─── CONSTANTS ───────────────────────────────────────────────
 const INR_TO_USD_DEFAULT = 87;
@@ -11,108 +11,2131 @@ const STATUS_CONFIG = {
   improving:  { label:"Can Improve", color:"#fbbf24", bg:"rgba(251,191,36,0.08)", icon:"◆", gradient:"linear-gradient(135deg,#d97706,#fbbf24)" },
   losing:     { label:"Losing Money", color:"#f87171", bg:"rgba(248,113,113,0.08)", icon:"▼", gradient:"linear-gradient(135deg,#dc2626,#f87171)" },
   turnoff:    { label:"Turn Off", color:"#ef4444", bg:"rgba(239,68,68,0.12)", icon:"✕", gradient:"linear-gradient(135deg,#991b1b,#ef4444)" },
+  insufficient: { label:"Insufficient Data", color:"#94a3b8", bg:"rgba(148,163,184,0.08)", icon:"…", gradient:"linear-gradient(135deg,#475569,#94a3b8)" },
 };
 
-function classifyUrl(adSpendUSD, mvRevenue) {
-  if (adSpendUSD === 0 && mvRevenue === 0) return "improving";
-  const profit = mvRevenue - adSpendUSD;
-  const roi = adSpendUSD > 0 ? (profit / adSpendUSD) * 100 : (mvRevenue > 0 ? 999 : 0);
-  if (roi > 40) return "profitable";
-  if (roi >= 0 && roi <= 40) return "improving";
-  if (roi < -40) return "turnoff";
-  return "losing";
+const fmt = (n) => {
+  if (typeof n !== "number" || isNaN(n)) return "$0.00";
+  return (n < 0 ? "-" : "") + "$" + Math.abs(n).toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2});
+};
+const fmtINR = (n) => {
+  if (typeof n !== "number" || isNaN(n)) return "₹0";
+  return "₹" + n.toLocaleString("en-IN",{minimumFractionDigits:0,maximumFractionDigits:0});
+};
+const fmtTooltip = (value, name) => Array.isArray(value) ? [`${fmt(value[0])} – ${fmt(value[1])}`, name] : [fmt(value), name];
+const pctStr = (n) => (typeof n === "number" ? (n >= 0 ? "+" : "") + n.toFixed(1) + "%" : "0%");
+const fmtBytes = (n) => n >= 1048576 ? (n / 1048576).toFixed(1) + " MB" : n >= 1024 ? (n / 1024).toFixed(0) + " KB" : (n || 0) + " B";
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return 0;
+  const s = String(v).replace(/[$₹%"',\s]/g, "").replace(/--/g, "0");
+  const n = parseFloat(s);
+  return isNaN(n) ? 0 : n;
+};
+
+// ─── CLASSIFICATION RULES ────────────────────────────────────
+// A rule set is an ordered list of rules; the first rule whose conditions all
+// match decides the status, otherwise the fallback applies. A rule with no
+// conditions always matches. The rule set's guard then overrides the result
+// for paid URLs with too little data (see CONFIDENCE).
+const RULE_METRICS = { roi:"ROI %", profit:"Profit ($)", spend:"Spend ($)", revenue:"Revenue ($)", clicks:"Clicks", rpc:"Rev/Click ($)", campaign:"Campaign" };
+const RULE_OPS = [">", ">=", "<", "<=", "=", "contains"];
+const CUSTOM_STATUS_COLORS = ["#60a5fa","#a78bfa","#f472b6","#2dd4bf","#fb923c","#94a3b8"];
+
+const DEFAULT_RULE_SET = {
+  version: 1,
+  name: "Default",
+  createdAt: 0,
+  fallback: "losing",
+  customStatuses: {},
+  rules: [
+    { status:"improving", conditions:[{ metric:"spend", op:"=", value:0 }, { metric:"revenue", op:"=", value:0 }] },
+    { status:"profitable", conditions:[{ metric:"roi", op:">", value:40 }] },
+    { status:"improving", conditions:[{ metric:"roi", op:">=", value:0 }] },
+    { status:"turnoff", conditions:[{ metric:"roi", op:"<", value:-40 }] },
+  ],
+};
+
+function getActiveRuleSet(settings) {
+  const versions = settings?.rules?.versions;
+  if (!versions?.length) return DEFAULT_RULE_SET;
+  return versions.find(v => v.version === settings.rules.activeVersion) || versions[versions.length - 1];
+}
+
+function buildStatusConfig(ruleSet) {
+  const config = { ...STATUS_CONFIG };
+  Object.entries(ruleSet?.customStatuses || {}).forEach(([key, c]) => {
+    config[key] = { label:c.label || key, color:c.color, bg:`${c.color}14`, icon:c.icon || "●", gradient:`linear-gradient(135deg,${c.color}99,${c.color})` };
+  });
+  return config;
+}
+
+function testCondition(ctx, c) {
+  if (c.metric === "campaign") {
+    const needle = String(c.value || "").toLowerCase();
+    return c.op === "=" ? ctx.campaign.toLowerCase() === needle : ctx.campaign.toLowerCase().includes(needle);
+  }
+  const v = ctx[c.metric], t = num(c.value);
+  switch (c.op) {
+    case ">": return v > t;
+    case ">=": return v >= t;
+    case "<": return v < t;
+    case "<=": return v <= t;
+    case "=": return Math.abs(v - t) < 1e-9;
+    default: return false;
+  }
+}
+
+// m: { spend (USD), revenue (USD), clicks, campaigns }
+function classifyUrl(m, ruleSet = DEFAULT_RULE_SET) {
+  const profit = m.revenue - m.spend;
+  const roi = m.spend > 0 ? (profit / m.spend) * 100 : (m.revenue > 0 ? 999 : 0);
+  const ctx = {
+    roi, profit, spend:m.spend, revenue:m.revenue, clicks:m.clicks || 0,
+    rpc: m.clicks > 0 ? m.revenue / m.clicks : 0,
+    campaign: (m.campaigns || []).join(" | "),
+  };
+  const hit = ruleSet.rules.find(r => r.conditions.every(c => testCondition(ctx, c)));
+  return guardStatus(hit ? hit.status : ruleSet.fallback, m, ruleSet);
+}
+
+// ─── CONFIDENCE ──────────────────────────────────────────────
+// Revenue per paid click is modelled as exponential with an unknown mean (ad
+// revenue is skewed, so this errs wide). With an inverse-gamma prior centred on
+// break-even (the URL's CPC, weight of one click) the mean RPC after n clicks
+// earning R is InvGamma(2 + n, CPC + R). Gamma quantiles and CDF use the
+// Wilson–Hilferty approximation; the interval is 90%.
+const DEFAULT_GUARD = { minClicks: 30, minSpend: 5, turnOffConfidence: 0.9 };
+const CONFIDENCE_LEVELS = {
+  high: { label:"High", color:"var(--green)", rank:0 },
+  medium: { label:"Medium", color:"var(--amber)", rank:1 },
+  low: { label:"Low", color:"var(--red)", rank:2 },
+  insufficient: { label:"Insufficient data", color:"var(--muted)", rank:3 },
+};
+const guardOf = (ruleSet) => ({ ...DEFAULT_GUARD, ...ruleSet?.guard });
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// m as for classifyUrl; null for URLs without spend. pProfit is the chance the
+// mean revenue per click covers the CPC, certainty how sure the sign is.
+function urlConfidence(m, guard = DEFAULT_GUARD) {
+  if (!(m.spend > 0)) return null;
+  const clicks = m.clicks || 0;
+  const cpc = clicks > 0 ? m.spend / clicks : m.spend;
+  const a = 2 + clicks, b = cpc + Math.max(0, m.revenue);
+  const v = 1 / (9 * a);
+  const gammaQ = (z) => (a / b) * Math.pow(Math.max(0, 1 - v + z * Math.sqrt(v)), 3);
+  const pProfit = normCdf((Math.cbrt(b / (a * cpc)) - (1 - v)) / Math.sqrt(v));
+  const certainty = Math.max(pProfit, 1 - pProfit);
+  const enough = clicks >= guard.minClicks && m.spend >= guard.minSpend;
+  const level = !enough ? "insufficient" : certainty >= 0.95 ? "high" : certainty >= 0.8 ? "medium" : "low";
+  const lowQ = gammaQ(-1.645);
+  return { level, pProfit, certainty, cpc, rpcLow: 1 / gammaQ(1.645), rpcHigh: lowQ > 0 ? 1 / lowQ : Infinity };
+}
+
+// Low-volume URLs are insufficient data whatever the rules say, and turn-off
+// needs the guard's confidence that the URL really loses money
+function guardStatus(status, m, ruleSet) {
+  const guard = guardOf(ruleSet);
+  const conf = urlConfidence(m, guard);
+  if (!conf) return status;
+  if (conf.level === "insufficient") return "insufficient";
+  if (status === "turnoff" && 1 - conf.pProfit < guard.turnOffConfidence) return "losing";
+  return status;
+}
+
+const fmtConfidence = (c) => c ? `${CONFIDENCE_LEVELS[c.level].label} confidence · ${(c.pProfit * 100).toFixed(0)}% chance of profit · RPC ${fmt(c.rpcLow)}–${c.rpcHigh === Infinity ? "∞" : fmt(c.rpcHigh)} vs CPC ${fmt(c.cpc)}` : "";
+
+const urlMetrics = (u) => ({ spend:u.ga.costUSD, revenue:u.mv.revenue, clicks:u.ga.clicks, campaigns:u.ga.campaigns });
+// Paid traffic's share of the page revenue, set by reclassifySnapshots
+const adRevenueOf = (u) => u.adRevenue ?? u.mv.revenue;
+
+// Also attributes revenue to paid traffic (see REVENUE ATTRIBUTION) and
+// classifies on the attributed revenue. The baseline model needs every
+// snapshot's urls loaded to be stable.
+function reclassifySnapshots(snapshots, ruleSet, attribution) {
+  const baselines = attribution.model === "baseline" ? organicBaselines(snapshots) : null;
+  // Snapshots whose urls are not loaded yet pass through untouched
+  return snapshots.map(s => s.urls ? { ...s, urls: s.urls.map(u => {
+    const ad = attributeUrl(u, s, attribution, baselines);
+    const m = { ...urlMetrics(u), revenue: ad.adRevenue };
+    return { ...u, ...ad, status: classifyUrl(m, ruleSet), confidence: urlConfidence(m, guardOf(ruleSet)) };
+  }) } : s);
+}
+
+// ─── PRICING & EXCHANGE RATES ────────────────────────────────
+// Rate table rows are monthly averages: { month:"YYYY-MM", rate } (₹ per $1)
+function parseRateTable(text) {
+  const byMonth = {};
+  parseCSV(text).rows.forEach(([d, r]) => {
+    const m = /^(\d{4})-(\d{2})/.exec(d || "");
+    const rate = num(r);
+    if (!m || rate <= 0) return;
+    const month = `${m[1]}-${m[2]}`;
+    if (!byMonth[month]) byMonth[month] = [];
+    byMonth[month].push(rate);
+  });
+  return Object.entries(byMonth).map(([month, rs]) => ({ month, rate: rs.reduce((a,b) => a+b, 0) / rs.length }));
+}
+
+function mergeRateTable(table, rows) {
+  const map = {};
+  (table || []).forEach(r => { map[r.month] = r.rate; });
+  rows.forEach(r => { map[r.month] = r.rate; });
+  return Object.entries(map).map(([month, rate]) => ({ month, rate })).sort((a,b) => a.month.localeCompare(b.month));
+}
+
+function rateForDate(date, settings) {
+  const month = (date || "").slice(0, 7);
+  const hit = (settings?.rateTable || []).find(r => r.month === month);
+  if (hit) return { rate: hit.rate, source: "table" };
+  return { rate: settings?.inrToUsd || INR_TO_USD_DEFAULT, source: "default" };
+}
+
+// Rate a snapshot was priced at; snapshots imported before fxRate existed are inferred from totals
+const snapshotRate = (s) => s.fxRate || (s.totals.gaSpendUSD > 0 ? s.totals.gaSpendINR / s.totals.gaSpendUSD : null);
+const toUSD = (amount, currency, rate) => currency === "USD" ? amount : amount / rate;
+
+function priceUrl(slug, mv, ga, rate, ruleSet) {
+  const byChannel = ga.byChannel && Object.fromEntries(Object.entries(ga.byChannel).map(([id, c]) => [id, { ...c, costUSD: toUSD(c.cost, c.currency, rate) }]));
+  if (byChannel) ga = { ...ga, byChannel, costINR: Object.values(byChannel).reduce((s, c) => s + c.costUSD, 0) * rate };
+  const costUSD = ga.costINR / rate;
+  const profit = mv.revenue - costUSD;
+  const roi = costUSD > 0 ? (profit / costUSD) * 100 : (mv.revenue > 0 ? 999 : 0);
+  const revenuePerClick = ga.clicks > 0 ? mv.revenue / ga.clicks : 0;
+  const costPerClick = ga.clicks > 0 ? costUSD / ga.clicks : 0;
+  const status = classifyUrl({ spend:costUSD, revenue:mv.revenue, clicks:ga.clicks, campaigns:ga.campaigns }, ruleSet);
+  return {
+    slug, status, profit, roi, revenuePerClick, costPerClick,
+    mv, ga: { ...ga, costUSD },
+    hasAds: ga.costINR > 0,
+  };
+}
+
+function computeTotals(urls) {
+  const bySource = {}, byChannel = {};
+  urls.forEach(u => Object.entries(revenueBySource(u.mv)).forEach(([id, v]) => { bySource[id] = (bySource[id] || 0) + v; }));
+  urls.forEach(u => Object.entries(channelsOf(u.ga)).forEach(([id, c]) => { byChannel[id] = (byChannel[id] || 0) + c.costUSD; }));
+  return {
+    mvRevenue: urls.reduce((s,u) => s + u.mv.revenue, 0),
+    revenueBySource: bySource,
+    spendByChannel: byChannel,
+    gaSpendINR: urls.reduce((s,u) => s + u.ga.costINR, 0),
+    gaSpendUSD: urls.reduce((s,u) => s + u.ga.costUSD, 0),
+    gaClicks: urls.reduce((s,u) => s + u.ga.clicks, 0),
+    gaImpressions: urls.reduce((s,u) => s + u.ga.impressions, 0),
+    totalProfit: urls.reduce((s,u) => s + u.profit, 0),
+    urlCount: urls.length,
+    adsUrlCount: urls.filter(u => u.hasAds).length,
+  };
+}
+
+// Recomputes ga.costUSD, profit, roi, status and totals at a new rate
+function repriceSnapshot(s, rate, source, ruleSet) {
+  const urls = s.urls.map(u => ({ ...u, ...priceUrl(u.slug, u.mv, u.ga, rate, ruleSet) }));
+  return { ...s, urls, fxRate: rate, fxSource: source, repricedAt: Date.now(), totals: computeTotals(urls) };
+}
+
+// ─── CSV PARSERS ─────────────────────────────────────────────
+const CSV_DELIMITERS = [",", "\t", ";", "|"];
+const DELIMITER_LABELS = { ",":"comma", "\t":"tab", ";":"semicolon", "|":"pipe" };
+
+// Decodes an uploaded file, honouring a BOM and sniffing BOM-less UTF-16
+// (Google Ads "Download → CSV" arrives as UTF-16LE)
+function decodeCSVBuffer(buffer) {
+  const b = new Uint8Array(buffer);
+  let encoding = "utf-8", offset = 0;
+  if (b[0] === 0xEF && b[1] === 0xBB && b[2] === 0xBF) offset = 3;
+  else if (b[0] === 0xFF && b[1] === 0xFE) { encoding = "utf-16le"; offset = 2; }
+  else if (b[0] === 0xFE && b[1] === 0xFF) { encoding = "utf-16be"; offset = 2; }
+  else {
+    let evenZeros = 0, oddZeros = 0;
+    const n = Math.min(b.length, 1000);
+    for (let i = 0; i < n; i++) if (b[i] === 0) (i % 2 ? oddZeros++ : evenZeros++);
+    if (oddZeros > n / 4) encoding = "utf-16le";
+    else if (evenZeros > n / 4) encoding = "utf-16be";
+  }
+  const body = b.subarray(offset);
+  if (encoding === "utf-8") {
+    try { return { text: new TextDecoder("utf-8", { fatal:true }).decode(body), encoding }; }
+    catch { return { text: new TextDecoder("windows-1252").decode(body), encoding: "windows-1252" }; }
+  }
+  return { text: new TextDecoder(encoding).decode(body), encoding };
+}
+
+// RFC 4180 tokenizer: quoted fields may contain delimiters, newlines and "" escapes
+function tokenizeCSV(text, delimiter, maxRecords = Infinity) {
+  const rows = [];
+  let row = [], field = "", inQuote = false, quoted = false, i = 0;
+  const endField = () => { row.push(quoted ? field : field.trim()); field = ""; quoted = false; };
+  const endRow = () => { endField(); rows.push(row); row = []; };
+  while (i < text.length && rows.length < maxRecords) {
+    const ch = text[i];
+    if (inQuote) {
+      if (ch === '"') {
+        if (text[i+1] === '"') { field += '"'; i += 2; continue; }
+        inQuote = false;
+      } else field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && !field.trim()) { inQuote = true; quoted = true; field = ""; }
+    else if (ch === delimiter) endField();
+    else if (ch === "\r" || ch === "\n") {
+      endRow();
+      if (ch === "\r" && text[i+1] === "\n") i++;
+    }
+    else if (!quoted) field += ch;
+    i++;
+  }
+  if (rows.length < maxRecords && (field || row.length || quoted)) endRow();
+  return rows;
+}
+
+// Picks the delimiter that yields the most records sharing one (multi-column) width
+function detectDelimiter(text) {
+  let best = ",", bestScore = 0;
+  CSV_DELIMITERS.forEach(d => {
+    const widths = {};
+    tokenizeCSV(text.slice(0, 20000), d, 30).forEach(r => { if (r.length > 1) widths[r.length] = (widths[r.length] || 0) + 1; });
+    const score = Math.max(0, ...Object.values(widths));
+    if (score > bestScore) { best = d; bestScore = score; }
+  });
+  return best;
+}
+
+// Semicolon-delimited exports may come from locales that write 1.234,56. Dots
+// only mean thousands once a comma decimal shows the file uses them, otherwise
+// "1.500" in a dot-decimal file would become 1500.
+const COMMA_DECIMAL = /^[-+]?[₹$€\s]*[\d.\s]*,\d+\s*%?$/;
+const fromDecimalComma = (v) => {
+  if (COMMA_DECIMAL.test(v)) return v.replace(/\./g, "").replace(",", ".");
+  if (/^[-+]?\d{1,3}(\.\d{3})+$/.test(v)) return v.replace(/\./g, "");
+  return v;
+};
+
+function parseCSV(text, delimiter) {
+  const clean = text.replace(/^\uFEFF/, "");
+  const d = delimiter || detectDelimiter(clean);
+  let rows = tokenizeCSV(clean, d).filter(r => r.some(c => c !== ""));
+  if (d === ";" && rows.some(r => r.some(c => COMMA_DECIMAL.test(c)))) rows = rows.map(r => r.map(fromDecimalComma));
+  return { rows, delimiter: d };
+}
+
+// ─── COLUMN MAPPING ──────────────────────────────────────────
+// Dashboard fields each parser produces; keys are what processImport reads.
+// Aliases are compared after normalizeHeader (lowercase, no accents/punctuation).
+const MV_FIELDS = [
+  { key:"slug", label:"Slug / Page path", required:true, aliases:["slug","page","pagepath","path","url","pageurl"] },
+  { key:"views", label:"Views", aliases:["views","pageviews","seitenaufrufe","vistas","vues"] },
+  { key:"revenue", label:"Revenue", required:true, aliases:["revenue","earnings","einnahmen","ingresos","revenus","receita"] },
+  { key:"rpm", label:"RPM", aliases:["rpm","pagerpm"] },
+  { key:"cpm", label:"CPM", aliases:["cpm"] },
+  { key:"viewability", label:"Viewability", aliases:["viewability","viewabilityrate"] },
+  { key:"fillrate", label:"Fill Rate", aliases:["fillrate"] },
+  { key:"impressionsperpageview", label:"Impr / Pageview", aliases:["impressionsperpageview","impressionsperpv","imprpv"] },
+  { key:"date", label:"Date (daily report)", aliases:["date","day","datum","fecha"] },
+  { key:"device", label:"Device", aliases:["device","devicetype","devicecategory","platform","gerat","dispositivo","appareil"] },
+  { key:"country", label:"Country", aliases:["country","countrycode","geo","countryterritory","pais","pays"] },
+];
+const GA_FIELDS = [
+  { key:"Landing page", label:"Landing page", required:true, aliases:["landingpage","expandedlandingpage","finalurl","paginadedestino","pagededestination","zielseite","landingpageurl"] },
+  { key:"Campaign", label:"Campaign", aliases:["campaign","kampagne","campana","campagne","campanha"] },
+  { key:"Clicks", label:"Clicks", aliases:["clicks","klicks","clics","cliques"] },
+  { key:"Impr.", label:"Impressions", aliases:["impr","impressions","impressionen","impresiones","impressoes"] },
+  { key:"Cost", label:"Cost", required:true, aliases:["cost","kosten","coste","cout","custo","costo"] },
+  { key:"Avg. CPC", label:"Avg. CPC", aliases:["avgcpc","averagecpc","durchschncpc","cpcmedio","cpcmoy","cpcmed"] },
+  { key:"CTR", label:"CTR", aliases:["ctr"] },
+  { key:"Device", label:"Device (segmented)", aliases:["device","gerat","dispositivo","appareil"] },
+  { key:"Country", label:"Country (segmented)", aliases:["countryterritory","country","pais","pays"] },
+];
+
+const normalizeHeader = (h) => String(h || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const headerSignature = (headers) => headers.map(normalizeHeader).filter(Boolean).sort().join("|");
+
+// The header is the early row that matches the most known aliases; report
+// title lines ("Landing page report", "All time") match none
+function readCSVHeaders(text, fields) {
+  const { rows } = parseCSV(text);
+  const known = new Set(fields.flatMap(f => f.aliases));
+  let headerIdx = -1, best = 0;
+  rows.slice(0, 30).forEach((r, i) => {
+    const score = r.filter(c => known.has(normalizeHeader(c))).length;
+    if (score > best) { best = score; headerIdx = i; }
+  });
+  if (headerIdx < 0) headerIdx = rows.findIndex(r => r.length > 1);
+  return { rows, headerIdx, headers: headerIdx >= 0 ? rows[headerIdx].map(h => h.trim()) : [] };
+}
+
+// Returns { fieldKey: sourceHeader } using exact alias matches first, then prefix matches
+function suggestMapping(headers, fields) {
+  const mapping = {}, used = new Set();
+  const pick = (f, test) => {
+    if (mapping[f.key]) return;
+    const h = headers.find(h => !used.has(h) && f.aliases.some(a => test(normalizeHeader(h), a)));
+    if (h) { mapping[f.key] = h; used.add(h); }
+  };
+  fields.forEach(f => pick(f, (n, a) => n === a));
+  fields.forEach(f => pick(f, (n, a) => a.length >= 3 && n.startsWith(a)));
+  return mapping;
+}
+
+function mapRows(rows, headers, mapping) {
+  const idx = {};
+  Object.entries(mapping).forEach(([key, h]) => { if (h) idx[key] = headers.indexOf(h); });
+  return rows.map(vals => {
+    const row = {};
+    Object.entries(idx).forEach(([key, i]) => { row[key] = i >= 0 ? (vals[i] || "") : ""; });
+    return row;
+  });
+}
+
+const findImportProfile = (profiles, source, headers) => {
+  const sig = headerSignature(headers);
+  return (profiles || []).find(p => p.source === source && p.signature === sig) || null;
+};
+
+// A saved profile whose header signature matches wins over auto-suggestion
+function detectMapping(text, fields, profiles, source) {
+  const { headers } = readCSVHeaders(text, fields);
+  const profile = findImportProfile(profiles, source, headers);
+  return { headers, map: profile ? profile.mapping : suggestMapping(headers, fields), profile: profile?.name || null };
+}
+
+// Revenue reports of every source share the Mediavine row shape (slug, views, revenue, ...)
+function parseRevenueCSV(text, fields, mapping) {
+  const { rows, headers, headerIdx } = readCSVHeaders(text, fields);
+  if (headerIdx < 0 || rows.length < headerIdx + 2) return [];
+  return mapRows(rows.slice(headerIdx + 1), headers, mapping || suggestMapping(headers, fields)).filter(r => r.slug);
+}
+
+const parseMediavineCSV = (text, mapping) => parseRevenueCSV(text, MV_FIELDS, mapping);
+
+// Cost reports of every channel share the Google Ads row shape. Rows whose
+// landing page is not an http(s) URL are dropped; pass `skipped` to collect
+// them ({ row, landingPage, costINR, reason }, cost in the file's currency)
+function parseCostCSV(text, fields, mapping, skipped) {
+  const { rows, headers, headerIdx } = readCSVHeaders(text, fields);
+  if (headerIdx < 0) return [];
+  const mapped = mapRows(rows.slice(headerIdx + 1), headers, mapping || suggestMapping(headers, fields));
+  return mapped.filter((r, i) => {
+    const lp = (r["Landing page"] || "").trim();
+    if (/^https?:\/\//i.test(lp)) return true;
+    if (skipped) {
+      const first = (rows[headerIdx + 1 + i][0] || "").trim();
+      const reason = /^total/i.test(first) ? "total" : lp ? "not a URL" : "no landing page";
+      skipped.push({ row: headerIdx + 2 + i, landingPage: lp || first, costINR: num(r.Cost), reason });
+    }
+    return false;
+  });
+}
+
+const parseGoogleAdsCSV = (text, mapping, skipped) => parseCostCSV(text, GA_FIELDS, mapping, skipped);
+
+// ─── REVENUE SOURCES ─────────────────────────────────────────
+// Each ad network or affiliate program has its own field mapping (and parser
+// if its export needs one). A URL's mv.revenue is the sum across sources and
+// mv.bySource keeps the split; views, RPM and the other page metrics come
+// from the ad network with the most views, since every network counts the
+// same pageviews. Affiliate reports carry revenue only.
+const revenueFields = (extra, only) => MV_FIELDS.filter(f => !only || only.includes(f.key))
+  .map(f => extra[f.key] ? { ...f, aliases: [...extra[f.key], ...f.aliases] } : f);
+
+const REVENUE_SOURCES = {
+  mediavine: { label:"Mediavine", short:"MV", color:"#818cf8", profile:"mv", fields: MV_FIELDS, parse: parseMediavineCSV,
+    hint:"Mediavine → Reporting → Pages, or a daily / device / country breakdown" },
+  adsense: { label:"AdSense", short:"AdSense", color:"#fbbf24", hint:"AdSense → Reports → Pages (URL channels)",
+    fields: revenueFields({ slug:["urlchannel","sitepage"], revenue:["estimatedearnings"], views:["pageviews"], rpm:["pagerpm"], device:["platform","platformtype"] }) },
+  ezoic: { label:"Ezoic", short:"Ezoic", color:"#2dd4bf", hint:"Ezoic → Big Data Analytics → Pages; EPMV maps to RPM",
+    fields: revenueFields({ revenue:["totalrevenue","adrevenue","estrevenue"], rpm:["epmv","pageepmv"], views:["pageviews","visits"] }) },
+  raptive: { label:"Raptive", short:"Raptive", color:"#f472b6", hint:"Raptive dashboard → Reports → Pages",
+    fields: revenueFields({ revenue:["adrevenue","netrevenue"], rpm:["pagerpm","sessionrpm"] }) },
+  affiliate: { label:"Affiliate", short:"Aff.", color:"#fb923c", pageMetrics:false, hint:"Commission report with the page URL or sub ID of each sale",
+    fields: revenueFields({ slug:["subid","subid1","referringurl","referrer","sourceurl","clickurl","trackingid"], revenue:["commission","commissions","totalcommission","payout","amount"] }, ["slug","revenue","date","device","country"]) },
+};
+const revenueSource = (id) => REVENUE_SOURCES[id] || REVENUE_SOURCES.mediavine;
+const parseRevenueSource = (text, id, mapping) => { const src = revenueSource(id); return src.parse ? src.parse(text, mapping) : parseRevenueCSV(text, src.fields, mapping); };
+// Import profiles keep the "mv" key Mediavine profiles were saved under
+const profileSource = (id) => revenueSource(id).profile || id;
+const sourceOfProfile = (key) => Object.keys(REVENUE_SOURCES).find(id => profileSource(id) === key);
+
+// Snapshots imported before sources existed are all Mediavine
+function revenueBySource(mv) { return mv.bySource || { mediavine: mv.revenue }; }
+const totalsBySource = (t) => t.revenueBySource || { mediavine: t.mvRevenue };
+const sourceKey = (id) => `rev_${id}`;
+
+// Source ids with revenue, in registry order
+const sourcesIn = (bySources) => Object.keys(REVENUE_SOURCES).filter(id => bySources.some(b => b[id]));
+const fmtSources = (bySource) => sourcesIn([bySource]).map(id => `${revenueSource(id).short} ${fmt(bySource[id])}`).join(" · ");
+
+// ─── CAMPAIGNS ───────────────────────────────────────────────
+// Snapshots keep cost/clicks/impressions per campaign in ga.byCampaign. MV
+// revenue is page-level, so it is split across a URL's campaigns by share.
+const NO_CAMPAIGN = "(no campaign)";
+const CAMPAIGN_SPLITS = { clicks:"Click share", cost:"Spend share", impressions:"Impression share", equal:"Equal split" };
+const SPLIT_KEYS = { clicks:"clicks", cost:"costINR", impressions:"impressions" };
+
+// Snapshots imported before byCampaign existed report one combined row
+const byCampaignOf = (u) => u.ga.byCampaign || (u.ga.costINR > 0 || u.ga.clicks > 0
+  ? { [u.ga.campaigns.length ? u.ga.campaigns.join(" | ") : NO_CAMPAIGN]: { clicks:u.ga.clicks, impressions:u.ga.impressions, costINR:u.ga.costINR } }
+  : {});
+
+function mergeByCampaign(urls) {
+  const out = {};
+  urls.forEach(u => Object.entries(byCampaignOf(u)).forEach(([c, v]) => {
+    const o = out[c] = out[c] || { clicks:0, impressions:0, costINR:0, ...(v.channel ? { channel: v.channel } : {}) };
+    o.clicks += v.clicks; o.impressions += v.impressions; o.costINR += v.costINR;
+  }));
+  return out;
+}
+
+// One row per campaign/URL pair with attributed revenue, profit, ROI and
+// status; the pair's share is of the URL's ad-attributed revenue
+function campaignPairs(u, split, ruleSet) {
+  const entries = Object.entries(byCampaignOf(u));
+  const key = SPLIT_KEYS[split];
+  const total = key ? entries.reduce((s,[,c]) => s + c[key], 0) : 0;
+  const usdPerINR = u.ga.costINR > 0 ? u.ga.costUSD / u.ga.costINR : 0;
+  return entries.map(([campaign, c]) => {
+    const share = key && total > 0 ? c[key] / total : 1 / entries.length;
+    const revenue = adRevenueOf(u) * share;
+    const costUSD = c.costINR * usdPerINR;
+    const profit = revenue - costUSD;
+    const roi = costUSD > 0 ? (profit / costUSD) * 100 : (revenue > 0 ? 999 : 0);
+    const status = classifyUrl({ spend:costUSD, revenue, clicks:c.clicks, campaigns:[campaign] }, ruleSet);
+    const confidence = urlConfidence({ spend:costUSD, revenue, clicks:c.clicks }, guardOf(ruleSet));
+    return { slug:u.slug, campaign, ...c, costUSD, revenue, profit, roi, share, status, confidence };
+  });
+}
+
+// ─── COST CHANNELS ───────────────────────────────────────────
+// Paid traffic bought on several platforms for the same pages. Each channel
+// has its own field mapping and account currency. ga stays the blended total
+// (costINR at the snapshot's rate) and ga.byChannel keeps every channel's
+// cost in its own currency, so re-pricing converts each one again. Campaigns
+// of channels other than Google Ads are keyed "<short> · <name>".
+const CURRENCIES = { INR:"₹ INR", USD:"$ USD" };
+
+const costFields = (extra) => GA_FIELDS.map(f => extra[f.key] ? { ...f, aliases: [...extra[f.key], ...f.aliases] } : f);
+
+const COST_CHANNELS = {
+  google: { label:"Google Ads", short:"GA", color:"#f87171", currency:"INR", profile:"ga", fields: GA_FIELDS, parse: parseGoogleAdsCSV,
+    hint:"Google Ads → Reports → Landing page report" },
+  microsoft: { label:"Microsoft Ads", short:"MSA", color:"#38bdf8", currency:"USD", hint:"Microsoft Advertising → Reports → Destination URL report",
+    fields: costFields({ "Landing page":["destinationurl","finalurl"], Cost:["spend"], Campaign:["campaignname"], "Impr.":["impressions"] }) },
+  meta: { label:"Meta Ads", short:"Meta", color:"#a78bfa", currency:"INR", hint:"Ads Manager → Reports with the Website URL and Amount spent columns",
+    fields: costFields({ "Landing page":["websiteurl","linkadsettings","destinationurl"], Cost:["amountspent"], Clicks:["linkclicks","outboundclicks"], Campaign:["campaignname"], "Avg. CPC":["cpclinkclick","costperlinkclick"], CTR:["ctrlinkclickthroughrate"] }) },
+  taboola: { label:"Taboola", short:"Tab.", color:"#facc15", currency:"USD", hint:"Taboola Ads → Campaign summary broken down by item, with the item URL",
+    fields: costFields({ "Landing page":["url","itemurl","contenturl"], Cost:["spent","spend"], Campaign:["campaignname"], "Impr.":["visibleimpressions"], "Avg. CPC":["actualcpc"], CTR:["vctr"] }) },
+  outbrain: { label:"Outbrain", short:"OB", color:"#fb923c", currency:"USD", hint:"Outbrain → Promoted links report with the promoted link URL",
+    fields: costFields({ "Landing page":["url","promotedlinkurl","contenturl"], Cost:["spend","spent"], Campaign:["campaignname"], "Avg. CPC":["cpc"] }) },
+};
+const costChannel = (id) => COST_CHANNELS[id] || COST_CHANNELS.google;
+const parseCostSource = (text, id, mapping, skipped) => { const ch = costChannel(id); return ch.parse ? ch.parse(text, mapping, skipped) : parseCostCSV(text, ch.fields, mapping, skipped); };
+const channelProfile = (id) => costChannel(id).profile || `cost:${id}`;
+const channelOfProfile = (key) => Object.keys(COST_CHANNELS).find(id => channelProfile(id) === key);
+const campaignKey = (channel, name) => channel === "google" ? name : `${costChannel(channel).short} · ${name || NO_CAMPAIGN}`;
+
+// The auto-mapping kept on a loaded import file: { mapping, profileId } from
+// the saved profile matching its headers, or suggested
+function autoMapFile(text, fields, profiles, source) {
+  const mapping = detectMapping(text, fields, profiles, source);
+  return { mapping, profileId: findImportProfile(profiles, source, mapping.headers)?.id || null };
+}
+const revenueAutoMapping = (f, profiles) => autoMapFile(f.text, revenueSource(f.source).fields, profiles, profileSource(f.source));
+const costAutoMapping = (f, profiles) => autoMapFile(f.text, costChannel(f.channel).fields, profiles, channelProfile(f.channel));
+
+// Snapshots imported before channels existed are Google Ads only, in INR
+function channelsOf(ga) {
+  return ga.byChannel || (ga.costINR > 0 || ga.clicks > 0
+    ? { google: { clicks: ga.clicks, impressions: ga.impressions, cost: ga.costINR, currency: "INR", costUSD: ga.costUSD } }
+    : {});
+}
+const totalsByChannel = (t) => t.spendByChannel || { google: t.gaSpendUSD };
+const channelsIn = (byChannels) => Object.keys(COST_CHANNELS).filter(id => byChannels.some(b => b[id]));
+const fmtChannels = (byChannel) => channelsIn([byChannel]).map(id => `${costChannel(id).short} ${fmt(byChannel[id])}`).join(" · ");
+const fmtCost = (amount, currency) => currency === "USD" ? fmt(amount) : fmtINR(amount);
+
+// One channel's share of a URL: its spend and clicks, page and ad-attributed
+// revenue split by the campaign split setting, and profit, ROI and status
+// recomputed on that
+function channelSlice(u, channel, split, ruleSet) {
+  const chans = channelsOf(u.ga);
+  const c = chans[channel];
+  if (!c) return null;
+  const key = { clicks:"clicks", cost:"costUSD", impressions:"impressions" }[split];
+  const total = key ? Object.values(chans).reduce((s, x) => s + x[key], 0) : 0;
+  const share = key && total > 0 ? c[key] / total : 1 / Object.keys(chans).length;
+  const revenue = u.mv.revenue * share, adRevenue = adRevenueOf(u) * share;
+  const profit = revenue - c.costUSD, adProfit = adRevenue - c.costUSD;
+  const roi = c.costUSD > 0 ? (profit / c.costUSD) * 100 : (revenue > 0 ? 999 : 0);
+  const inrPerUSD = u.ga.costUSD > 0 ? u.ga.costINR / u.ga.costUSD : 0;
+  const campaigns = u.ga.campaigns.filter(k => (byCampaignOf(u)[k]?.channel || "google") === channel);
+  return {
+    ...u, profit, roi, channelShare: share,
+    adRevenue, adProfit, adRoi: c.costUSD > 0 ? (adProfit / c.costUSD) * 100 : (adRevenue > 0 ? 999 : 0),
+    revenuePerClick: c.clicks > 0 ? revenue / c.clicks : 0,
+    costPerClick: c.clicks > 0 ? c.costUSD / c.clicks : 0,
+    status: classifyUrl({ spend:c.costUSD, revenue:adRevenue, clicks:c.clicks, campaigns }, ruleSet),
+    confidence: urlConfidence({ spend:c.costUSD, revenue:adRevenue, clicks:c.clicks }, guardOf(ruleSet)),
+    mv: { ...u.mv, revenue },
+    ga: { ...u.ga, campaigns, clicks:c.clicks, impressions:c.impressions, costUSD:c.costUSD, costINR:c.costUSD * inrPerUSD },
+    hasAds: c.costUSD > 0,
+  };
+}
+
+// ─── URL NORMALIZATION ───────────────────────────────────────
+// Slug pipeline: drop scheme/host and #fragment, keep only allowlisted query
+// params, optionally lowercase, strip suffix segments (e.g. /amp), then
+// follow the alias table (old permalink → canonical slug)
+const DEFAULT_NORMALIZATION = { lowercase: true, keepParams: [], stripSuffixes: ["amp"] };
+
+const splitList = (v) => String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+
+function normalizeSlug(raw, norm = DEFAULT_NORMALIZATION, aliases) {
+  let s = String(raw || "").trim().replace(/^[a-z][a-z0-9+.-]*:\/\/[^/?#]*/i, "");
+  s = s.split("#")[0];
+  const [path, query] = s.split("?");
+  let slug = path.replace(/^\/+|\/+$/g, "");
+  if (norm.lowercase) slug = slug.toLowerCase();
+  let stripped = true;
+  while (stripped && slug) {
+    stripped = false;
+    for (const suffix of norm.stripSuffixes || []) {
+      const sfx = suffix.replace(/^\/+|\/+$/g, "");
+      if (!sfx) continue;
+      if (slug === sfx || slug.endsWith("/" + sfx)) { slug = slug.slice(0, -sfx.length).replace(/\/+$/, ""); stripped = true; }
+    }
+  }
+  if (query && norm.keepParams?.length) {
+    const kept = query.split("&").filter(kv => norm.keepParams.includes(kv.split("=")[0])).sort();
+    if (kept.length) slug += "?" + kept.join("&");
+  }
+  if (aliases) {
+    const seen = new Set();
+    while (aliases[slug] && !seen.has(slug)) { seen.add(slug); slug = aliases[slug]; }
+  }
+  return slug;
+}
+
+// settings.aliases is stored as [{ from, to }]; keys are normalized so the
+// table matches whatever form the exports use
+function buildAliasMap(settings) {
+  const norm = settings?.normalization || DEFAULT_NORMALIZATION;
+  const map = {};
+  (settings?.aliases || []).forEach(a => {
+    const from = normalizeSlug(a.from, norm), to = normalizeSlug(a.to, norm);
+    if (from && to && from !== to) map[from] = to;
+  });
+  return map;
+}
+
+const slugNormalizer = (settings) => {
+  const norm = settings?.normalization || DEFAULT_NORMALIZATION;
+  const aliases = buildAliasMap(settings);
+  return (raw) => normalizeSlug(raw, norm, aliases);
+};
+
+function parseAliasTable(text) {
+  return parseCSV(text).rows.filter(r => r.length >= 2 && r[0] && r[1] && !/^(from|old)/i.test(r[0])).map(([from, to]) => ({ from: from.trim(), to: to.trim() }));
+}
+
+// Re-keys a stored snapshot's URLs through the current pipeline, merging rows
+// that now share a slug, and re-prices them at the snapshot's own rate. The
+// import report's slug lists are rebuilt to match.
+function renormalizeSnapshot(s, toSlug, ruleSet) {
+  const groups = {};
+  s.urls.forEach(u => {
+    const slug = toSlug(u.slug) || u.slug;
+    (groups[slug] = groups[slug] || []).push(u);
+  });
+  const rate = snapshotRate(s) || INR_TO_USD_DEFAULT;
+  const urls = Object.entries(groups).map(([slug, us]) => {
+    if (us.length === 1 && us[0].slug === slug) return us[0];
+    const views = us.reduce((a,u) => a + u.mv.views, 0);
+    const revenue = us.reduce((a,u) => a + u.mv.revenue, 0);
+    const wAvg = (k) => views > 0 ? us.reduce((a,u) => a + u.mv[k] * u.mv.views, 0) / views : 0;
+    const mv = { views, revenue, rpm: views > 0 ? revenue / views * 1000 : 0, cpm: wAvg("cpm"), viewability: wAvg("viewability"), fillRate: wAvg("fillRate"), impressionsPerPV: wAvg("impressionsPerPV"), ...mergeBreakdowns(us.map(u => u.mv)) };
+    if (us.some(u => u.mv.bySource)) {
+      mv.bySource = {};
+      us.forEach(u => Object.entries(revenueBySource(u.mv)).forEach(([id, v]) => { mv.bySource[id] = (mv.bySource[id] || 0) + v; }));
+    }
+    const ga = {
+      campaigns: [...new Set(us.flatMap(u => u.ga.campaigns))],
+      clicks: us.reduce((a,u) => a + u.ga.clicks, 0),
+      impressions: us.reduce((a,u) => a + u.ga.impressions, 0),
+      costINR: us.reduce((a,u) => a + u.ga.costINR, 0),
+      byCampaign: mergeByCampaign(us),
+      ...mergeBreakdowns(us.map(u => u.ga)),
+    };
+    if (us.some(u => u.ga.byChannel)) {
+      ga.byChannel = {};
+      us.forEach(u => Object.entries(channelsOf(u.ga)).forEach(([id, c]) => {
+        const o = ga.byChannel[id] = ga.byChannel[id] || { clicks:0, impressions:0, cost:0, currency:c.currency };
+        o.clicks += c.clicks; o.impressions += c.impressions; o.cost += c.cost;
+      }));
+    }
+    const sourceSlugs = [...new Set(us.flatMap(u => u.sourceSlugs || [u.slug]))];
+    return { ...priceUrl(slug, mv, ga, rate, ruleSet), sourceSlugs };
+  });
+  return { ...s, urls, totals: computeTotals(urls), ...(s.report ? { report: rebuildImportReport(s.report, urls, toSlug) } : {}), normalizedAt: Date.now() };
+}
+
+// ─── PERIOD COVERAGE ─────────────────────────────────────────
+// Snapshots cover an inclusive start/end date range. Older snapshots only
+// have date + period, read as the day, the week ending on date, the half
+// month (1–15 / 16–end), or the calendar month/quarter/year containing date.
+const DAY_MS = 86400000;
+const AGGREGATION_MODES = { pick:"Non-overlapping set", prorate:"Pro-rate by day" };
+const toDay = (iso) => Math.floor(Date.UTC(+iso.slice(0,4), +iso.slice(5,7) - 1, +iso.slice(8,10)) / DAY_MS);
+const fromDay = (d) => new Date(d * DAY_MS).toISOString().slice(0, 10);
+const ymd = (y, m, d) => new Date(Date.UTC(y, m, d)).toISOString().slice(0, 10);
+
+function defaultCoverage(date, period) {
+  const y = +date.slice(0,4), m = +date.slice(5,7) - 1, d = +date.slice(8,10);
+  switch (period) {
+    case "daily": return { start: date, end: date };
+    case "weekly": return { start: fromDay(toDay(date) - 6), end: date };
+    case "bi-monthly": return d <= 15 ? { start: ymd(y, m, 1), end: ymd(y, m, 15) } : { start: ymd(y, m, 16), end: ymd(y, m + 1, 0) };
+    case "quarterly": { const q = Math.floor(m / 3) * 3; return { start: ymd(y, q, 1), end: ymd(y, q + 3, 0) }; }
+    case "yearly": return { start: ymd(y, 0, 1), end: ymd(y, 11, 31) };
+    default: return { start: ymd(y, m, 1), end: ymd(y, m + 1, 0) };
+  }
+}
+const coverageOf = (s) => s.start && s.end ? { start: s.start, end: s.end } : defaultCoverage(s.date, s.period);
+const coverageDays = (s) => { const { start, end } = coverageOf(s); return toDay(end) - toDay(start) + 1; };
+const fmtRange = (c) => c.start === c.end ? c.start : `${c.start} → ${c.end}`;
+
+// Which halves of the data a snapshot carries. Revenue-only and cost-only
+// imports of the same period don't double count, so they never conflict.
+function coverageSides(s) {
+  const mv = s.totals.mvRevenue > 0, ga = s.totals.gaSpendINR > 0 || s.totals.gaClicks > 0;
+  return mv || ga ? { mv, ga } : { mv: true, ga: true };
+}
+
+// Weighted interval scheduling: the non-overlapping subset covering the most
+// days, preferring more, finer snapshots and then newer imports.
+function pickIntervals(items) {
+  const sorted = [...items].sort((x, y) => x.b - y.b);
+  const w = (i) => i.span + 0.001 + i.age * 1e-7;
+  const best = [0], take = [];
+  sorted.forEach((it, i) => {
+    let j = i - 1;
+    while (j >= 0 && sorted[j].b >= it.a) j--;
+    const withIt = w(it) + best[j + 1];
+    take[i] = { withIt: withIt > best[i], prev: j };
+    best[i + 1] = Math.max(best[i], withIt);
+  });
+  const picked = [];
+  for (let i = sorted.length - 1; i >= 0;) {
+    if (take[i].withIt) { picked.unshift(sorted[i]); i = take[i].prev; }
+    else i--;
+  }
+  return picked;
+}
+
+// Decides which days of which snapshot are counted, as segments {s, a, b, span}
+// (day numbers). "pick" keeps a non-overlapping set (see pickIntervals), first
+// for revenue then for cost-only snapshots around the combined ones it kept.
+// "prorate" takes every day from the finest snapshot covering it, plus the
+// finest one for the other side when that snapshot is one-sided, and scales
+// by days used.
+function planCoverage(snapshots, mode) {
+  const byAge = [...snapshots].sort((x, y) => x.createdAt - y.createdAt);
+  const items = snapshots.map(s => {
+    const c = coverageOf(s), a = toDay(c.start), b = toDay(c.end);
+    return { s, a, b, span: b - a + 1, age: byAge.indexOf(s), ...coverageSides(s) };
+  });
+  const meets = (x, y) => x.a <= y.b && y.a <= x.b;
+  const conflicts = (x, y) => meets(x, y) && ((x.mv && y.mv) || (x.ga && y.ga));
+  let segments = [];
+  if (mode === "prorate") {
+    const finer = (x, y) => x.span - y.span || y.s.createdAt - x.s.createdAt;
+    const lo = Math.min(...items.map(i => i.a)), hi = Math.max(...items.map(i => i.b));
+    const open = new Map();
+    for (let d = lo; d <= hi; d++) {
+      const covering = items.filter(i => i.a <= d && i.b >= d).sort(finer);
+      const it = covering[0];
+      if (!it) continue;
+      const other = it.mv && it.ga ? null : covering.find(i => i.mv === it.ga && i.ga === it.mv);
+      [it, other].filter(Boolean).forEach(x => {
+        const last = open.get(x.s);
+        if (last && last.b === d - 1) { last.b = d; return; }
+        const g = { s: x.s, a: d, b: d, span: x.span };
+        segments.push(g); open.set(x.s, g);
+      });
+    }
+  } else {
+    const revenue = pickIntervals(items.filter(i => i.mv));
+    const combined = revenue.filter(i => i.ga);
+    const cost = pickIntervals(items.filter(i => i.ga && !i.mv && !combined.some(k => meets(k, i))));
+    segments = [...revenue, ...cost].sort((x, y) => x.a - y.a).map(({ s, a, b, span }) => ({ s, a, b, span }));
+  }
+  const used = new Set(segments.map(g => g.s));
+  const overlaps = [];
+  items.forEach((x, i) => items.slice(i + 1).forEach(y => { if (conflicts(x, y)) overlaps.push([x.s, y.s]); }));
+  const gaps = [];
+  segments.slice().sort((x, y) => x.a - y.a).reduce((prevEnd, g) => {
+    if (prevEnd !== null && g.a > prevEnd + 1) gaps.push({ start: fromDay(prevEnd + 1), end: fromDay(g.a - 1), days: g.a - prevEnd - 1 });
+    return prevEnd === null ? g.b : Math.max(prevEnd, g.b);
+  }, null);
+  return { mode, segments, overlaps, gaps, excluded: snapshots.filter(s => !used.has(s)) };
+}
+
+// Splits the plan into per-month pieces within [from, to]; w is the share of
+// the snapshot's values that belongs to the piece.
+function coveragePieces(plan, from, to) {
+  const lo = from ? toDay(from) : -Infinity, hi = to ? toDay(to) : Infinity;
+  const pieces = [];
+  plan.segments.forEach(g => {
+    let a = Math.max(g.a, lo);
+    const b = Math.min(g.b, hi);
+    while (a <= b) {
+      const month = fromDay(a).slice(0, 7);
+      const monthEnd = toDay(ymd(+month.slice(0,4), +month.slice(5,7), 0));
+      const e = Math.min(b, monthEnd);
+      pieces.push({ s: g.s, month, w: (e - a + 1) / g.span });
+      a = e + 1;
+    }
+  });
+  return pieces;
+}
+
+// Overlaps and gaps that touch [from, to], for warnings
+function coverageIssues(plan, from, to) {
+  const lo = from ? toDay(from) : -Infinity, hi = to ? toDay(to) : Infinity;
+  const inRange = (s) => { const c = coverageOf(s); return toDay(c.start) <= hi && toDay(c.end) >= lo; };
+  return {
+    overlaps: plan.overlaps.filter(([x, y]) => inRange(x) && inRange(y)),
+    gaps: plan.gaps.filter(g => toDay(g.start) <= hi && toDay(g.end) >= lo),
+    excluded: plan.excluded.filter(inRange),
+  };
+}
+
+// ─── GOOGLE ADS EDITOR BULK CHANGES ──────────────────────────
+// Action Center picks become rows for Google Ads Editor's CSV import: the
+// campaigns behind profitable URLs get a daily budget change. Editor has no
+// relative changes, so new values are based on this snapshot's average daily
+// spend per campaign, in the account currency (INR). Pauses and bids are set
+// on ads and ad groups, which the cost import doesn't capture, so turn-off
+// picks are skipped and left to Editor.
+const BULK_COLUMNS = ["Campaign", "Budget"];
+
+function planBulkChanges(snapshot, picks, { pct }) {
+  const { start, end } = coverageOf(snapshot);
+  const days = toDay(end) - toDay(start) + 1;
+  const bySlug = Object.fromEntries(snapshot.urls.map(u => [u.slug, u]));
+  const campaignTotals = mergeByCampaign(snapshot.urls);
+  const rows = [], skipped = [], scaled = {};
+  picks.forEach(slug => {
+    const u = bySlug[slug];
+    if (!u) return;
+    if (u.status === "turnoff") { skipped.push(`/${slug}: pausing needs its ad group and ad, which the cost import doesn't capture — pause it in Editor`); return; }
+    if (u.status !== "profitable") { skipped.push(`/${slug}: no longer profitable under the current rules`); return; }
+    u.ga.campaigns.forEach(c => { (scaled[c] = scaled[c] || []).push(slug); });
+  });
+  Object.entries(scaled).forEach(([c, slugs]) => {
+    const t = campaignTotals[c];
+    if (c === NO_CAMPAIGN || !t) { skipped.push(`${c}: no per-campaign cost in this snapshot`); return; }
+    if (t.channel) { skipped.push(`${c}: not a Google Ads campaign`); return; }
+    const daily = t.costINR / days;
+    rows.push({ id: `budget\t${c}`, type: "budget", campaign: c, slugs, basis: `avg ${fmtINR(daily)}/day over ${days} days`, value: Math.round(daily * (1 + pct / 100)) });
+  });
+  return { rows, skipped, days };
+}
+
+const bulkEditorRow = (r) => [r.campaign, r.value];
+
+// ─── ACTION LOG ──────────────────────────────────────────────
+// settings.actionLog: [{ id, slug, type, date, pct?, note, createdAt }], what
+// was done to a URL and when. An action's outcome compares the URL's profit
+// per day (the attribution model's) in the last snapshot ending before it with
+// the snapshots starting on or after it; per day keeps periods of different
+// lengths comparable and a URL missing from a later snapshot counts as zero.
+const ACTION_TYPES = {
+  pause: { label:"Paused", icon:"⏸", color:"#ef4444" },
+  resume: { label:"Resumed", icon:"▶", color:"#a78bfa" },
+  scale: { label:"Budget", icon:"💰", color:"#34d399", pct:true },
+  bid: { label:"Bid", icon:"🎚", color:"#34d399", pct:true },
+  optimize: { label:"Optimized ads", icon:"🔧", color:"#fbbf24" },
+  landing: { label:"Landing page changed", icon:"📝", color:"#60a5fa" },
+  note: { label:"Note", icon:"🗒", color:"#94a3b8" },
+};
+const ACTION_VERDICTS = {
+  improved: { label:"Improved", color:"var(--green)" },
+  worse: { label:"Worse", color:"var(--red)" },
+  flat: { label:"No change", color:"var(--muted)" },
+  pending: { label:"Waiting for data", color:"var(--muted)" },
+  nobaseline: { label:"No earlier data", color:"var(--muted)" },
+};
+const actionType = (type) => ACTION_TYPES[type] || ACTION_TYPES.note;
+const actionLabel = (a) => actionType(a.type).pct && a.pct ? `${actionType(a.type).label} ${a.pct > 0 ? "+" : ""}${a.pct}%` : actionType(a.type).label;
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+function actionOutcome(action, snapshots) {
+  const points = snapshots.filter(s => s.urls).map(s => ({ s, u: s.urls.find(x => x.slug === action.slug), ...coverageOf(s), days: coverageDays(s) }));
+  const profitOf = (p) => p.u ? p.u.adProfit ?? p.u.profit : 0;
+  const perDay = (ps) => ps.reduce((t,p) => t + profitOf(p), 0) / ps.reduce((t,p) => t + p.days, 0);
+  const before = points.filter(p => p.u && p.end < action.date).sort((a,b) => b.end.localeCompare(a.end))[0];
+  const after = points.filter(p => p.start >= action.date).sort((a,b) => a.end.localeCompare(b.end));
+  const last = after[after.length - 1];
+  const delta = before && after.length ? perDay(after) - perDay([before]) : null;
+  return {
+    before: before ? { label: before.s.label, status: before.u.status, perDay: perDay([before]) } : null,
+    after: after.length ? { snapshots: after.length, status: last.u?.status || null, perDay: perDay(after) } : null,
+    delta,
+    verdict: !after.length ? "pending" : !before ? "nobaseline" : Math.abs(delta) < 0.01 ? "flat" : delta > 0 ? "improved" : "worse",
+  };
+}
+
+// The first point of a URL's history (each with its coverage) that the action
+// could have affected
+const actionPoint = (action, history) => history.filter(h => h.cover.end >= action.date).sort((a,b) => a.cover.end.localeCompare(b.cover.end))[0];
+
+// ─── WHAT-IF SIMULATOR ───────────────────────────────────────
+// A scenario scales each ad URL's spend by its own override or its status
+// bucket's percentage (-100 = pause). Revenue follows clicks at the snapshot's
+// revenue-per-click; with diminishing returns clicks grow as factor^elasticity.
+const RPC_MODELS = { snapshot:"Snapshot Rev/Click", diminishing:"Diminishing returns" };
+const EMPTY_SCENARIO = { name:"", bucketScale:{}, urlOverrides:{}, rpcModel:"snapshot", elasticity:0.7 };
+
+function simulateScenario(urls, scenario) {
+  const rows = urls.filter(u => u.hasAds).map(u => {
+    const o = scenario.urlOverrides[u.slug] || {};
+    const pct = o.paused ? -100 : (o.scale ?? scenario.bucketScale[u.status] ?? 0);
+    const factor = Math.max(0, 1 + pct / 100);
+    const clickFactor = scenario.rpcModel === "diminishing" ? Math.pow(factor, scenario.elasticity) : factor;
+    const spend = u.ga.costUSD * factor;
+    const clicks = u.ga.clicks * clickFactor;
+    const revenue = u.ga.clicks > 0 ? u.revenuePerClick * clicks : u.mv.revenue;
+    return { slug:u.slug, status:u.status, pct, paused:factor === 0, curSpend:u.ga.costUSD, curRevenue:u.mv.revenue, curProfit:u.profit, spend, clicks, revenue, profit: revenue - spend };
+  });
+  const delta = (k, c) => rows.reduce((s,r) => s + r[k] - r[c], 0);
+  return { rows, spendDelta: delta("spend","curSpend"), revenueDelta: delta("revenue","curRevenue"), profitDelta: delta("profit","curProfit") };
+}
+
+// ─── FORECASTING ─────────────────────────────────────────────
+// Least-squares trend per metric over calendar months. Once the first and last
+// months are a year or more apart, the mean residual per calendar month is
+// added back as seasonality (each row's `seasonal` says which model ran).
+// Bands are ~80% prediction intervals from the trend residuals.
+const FORECAST_Z = 1.28;
+const FORECAST_KEYS = ["mvRevenue", "gaSpendUSD", "profit"];
+const FORECAST_OPTIONS = [0, 1, 2, 3, 4, 5, 6];
+const monthIndex = (month) => { const [y, m] = month.split("-"); return +y * 12 + (+m - 1); };
+const monthFromIndex = (i) => `${Math.floor(i / 12)}-${String(i % 12 + 1).padStart(2, "0")}`;
+const monthLabel = (month) => { const [y, m] = month.split("-"); return new Date(+y, +m - 1).toLocaleDateString("en-US", { month:"short", year:"2-digit" }); };
+
+function forecastMonthly(rows, keys, horizon) {
+  if (rows.length < 3 || horizon < 1) return [];
+  const xs = rows.map(r => monthIndex(r.month));
+  const n = xs.length, last = xs[n - 1];
+  const xMean = xs.reduce((s, x) => s + x, 0) / n;
+  const sxx = xs.reduce((s, x) => s + (x - xMean) ** 2, 0);
+  const seasonal = last - xs[0] >= 12;
+  const out = Array.from({ length: horizon }, (_, i) => {
+    const month = monthFromIndex(last + i + 1);
+    return { month, label: monthLabel(month), forecast: true, seasonal };
+  });
+  keys.forEach(k => {
+    const ys = rows.map(r => r[k]);
+    const yMean = ys.reduce((s, y) => s + y, 0) / n;
+    const slope = sxx > 0 ? xs.reduce((s, x, i) => s + (x - xMean) * (ys[i] - yMean), 0) / sxx : 0;
+    const trend = (x) => yMean + slope * (x - xMean);
+    const resid = xs.map((x, i) => ys[i] - trend(x));
+    const sigma = Math.sqrt(resid.reduce((s, r) => s + r * r, 0) / Math.max(1, n - 2));
+    const season = {};
+    if (seasonal) {
+      const acc = {};
+      xs.forEach((x, i) => { (acc[x % 12] = acc[x % 12] || []).push(resid[i]); });
+      Object.entries(acc).forEach(([m, r]) => { season[m] = r.reduce((s, v) => s + v, 0) / r.length; });
+    }
+    out.forEach((row, i) => {
+      const x = last + i + 1;
+      const v = trend(x) + (season[x % 12] || 0);
+      const w = FORECAST_Z * sigma * Math.sqrt(1 + 1 / n + (sxx > 0 ? (x - xMean) ** 2 / sxx : 0));
+      row[k + "Fc"] = v;
+      row[k + "Band"] = [v - w, v + w];
+    });
+  });
+  return out;
+}
+
+// Joins forecast rows onto chart rows, anchoring the last actual point so the
+// dashed forecast lines start where history ends.
+function appendForecast(rows, fc, keys) {
+  if (!fc.length || !rows.length) return rows;
+  const tail = { ...rows[rows.length - 1] };
+  keys.forEach(k => { tail[k + "Fc"] = tail[k]; tail[k + "Band"] = [tail[k], tail[k]]; });
+  return [...rows.slice(0, -1), tail, ...fc];
+}
+
+// A URL's history chart: one row per snapshot, oldest first (snapshots are
+// stored newest first) so the forecast continues from the latest point
+function urlHistoryChart(history, horizon) {
+  const byMonth = {};
+  history.filter(h => h.date).forEach(h => {
+    const m = byMonth[h.date.slice(0,7)] = byMonth[h.date.slice(0,7)] || { month:h.date.slice(0,7), mvRevenue:0, gaSpendUSD:0, profit:0 };
+    m.mvRevenue += h.mv.revenue; m.gaSpendUSD += h.ga.costUSD; m.profit += h.profit;
+  });
+  const months = Object.values(byMonth).sort((a,b) => a.month.localeCompare(b.month));
+  const forecast = forecastMonthly(months, FORECAST_KEYS, horizon);
+  const sources = sourcesIn(history.map(h => revenueBySource(h.mv)));
+  const rows = [...history].sort((a,b) => (a.date || "").localeCompare(b.date || "")).map(h => ({
+    label: h.date ? monthLabel(h.date) : h.label,
+    mvRevenue: h.mv.revenue,
+    ...Object.fromEntries(sources.map(id => [sourceKey(id), revenueBySource(h.mv)[id] || 0])),
+    gaSpendUSD: h.ga.costUSD,
+    profit: h.profit,
+  }));
+  return { months, forecast, sources, rows: appendForecast(rows, forecast, FORECAST_KEYS) };
+}
+
+// ─── IMPORT REPORT ───────────────────────────────────────────
+// Last path segment match between a GA-only and an MV-only slug usually means
+// the ad points at an old permalink that now redirects
+const lastSegment = (slug) => slug.split("/").filter(Boolean).pop() || "";
+
+function unmatchedSlugs(mvMap, gaMap) {
+  const gaOnly = Object.entries(gaMap).filter(([slug]) => !mvMap[slug])
+    .map(([slug, g]) => ({ slug, costINR: g.costINR, clicks: g.clicks }))
+    .sort((a,b) => b.costINR - a.costINR);
+  const mvOnlyAll = Object.entries(mvMap).filter(([slug]) => !gaMap[slug]);
+  const mvOnly = mvOnlyAll.filter(([, m]) => m.revenue > 0)
+    .map(([slug, m]) => ({ slug, revenue: m.revenue, views: m.views }))
+    .sort((a,b) => b.revenue - a.revenue);
+  const bySegment = {};
+  mvOnlyAll.forEach(([slug]) => { const seg = lastSegment(slug); if (seg) bySegment[seg] = slug; });
+  const likelyRedirects = gaOnly.filter(g => bySegment[lastSegment(g.slug)])
+    .map(g => ({ slug: g.slug, target: bySegment[lastSegment(g.slug)], costINR: g.costINR }));
+  return { gaOnly, mvOnly, likelyRedirects, mvOnlyZeroRevenue: mvOnlyAll.length - mvOnly.length };
+}
+
+// A stored snapshot no longer has its files; its URLs stand in for the maps
+function rebuildImportReport(report, urls, toSlug) {
+  const mvMap = {}, gaMap = {};
+  urls.forEach(u => {
+    if (u.mv.views > 0 || u.mv.revenue > 0) mvMap[u.slug] = u.mv;
+    if (u.ga.costINR > 0 || u.ga.clicks > 0) gaMap[u.slug] = u.ga;
+  });
+  return { ...report, ...unmatchedSlugs(mvMap, gaMap), duplicates: report.duplicates.map(d => ({ ...d, slug: toSlug(d.slug) || d.slug })) };
+}
+
+function buildImportReport({ revenue, costs, rate, mvMap, gaMap, duplicates, skipped, totals }) {
+  const gaSkippedCostINR = skipped.filter(r => r.reason !== "total").reduce((s,r) => s + r.costINR, 0);
+  const blended = costs.some(f => f.channel !== "google" || f.currency !== "INR");
+  // A report's own total row only reconciles a Google Ads-only import
+  const totalRow = !blended && skipped.find(r => r.reason === "total");
+  const fileCost = (files, toINR) => files.reduce((s,f) => s + f.rows.reduce((t,r) => t + num(r.Cost), 0) * (toINR && f.currency === "USD" ? rate : 1), 0);
+  const channelIds = [...new Set(costs.map(f => f.channel))];
+  const fileRevenue = (files) => files.reduce((s,f) => s + f.rows.reduce((t,r) => t + num(r.revenue), 0), 0);
+  const sourceIds = [...new Set(revenue.map(f => f.source))];
+  return {
+    ...unmatchedSlugs(mvMap, gaMap), duplicates, skipped,
+    reconciliation: {
+      mvFileRevenue: fileRevenue(revenue),
+      mvSnapshotRevenue: totals.mvRevenue,
+      // Per source, only when more than one was imported
+      sources: sourceIds.length > 1 ? sourceIds.map(id => ({ source: id, file: fileRevenue(revenue.filter(f => f.source === id)), snapshot: totals.revenueBySource[id] || 0 })) : undefined,
+      gaFileCostINR: fileCost(costs, true) + skipped.filter(r => r.row).reduce((s,r) => s + (r.reason === "total" ? 0 : r.costINR), 0),
+      gaSnapshotCostINR: totals.gaSpendINR,
+      gaSkippedCostINR,
+      gaReportedTotalINR: totalRow ? totalRow.costINR : null,
+      // Per channel in its own currency, when anything but Google Ads in INR was imported
+      channels: blended ? channelIds.map(id => ({
+        channel: id, currency: costs.find(f => f.channel === id).currency,
+        file: fileCost(costs.filter(f => f.channel === id)),
+        snapshot: Object.values(gaMap).reduce((s,g) => s + (g.byChannel?.[id]?.cost || 0), 0),
+      })) : undefined,
+    },
+  };
+}
+
+const reportIssueCount = (r) => r ? r.gaOnly.length + r.likelyRedirects.length + r.duplicates.length + r.skipped.filter(x => x.reason !== "total").length : 0;
+
+// ─── ANOMALY DETECTION ───────────────────────────────────────
+// Each import is compared URL by URL with the latest earlier snapshot of the
+// same period type. Minimums keep tiny URLs from flooding the feed.
+const ANOMALY_THRESHOLDS = { spikeRatio:2, dropRatio:0.5, minSpendUSD:5, minRevenueUSD:5, minClicks:10, minViews:500, qualityDropPts:10 };
+const STATUS_RANK = { profitable:0, improving:1, losing:2, turnoff:3 };
+const ANOMALY_TYPES = {
+  spend_spike:      { icon:"💸", label:"Spend spike",      severity:"high",   money:true },
+  cpc_spike:        { icon:"🏷️", label:"CPC doubled",      severity:"medium", money:true },
+  revenue_drop:     { icon:"📉", label:"Revenue drop",     severity:"high",   money:true },
+  rpm_drop:         { icon:"🔻", label:"RPM collapse",     severity:"medium", money:true },
+  roi_flip:         { icon:"↘️", label:"ROI turned negative", severity:"high" },
+  status_downgrade: { icon:"⬇️", label:"Status downgrade", severity:"high" },
+  viewability_drop: { icon:"👁️", label:"Viewability drop", severity:"medium" },
+  fillrate_drop:    { icon:"🧩", label:"Fill-rate drop",   severity:"medium" },
+};
+
+function detectAnomalies(prev, curr) {
+  const T = ANOMALY_THRESHOLDS;
+  const before = new Map(prev.urls.map(u => [u.slug, u]));
+  // A one-sided import (revenue only, or paid traffic only) says nothing about the other side
+  const has = (s, side) => s.urls.some(u => side === "mv" ? u.mv.views > 0 || u.mv.revenue > 0 : u.ga.costINR > 0);
+  const mv = has(prev, "mv") && has(curr, "mv"), ga = has(prev, "ga") && has(curr, "ga");
+  const out = [];
+  curr.urls.forEach(u => {
+    const p = before.get(u.slug);
+    if (!p) return;
+    const add = (type, from, to) => out.push({ type, slug:u.slug, from, to });
+    if (ga && u.ga.costUSD >= p.ga.costUSD * T.spikeRatio && u.ga.costUSD - p.ga.costUSD >= T.minSpendUSD) add("spend_spike", p.ga.costUSD, u.ga.costUSD);
+    if (ga && u.ga.clicks >= T.minClicks && p.ga.clicks >= T.minClicks && u.costPerClick >= p.costPerClick * T.spikeRatio) add("cpc_spike", p.costPerClick, u.costPerClick);
+    if (mv && p.mv.revenue >= T.minRevenueUSD && u.mv.revenue <= p.mv.revenue * T.dropRatio) add("revenue_drop", p.mv.revenue, u.mv.revenue);
+    if (mv && p.mv.views >= T.minViews && u.mv.views >= T.minViews) {
+      if (u.mv.rpm <= p.mv.rpm * T.dropRatio) add("rpm_drop", p.mv.rpm, u.mv.rpm);
+      if (p.mv.viewability - u.mv.viewability >= T.qualityDropPts) add("viewability_drop", p.mv.viewability, u.mv.viewability);
+      if (p.mv.fillRate - u.mv.fillRate >= T.qualityDropPts) add("fillrate_drop", p.mv.fillRate, u.mv.fillRate);
+    }
+    if (mv && ga && p.hasAds && u.hasAds) {
+      if (p.roi > 0 && u.roi < 0) add("roi_flip", p.roi, u.roi);
+      if (STATUS_RANK[u.status] > STATUS_RANK[p.status]) add("status_downgrade", p.status, u.status);
+    }
+  });
+  return out;
+}
+
+// The snapshot a new import is compared with; only its urls need loading
+function anomalyBase(snapshot, earlier) {
+  return earlier
+    .filter(s => s.id !== snapshot.id && s.period === snapshot.period && s.date <= snapshot.date)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt - a.createdAt)[0] || null;
+}
+
+// Stores the alerts on the snapshot so the feed reflects what was flagged at import
+function withAnomalies(snapshot, base) {
+  if (!base) return snapshot;
+  return { ...snapshot, alerts: detectAnomalies(base, snapshot), alertBase: { id: base.id, label: base.label, date: base.date } };
+}
+
+function describeAnomaly(a, statusConfig) {
+  const t = ANOMALY_TYPES[a.type];
+  if (a.type === "status_downgrade") return `${statusConfig[a.from]?.label || a.from} → ${statusConfig[a.to]?.label || a.to}`;
+  if (t.money) return `${fmt(a.from)} → ${fmt(a.to)}`;
+  if (a.type === "roi_flip") return `${pctStr(a.from)} → ${pctStr(a.to)}`;
+  return `${a.from.toFixed(1)}% → ${a.to.toFixed(1)}%`;
+}
+
+// ─── SNAPSHOT DIFF ───────────────────────────────────────────
+const TOTAL_FIELDS = {
+  mvRevenue:{ label:"Revenue", f:(v)=>fmt(v) }, gaSpendUSD:{ label:"Ad Spend (USD)", f:(v)=>fmt(v) },
+  gaSpendINR:{ label:"Ad Spend (INR)", f:(v)=>fmtINR(v) }, totalProfit:{ label:"Net Profit", f:(v)=>fmt(v) },
+  gaClicks:{ label:"Clicks", f:(v)=>Math.round(v).toLocaleString() }, gaImpressions:{ label:"Impressions", f:(v)=>Math.round(v).toLocaleString() },
+  urlCount:{ label:"URLs", f:(v)=>v.toLocaleString() }, adsUrlCount:{ label:"Ad URLs", f:(v)=>v.toLocaleString() },
+};
+const MOVER_METRICS = { profit:"Profit", spend:"Spend", roi:"ROI" };
+const NO_ADS = "none";
+
+// Transitions key by status, with NO_ADS for a side where the URL ran no ads
+function diffSnapshots(a, b) {
+  const before = new Map(a.urls.map(u => [u.slug, u])), after = new Map(b.urls.map(u => [u.slug, u]));
+  const totals = Object.keys(TOTAL_FIELDS).map(key => {
+    const va = a.totals[key] || 0, vb = b.totals[key] || 0;
+    return { key, a:va, b:vb, delta:vb - va };
+  });
+  const transitions = {};
+  const movers = [];
+  b.urls.forEach(u => {
+    const p = before.get(u.slug);
+    if (!p) return;
+    if (p.hasAds || u.hasAds) {
+      const key = `${p.hasAds ? p.status : NO_ADS}>${u.hasAds ? u.status : NO_ADS}`;
+      (transitions[key] = transitions[key] || []).push(u.slug);
+    }
+    movers.push({
+      slug:u.slug, from:p, to:u,
+      profit:u.profit - p.profit,
+      spend:u.ga.costUSD - p.ga.costUSD,
+      roi:p.hasAds && u.hasAds ? u.roi - p.roi : null,
+    });
+  });
+  return {
+    totals, transitions, movers,
+    added:b.urls.filter(u => !before.has(u.slug)),
+    removed:a.urls.filter(u => !after.has(u.slug)),
+  };
+}
+
+// ─── REVENUE ATTRIBUTION ─────────────────────────────────────
+// How much of a page's revenue its paid traffic earned. "page" credits all of
+// it; "rpv" credits paid clicks × pages per session × the page's revenue per
+// view; "baseline" credits what the page made above its organic revenue per day
+// in earlier snapshots without ads, falling back to rpv for pages never seen
+// without ads. profit stays page profit; status, campaign and channel profit
+// and the Action Center use adRevenue / adProfit.
+const ATTRIBUTION_MODELS = {
+  page: "All page revenue",
+  rpv: "Paid clicks × revenue per view",
+  baseline: "Above organic baseline",
+};
+const ATTRIBUTION_BASIS = { page:"page revenue", rpv:"clicks × revenue per view", baseline:"above organic baseline" };
+const DEFAULT_ATTRIBUTION = { model: "page", pagesPerSession: 1.3 };
+const attributionOf = (settings) => ({ ...DEFAULT_ATTRIBUTION, ...settings?.attribution });
+
+// slug → [{ end, revenue, days }] for every snapshot where the page ran no ads
+function organicBaselines(snapshots) {
+  const out = {};
+  snapshots.forEach(s => {
+    if (!s.urls) return;
+    const { end } = coverageOf(s), days = coverageDays(s);
+    s.urls.forEach(u => { if (!u.hasAds && u.mv.revenue > 0) (out[u.slug] = out[u.slug] || []).push({ end, revenue: u.mv.revenue, days }); });
+  });
+  return out;
+}
+
+function attributeUrl(u, s, attribution, baselines) {
+  let adRevenue = u.mv.revenue, adBasis = "page";
+  if (u.hasAds && attribution.model !== "page") {
+    const { start } = coverageOf(s);
+    const before = (baselines?.[u.slug] || []).filter(b => b.end < start);
+    if (before.length) {
+      const perDay = before.reduce((a,b) => a + b.revenue, 0) / before.reduce((a,b) => a + b.days, 0);
+      adRevenue = Math.max(0, u.mv.revenue - perDay * coverageDays(s));
+      adBasis = "baseline";
+    } else {
+      const rpv = u.mv.views > 0 ? u.mv.revenue / u.mv.views : 0;
+      adRevenue = Math.min(u.mv.revenue, u.ga.clicks * attribution.pagesPerSession * rpv);
+      adBasis = "rpv";
+    }
+  }
+  const adProfit = adRevenue - u.ga.costUSD;
+  const adRoi = u.ga.costUSD > 0 ? (adProfit / u.ga.costUSD) * 100 : (adRevenue > 0 ? 999 : 0);
+  return { adRevenue, adProfit, adRoi, adBasis };
+}
+
+// ─── REPORT DIMENSIONS ───────────────────────────────────────
+// Mediavine can export per-day and per-device/country rows, and a segmented
+// Google Ads landing page report can carry device and country. Rows are summed
+// per slug and the split is kept in mv/ga byDate, byDevice and byCountry
+// ({ views, revenue } and { clicks, costINR }).
+const DIMENSIONS = { device:"Device", country:"Country", date:"Date" };
+const BREAKDOWN_FIELDS = { device:"byDevice", country:"byCountry", date:"byDate" };
+const COUNTRY_CODES = {
+  "united states":"US", "usa":"US", "united states of america":"US", "united kingdom":"GB", "uk":"GB", "great britain":"GB",
+  "canada":"CA", "australia":"AU", "india":"IN", "germany":"DE", "france":"FR", "new zealand":"NZ", "ireland":"IE",
+  "philippines":"PH", "south africa":"ZA", "mexico":"MX", "brazil":"BR", "spain":"ES", "italy":"IT", "netherlands":"NL",
+};
+
+function normalizeDevice(v) {
+  const d = String(v || "").trim().toLowerCase();
+  if (!d) return "";
+  if (/mobile|phone|smartphone/.test(d)) return "mobile";
+  if (/tablet|ipad/.test(d)) return "tablet";
+  if (/desktop|computer|pc/.test(d)) return "desktop";
+  return d;
+}
+
+function normalizeCountry(v) {
+  const c = String(v || "").trim();
+  if (/^[a-z]{2}$/i.test(c)) return c.toUpperCase();
+  return COUNTRY_CODES[c.toLowerCase()] || c;
+}
+
+// YYYY-MM-DD, M/D/YYYY (Mediavine) or D.M.YYYY
+function isoDate(v) {
+  const s = String(v || "").trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+  if (m) return ymd(+m[1], +m[2] - 1, +m[3]);
+  m = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/.exec(s);
+  if (m) return s.includes(".") ? ymd(+m[3], +m[2] - 1, +m[1]) : ymd(+m[3], +m[1] - 1, +m[2]);
+  return "";
+}
+
+const DIMENSION_NORMALIZERS = { device: normalizeDevice, country: normalizeCountry, date: isoDate };
+const dimensionsOf = (rows) => Object.keys(DIMENSIONS).filter(k => rows.some(r => String(r[k] || "").trim()));
+
+function addBreakdown(target, field, key, metrics) {
+  if (!key) return;
+  const all = target[field] = target[field] || {};
+  const b = all[key] = all[key] || {};
+  Object.entries(metrics).forEach(([m, v]) => { b[m] = (b[m] || 0) + v; });
+}
+
+// Sums the breakdowns of several mv or ga objects (URLs merged by renormalization)
+function mergeBreakdowns(parts) {
+  const out = {};
+  Object.values(BREAKDOWN_FIELDS).forEach(f => parts.forEach(p => Object.entries(p[f] || {}).forEach(([k, m]) => addBreakdown(out, f, k, m))));
+  return out;
+}
+
+// Mediavine rows for one slug across days/devices/countries: sums plus
+// view-weighted averages of the rate metrics
+function accumulateMv(acc, mv, row, dims) {
+  acc = acc || { views:0, revenue:0, weighted:{ cpm:0, viewability:0, fillRate:0, impressionsPerPV:0 } };
+  acc.views += mv.views; acc.revenue += mv.revenue;
+  Object.keys(acc.weighted).forEach(k => { acc.weighted[k] += mv[k] * mv.views; });
+  dims.forEach(d => addBreakdown(acc, BREAKDOWN_FIELDS[d], DIMENSION_NORMALIZERS[d](row[d]), { views: mv.views, revenue: mv.revenue }));
+  return acc;
+}
+
+function finishMv({ views, revenue, weighted, ...breakdowns }) {
+  const avg = Object.fromEntries(Object.entries(weighted).map(([k, v]) => [k, views > 0 ? v / views : 0]));
+  return { views, revenue, rpm: views > 0 ? revenue / views * 1000 : 0, ...avg, ...breakdowns };
+}
+
+// Device or country rows for one URL with Mediavine and Google Ads side by side;
+// the tail past `top` collapses into "Other"
+function breakdownRows(u, field, top = 6) {
+  const mv = u.mv[field] || {}, ga = u.ga[field] || {};
+  const rows = [...new Set([...Object.keys(mv), ...Object.keys(ga)])].map(key => ({
+    key, views: mv[key]?.views || 0, revenue: mv[key]?.revenue || 0, clicks: ga[key]?.clicks || 0, costINR: ga[key]?.costINR || 0,
+  })).sort((a, b) => b.revenue - a.revenue || b.costINR - a.costINR);
+  const shown = rows.slice(0, top);
+  if (rows.length > top) shown.push(rows.slice(top).reduce((o, r) => ({ ...o, views: o.views + r.views, revenue: o.revenue + r.revenue, clicks: o.clicks + r.clicks, costINR: o.costINR + r.costINR }),
+    { key: `Other (${rows.length - top})`, views: 0, revenue: 0, clicks: 0, costINR: 0 }));
+  const totals = rows.reduce((t, r) => ({ revenue: t.revenue + r.revenue, costINR: t.costINR + r.costINR }), { revenue: 0, costINR: 0 });
+  return shown.map(r => ({ ...r, rpm: r.views > 0 ? r.revenue / r.views * 1000 : 0,
+    revenueShare: totals.revenue > 0 ? r.revenue / totals.revenue : 0, spendShare: totals.costINR > 0 ? r.costINR / totals.costINR : 0 }));
+}
+
+// ─── SNAPSHOT BUILDER ────────────────────────────────────────
+// One revenue source's rows -> { map: { slug: mv }, dims }. A row repeated
+// with the same raw slug (and day/device/country) is a duplicate: with
+// dimensions the first is kept, otherwise the last, and the report keeps what
+// was dropped. Rows whose raw slugs differ but normalize to one slug (/amp,
+// query strings, aliases) are summed, as renormalizeSnapshot does. Sources
+// without page metrics (affiliate) report a row per sale, so all are summed.
+const mvOfRow = (r) => ({ views:num(r.views), revenue:num(r.revenue), cpm:num(r.cpm), viewability:num(r.viewability), fillRate:num(r.fillrate || r.fillRate), impressionsPerPV:num(r.impressionsperpageview || r.impressionsPerPageview) });
+
+function aggregateRevenueRows(rows, toSlug, duplicates, source) {
+  const dims = dimensionsOf(rows);
+  const perSale = revenueSource(source).pageMetrics === false;
+  const kept = new Map(), dups = {};
+  rows.forEach((r, i) => {
+    const slug = toSlug(r.slug);
+    if (!slug) return;
+    const key = perSale ? i : [String(r.slug).trim(), ...dims.map(d => DIMENSION_NORMALIZERS[d](r[d]))].join("\u0000");
+    const prev = kept.get(key);
+    if (prev) {
+      const dropped = dims.length ? num(r.revenue) : num(prev.r.revenue);
+      if (dups[key]) { dups[key].count++; dups[key].droppedRevenue += dropped; }
+      else duplicates.push(dups[key] = { source:"mv", revenueSource:source, slug, count:2, detail: dims.length ? `${r.slug} · ${dims.map(d => r[d]).join(" · ")}` : r.slug, droppedRevenue: dropped });
+      if (dims.length) return;
+    }
+    kept.set(key, { slug, r });
+  });
+  const acc = {}, only = {};
+  kept.forEach(({ slug, r }) => { only[slug] = acc[slug] ? null : r; acc[slug] = accumulateMv(acc[slug], mvOfRow(r), r, dims); });
+  // A single page row keeps the report's own RPM
+  const map = Object.fromEntries(Object.entries(acc).map(([slug, a]) =>
+    [slug, !dims.length && only[slug] ? { ...mvOfRow(only[slug]), rpm: num(only[slug].rpm) } : finishMv(a)]));
+  return { map, dims };
+}
+
+// Per-source mv objects for one slug -> one mv object
+function combineRevenue(parts) {
+  const ids = Object.keys(parts);
+  if (ids.length === 1 && ids[0] === "mediavine") return parts.mediavine;
+  const revenue = ids.reduce((s, id) => s + parts[id].revenue, 0);
+  const ads = ids.filter(id => revenueSource(id).pageMetrics !== false).sort((a, b) => parts[b].views - parts[a].views);
+  const page = ads.length ? parts[ads[0]] : { views:0, cpm:0, viewability:0, fillRate:0, impressionsPerPV:0 };
+  // Only the primary network's views go into the breakdowns; revenue comes from all of them
+  const breakdowns = mergeBreakdowns(ids.map(id => id === ads[0] ? parts[id] : Object.fromEntries(Object.values(BREAKDOWN_FIELDS).filter(f => parts[id][f])
+    .map(f => [f, Object.fromEntries(Object.entries(parts[id][f]).map(([k, m]) => [k, { revenue: m.revenue }]))]))));
+  return {
+    views: page.views, revenue, rpm: page.views > 0 ? revenue / page.views * 1000 : 0,
+    cpm: page.cpm, viewability: page.viewability, fillRate: page.fillRate, impressionsPerPV: page.impressionsPerPV,
+    ...breakdowns,
+    bySource: Object.fromEntries(ids.map(id => [id, parts[id].revenue])),
+  };
+}
+
+// Merges parsed revenue ([{ source, rows }]) and paid traffic ([{ channel,
+// currency, rows }]) into a snapshot priced, keyed and classified with the
+// given (workspace) settings
+function buildSnapshot({ revenue = [], costs = [], skipped = [], settings, meta }) {
+  const ruleSet = getActiveRuleSet(settings);
+  const fx = rateForDate(meta.date, settings);
+  const toSlug = slugNormalizer(settings);
+  const duplicates = [];
+
+  // Revenue lookup by normalized slug, summed across sources
+  const parts = {};
+  const mvDims = new Set();
+  revenue.forEach(({ source, rows }) => {
+    const { map, dims } = aggregateRevenueRows(rows, toSlug, duplicates, source);
+    dims.forEach(d => mvDims.add(d));
+    Object.entries(map).forEach(([slug, mv]) => {
+      const p = parts[slug] = parts[slug] || {};
+      // Two files of the same source are two halves of one report
+      if (!p[source]) { p[source] = mv; return; }
+      const views = p[source].views + mv.views, rev = p[source].revenue + mv.revenue;
+      p[source] = { ...mv, views, revenue: rev, rpm: views > 0 ? rev / views * 1000 : 0, ...mergeBreakdowns([p[source], mv]) };
+    });
+  });
+  const mvMap = Object.fromEntries(Object.entries(parts).map(([slug, p]) => [slug, combineRevenue(p)]));
+
+  // Paid traffic lookup by normalized slug, summed across campaigns and
+  // channels; costINR converts other currencies at the snapshot's rate
+  const gaMap = {};
+  const gaSeen = new Set();
+  const gaRows = costs.flatMap(f => f.rows);
+  const gaDims = dimensionsOf(gaRows.map(r => ({ device: r.Device, country: r.Country })));
+  const blended = costs.some(f => f.channel !== "google" || f.currency !== "INR");
+  costs.forEach(({ channel, currency, rows }) => rows.forEach(r => {
+    const lp = (r["Landing page"]||"").trim();
+    const slug = toSlug(lp);
+    const toINR = (v) => currency === "USD" ? v * fx.rate : v;
+    if (!slug) { skipped.push({ row:null, landingPage:lp, costINR:toINR(num(r.Cost)), reason:"no slug", channel }); return; }
+    if (!gaMap[slug]) gaMap[slug] = { campaigns:[], clicks:0, impressions:0, costINR:0, cpc:0, ctr:0, byCampaign:{} };
+    const g = gaMap[slug];
+    const clicks = num(r.Clicks);
+    const impr = num(r["Impr."]);
+    const amount = num(r.Cost);
+    const cost = toINR(amount);
+    const name = (r.Campaign||"").trim();
+    const campaign = name ? campaignKey(channel, name) : "";
+    const device = normalizeDevice(r.Device), country = normalizeCountry(r.Country);
+    const rowKey = [slug, channel, campaign, device, country].join("\u0000");
+    if (gaSeen.has(rowKey)) duplicates.push({ source:"ga", channel, slug, count:2, detail: [lp, campaign || "no campaign", device, country].filter(Boolean).join(" · "), droppedRevenue:0 });
+    gaSeen.add(rowKey);
+    g.clicks += clicks;
+    g.impressions += impr;
+    g.costINR += cost;
+    if (campaign && !g.campaigns.includes(campaign)) g.campaigns.push(campaign);
+    const key = campaign || campaignKey(channel, "") || NO_CAMPAIGN;
+    const bc = g.byCampaign[key] = g.byCampaign[key] || { clicks:0, impressions:0, costINR:0, ...(channel !== "google" ? { channel } : {}) };
+    bc.clicks += clicks; bc.impressions += impr; bc.costINR += cost;
+    if (blended) {
+      const chans = g.byChannel = g.byChannel || {};
+      const c = chans[channel] = chans[channel] || { clicks:0, impressions:0, cost:0, currency };
+      c.clicks += clicks; c.impressions += impr; c.cost += amount;
+    }
+    addBreakdown(g, "byDevice", device, { clicks, costINR: cost });
+    addBreakdown(g, "byCountry", country, { clicks, costINR: cost });
+  }));
+
+  // Merge all slugs
+  const allSlugs = new Set([...Object.keys(mvMap), ...Object.keys(gaMap)]);
+  const urls = [];
+  allSlugs.forEach(slug => {
+    const mv = mvMap[slug] || { views:0, revenue:0, rpm:0, cpm:0, viewability:0, fillRate:0, impressionsPerPV:0 };
+    const ga = gaMap[slug] || { campaigns:[], clicks:0, impressions:0, costINR:0 };
+    urls.push(priceUrl(slug, mv, ga, fx.rate, ruleSet));
+  });
+
+  const snapshot = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2,6),
+    label: meta.label,
+    date: meta.date,
+    period: meta.period,
+    ...(meta.start && meta.end ? { start: meta.start, end: meta.end } : {}),
+    ...(mvDims.size || gaDims.length ? { dimensions: { mv: [...mvDims], ga: gaDims } } : {}),
+    createdAt: Date.now(),
+    normalizedAt: Date.now(),
+    ruleVersion: ruleSet.version,
+    fxRate: fx.rate,
+    fxSource: fx.source,
+    urls,
+    totals: computeTotals(urls),
+  };
+  snapshot.report = buildImportReport({ revenue, costs, rate: fx.rate, mvMap, gaMap, duplicates, skipped, totals: snapshot.totals });
+  return snapshot;
+}
+
+// ─── WORKSPACES ──────────────────────────────────────────────
+// Each workspace (site) has its own snapshots and settings. The default
+// workspace keeps the original single-site keys so existing data stays put.
+const SNAPSHOTS_KEY = "adprofit_snapshots_v3";
+const SETTINGS_KEY = "adprofit_settings_v1";
+const DEFAULT_WORKSPACES = { activeId: "default", workspaces: [{ id: "default", name: "ponly.com", domains: ["ponly.com"] }] };
+
+const wsKey = (base, ws) => !ws || ws.id === "default" ? base : `${base}__${ws.id}`;
+const bareHost = (h) => String(h || "").trim().toLowerCase().replace(/^www\./, "");
+const hostOf = (url) => { const m = /^[a-z][a-z0-9+.-]*:\/\/([^/?#:]+)/i.exec(String(url || "").trim()); return m ? bareHost(m[1]) : ""; };
+
+function workspaceForHost(host, workspaces) {
+  if (!host) return null;
+  return workspaces.find(w => (w.domains || []).some(d => { d = bareHost(d); return host === d || host.endsWith("." + d); })) || null;
+}
+
+// Splits cost report rows into this workspace's and other workspaces' by landing-page host
+function routeRowsByHost(gaRows, workspaces, active) {
+  const own = [], routed = {};
+  gaRows.forEach(r => {
+    const ws = workspaceForHost(hostOf(r["Landing page"]), workspaces);
+    if (!ws || ws.id === active.id) own.push(r);
+    else (routed[ws.id] = routed[ws.id] || []).push(r);
+  });
+  return { own, routed };
+}
+
+// The same per cost file: { own: [file], routed: { wsId: [file] } }
+function routeCostsByHost(costs, workspaces, active) {
+  const own = [], routed = {};
+  costs.forEach(f => {
+    const r = routeRowsByHost(f.rows, workspaces, active);
+    if (r.own.length) own.push({ ...f, rows: r.own });
+    Object.entries(r.routed).forEach(([id, rows]) => { (routed[id] = routed[id] || []).push({ ...f, rows }); });
+  });
+  return { own, routed };
+}
+
+// Routed rows whose page and campaign are already stored for the period are
+// dropped, so a shared export imported from both workspaces counts once
+const costRowKey = (channel, r, toSlug) => {
+  const name = (r.Campaign || "").trim();
+  return `${toSlug((r["Landing page"] || "").trim())}\u0000${name ? campaignKey(channel, name) : campaignKey(channel, "") || NO_CAMPAIGN}`;
+};
+const fileCostKeys = (files, toSlug) => new Set(files.flatMap(f => f.rows.map(r => costRowKey(f.channel, r, toSlug))));
+const storedCostKeys = (urls) => new Set(urls.flatMap(u => Object.keys(byCampaignOf(u)).map(c => `${u.slug}\u0000${c}`)));
+const unstoredCostFiles = (files, keys, toSlug) => files.map(f => ({ ...f, rows: f.rows.filter(r => !keys.has(costRowKey(f.channel, r, toSlug))) })).filter(f => f.rows.length);
+const costRowCount = (files) => files.reduce((n, f) => n + f.rows.length, 0);
+
+// ─── FILE EXPORT ─────────────────────────────────────────────
+const fileSlug = (s) => String(s || "").trim().replace(/[^\w.-]+/g, "-").replace(/^-+|-+$/g, "");
+const exportName = (parts, ext) => `${parts.map(fileSlug).filter(Boolean).join("_") || "export"}.${ext}`;
+const csvCell = (c) => `"${String(c ?? "").replace(/"/g, '""')}"`;
+// The BOM makes Excel read the file as UTF-8 (₹, non-ASCII slugs)
+const toCSV = (headers, rows) => "\uFEFF" + [headers, ...rows].map(r => r.map(csvCell).join(",")).join("\n");
+
+function downloadFile(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Minimal XLSX writer: inline strings, one style per number format and an
+// uncompressed zip, so no spreadsheet library is needed. A sheet is
+// { name, columns:[{ header, fmt, width }], rows }, where fmt is one of
+// XLSX_FORMATS and a cell may be { v, fmt } to override its column.
+const XLSX_FORMATS = { text: 0, usd: 2, inr: 3, pct: 4, int: 5, num: 6 };
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><numFmts count="3"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/><numFmt numFmtId="165" formatCode="&quot;₹&quot;#,##0"/><numFmt numFmtId="166" formatCode="0.0%"/></numFmts><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="7"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`;
+
+const xmlEscape = (s) => String(s).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const colName = (i) => (i >= 26 ? colName(Math.floor(i / 26) - 1) : "") + String.fromCharCode(65 + (i % 26));
+
+function xlsxCell(value, fmt, ref) {
+  const v = value && typeof value === "object" ? value.v : value;
+  const f = value && typeof value === "object" && value.fmt ? value.fmt : fmt;
+  if (v == null || v === "") return "";
+  if (typeof v === "number" && isFinite(v)) return `<c r="${ref}" s="${XLSX_FORMATS[f] || 0}"><v>${v}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+}
+
+function xlsxSheet({ columns, rows }) {
+  const head = `<row r="1">${columns.map((c, i) => `<c r="${colName(i)}1" t="inlineStr" s="1"><is><t>${xmlEscape(c.header)}</t></is></c>`).join("")}</row>`;
+  const body = rows.map((r, ri) => `<row r="${ri + 2}">${columns.map((c, i) => xlsxCell(r[i], c.fmt, `${colName(i)}${ri + 2}`)).join("")}</row>`).join("");
+  const cols = columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || (c.fmt === "text" || !c.fmt ? 24 : 14)}" customWidth="1"/>`).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><cols>${cols}</cols><sheetData>${head}${body}</sheetData></worksheet>`;
+}
+
+// Sheet names: 31 characters, none of []:*?/\ and unique (case-insensitive)
+function sheetNames(names) {
+  const used = new Set();
+  return names.map(n => {
+    const base = String(n).replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Sheet";
+    let name = base;
+    for (let i = 2; used.has(name.toLowerCase()); i++) name = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => { let c = n; for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1; return c >>> 0; });
+const crc32 = (bytes) => { let c = 0xffffffff; for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8); return (c ^ 0xffffffff) >>> 0; };
+
+// Stored (uncompressed) zip of { path: string }
+function zipFiles(files) {
+  const enc = new TextEncoder();
+  const local = [], central = [];
+  let offset = 0;
+  const u16 = (n) => [n & 0xff, (n >>> 8) & 0xff];
+  const u32 = (n) => [n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff];
+  Object.entries(files).forEach(([path, text]) => {
+    const name = enc.encode(path), data = enc.encode(text), crc = crc32(data);
+    const common = [...u16(20), ...u16(0x0800), ...u16(0), ...u16(0), ...u16(0x21), ...u32(crc), ...u32(data.length), ...u32(data.length), ...u16(name.length), ...u16(0)];
+    const header = new Uint8Array([...u32(0x04034b50), ...common]);
+    local.push(header, name, data);
+    central.push(new Uint8Array([...u32(0x02014b50), ...u16(20), ...common, ...u16(0), ...u16(0), ...u16(0), ...u32(0), ...u32(offset)]), name);
+    offset += header.length + name.length + data.length;
+  });
+  const size = central.reduce((t, b) => t + b.length, 0);
+  const count = Object.keys(files).length;
+  const end = new Uint8Array([...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(count), ...u16(count), ...u32(size), ...u32(offset), ...u16(0)]);
+  return new Blob([...local, ...central, end], { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
+
+function buildWorkbook(sheets) {
+  const names = sheetNames(sheets.map(s => s.name));
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("")}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    "xl/styles.xml": XLSX_STYLES,
+  };
+  sheets.forEach((sh, i) => { files[`xl/worksheets/sheet${i + 1}.xml`] = xlsxSheet(sh); });
+  return zipFiles(files);
+}
+
+// ─── EXECUTIVE REPORT ────────────────────────────────────────
+// Action Center buckets, shared by the view and the printable report
+function actionSections(ruleSet) {
+  return [
+    { status:"turnoff", title:"🛑 Turn Off Immediately", desc:"Deep negative ROI. These ads are burning money with minimal to no return. Pause them now.", action:"Pause Ad", logAs:"pause" },
+    { status:"losing", title:"⚠️ Losing Money — Review & Optimize", desc:"Negative ROI but potentially recoverable. Review targeting, ad copy, landing page, and bids.", action:"Review", logAs:"optimize" },
+    { status:"improving", title:"🔧 Can Improve — Optimization Opportunities", desc:"Marginal performance. Small tweaks to bids, keywords, or landing pages could make these profitable.", action:"Optimize", logAs:"optimize" },
+    ...Object.entries(ruleSet.customStatuses||{}).map(([k,c]) => ({ status:k, title:`${c.icon||"●"} ${c.label||k}`, desc:"Custom status defined in the active classification rules.", action:"Review", logAs:"note" })),
+    { status:"insufficient", title:"⏳ Insufficient Data — Keep Collecting", desc:"Too few clicks or too little spend to judge either way. Leave them running, or cap their budget until they reach the rule set's minimums.", action:"Wait" },
+    { status:"profitable", title:"✅ Profitable — Consider Scaling", desc:"Strong ROI. Consider increasing budget 10-20% to capture more traffic. Watch for diminishing returns.", action:"Scale", logAs:"scale" },
+  ];
 }
 
-const fmt = (n) => {
-  if (typeof n !== "number" || isNaN(n)) return "$0.00";
-  return (n < 0 ? "-" : "") + "$" + Math.abs(n).toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2});
+const REPORT_SECTIONS = {
+  summary: "Executive summary",
+  headline: "Headline metrics",
+  chart: "Profit vs expense chart",
+  breakdown: "Status breakdown",
+  movers: "Top winners & losers",
+  actions: "Recommended actions",
 };
-const fmtINR = (n) => {
-  if (typeof n !== "number" || isNaN(n)) return "₹0";
-  return "₹" + n.toLocaleString("en-IN",{minimumFractionDigits:0,maximumFractionDigits:0});
+// {site}, {period} and {date} are filled in when the report is rendered
+const DEFAULT_REPORT_TEMPLATE = {
+  id: "default", name: "Monthly executive report",
+  title: "{site} — Ad Profit Report", subtitle: "{period}",
+  intro: "", footer: "Prepared {date}",
+  sections: Object.keys(REPORT_SECTIONS), topN: 10, accent: "#047857",
 };
-const pctStr = (n) => (typeof n === "number" ? (n >= 0 ? "+" : "") + n.toFixed(1) + "%" : "0%");
-const num = (v) => {
-  if (v === null || v === undefined || v === "") return 0;
-  const s = String(v).replace(/[$₹%"',\s]/g, "").replace(/--/g, "0");
-  const n = parseFloat(s);
-  return isNaN(n) ? 0 : n;
+
+const fillTemplate = (text, vars) => String(text || "").replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+const fmtCompact = (n) => (n < 0 ? "-$" : "$") + (Math.abs(n) >= 1000 ? (Math.abs(n) / 1000).toFixed(Math.abs(n) >= 10000 ? 0 : 1) + "k" : Math.abs(n).toFixed(0));
+
+// Revenue and spend bars with the profit line, as a standalone SVG string
+function profitChartSVG(months, accent) {
+  const W = 720, H = 250, L = 58, R = 12, T = 26, B = 28;
+  const vals = months.flatMap(m => [m.mvRevenue, m.gaSpendUSD, m.profit]);
+  const max = Math.max(...vals, 0), min = Math.min(...vals, 0), span = max - min || 1;
+  const y = (v) => T + (max - v) / span * (H - T - B);
+  const band = (W - L - R) / months.length, bw = Math.min(16, band / 3);
+  const cx = (i) => L + band * i + band / 2;
+  const grid = [0, 1, 2, 3, 4].map(i => min + span * i / 4).map(v =>
+    `<line x1="${L}" x2="${W - R}" y1="${y(v)}" y2="${y(v)}" stroke="#e5e7eb"/><text x="${L - 6}" y="${y(v) + 4}" text-anchor="end" font-size="10" fill="#6b7280">${fmtCompact(v)}</text>`).join("");
+  const bars = months.map((m, i) =>
+    `<rect x="${cx(i) - bw}" y="${y(Math.max(m.mvRevenue, 0))}" width="${bw}" height="${Math.abs(y(m.mvRevenue) - y(0))}" fill="#818cf8"/>` +
+    `<rect x="${cx(i)}" y="${y(Math.max(m.gaSpendUSD, 0))}" width="${bw}" height="${Math.abs(y(m.gaSpendUSD) - y(0))}" fill="#f87171"/>` +
+    `<text x="${cx(i)}" y="${H - 10}" text-anchor="middle" font-size="10" fill="#6b7280">${xmlEscape(m.label)}</text>`).join("");
+  const line = months.map((m, i) => `${cx(i)},${y(m.profit)}`).join(" ");
+  const dots = months.map((m, i) => `<circle cx="${cx(i)}" cy="${y(m.profit)}" r="3.5" fill="${accent}"><title>${xmlEscape(m.label)}: ${fmt(m.profit)}</title></circle>`).join("");
+  const legend = [["#818cf8", "Revenue"], ["#f87171", "Ad Spend"], [accent, "Net Profit"]].map(([c, l], i) =>
+    `<rect x="${L + i * 110}" y="4" width="10" height="10" fill="${c}"/><text x="${L + i * 110 + 15}" y="13" font-size="11" fill="#374151">${l}</text>`).join("");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" width="100%" font-family="inherit">${legend}${grid}<line x1="${L}" x2="${W - R}" y1="${y(0)}" y2="${y(0)}" stroke="#9ca3af"/>${bars}<polyline points="${line}" fill="none" stroke="${accent}" stroke-width="2.5"/>${dots}</svg>`;
+}
+
+// data: { site, period, totals:{ mvRevenue, gaSpendUSD, gaSpendINR, profit, roi, adsCount },
+// months:[{ label, mvRevenue, gaSpendUSD, profit }], urls:[{ slug, status, revenue, spend, profit, roi, campaigns }] }
+function renderReportHTML(data, template, statusConfig, ruleSet) {
+  const t = { ...DEFAULT_REPORT_TEMPLATE, ...template };
+  const vars = { site: data.site, period: data.period, date: new Date().toLocaleDateString("en-US", { year:"numeric", month:"long", day:"numeric" }) };
+  const e = (s) => xmlEscape(s ?? "");
+  const cls = (n) => n >= 0 ? "pos" : "neg";
+  const { totals, urls } = data;
+  const urlTable = (list, extra) => `<table><thead><tr><th>URL</th><th>Status</th><th class="num">Revenue</th><th class="num">Spend</th><th class="num">Profit</th><th class="num">ROI</th>${extra ? `<th>${extra.header}</th>` : ""}</tr></thead><tbody>${list.map(u =>
+    `<tr><td>/${e(u.slug)}</td><td style="color:${statusConfig[u.status]?.color || "inherit"}">${e(statusConfig[u.status]?.label || u.status)}</td><td class="num">${fmt(u.revenue)}</td><td class="num">${fmt(u.spend)}</td><td class="num ${cls(u.profit)}">${fmt(u.profit)}</td><td class="num ${cls(u.roi)}">${pctStr(u.roi)}</td>${extra ? `<td>${e(extra.value)}</td>` : ""}</tr>`).join("")}</tbody></table>`;
+  const byStatus = Object.keys(statusConfig).map(k => {
+    const list = urls.filter(u => u.status === k);
+    return { k, count: list.length, spend: list.reduce((s, u) => s + u.spend, 0), profit: list.reduce((s, u) => s + u.profit, 0) };
+  }).filter(x => x.count);
+  const turnoff = byStatus.find(x => x.k === "turnoff");
+
+  const render = {
+    summary: () => `<p class="lead">${e(data.site)} ran <b>${totals.adsCount} Google Ads</b>, spending <b>${fmt(totals.gaSpendUSD)}</b> (${fmtINR(totals.gaSpendINR)}) to generate <b>${fmt(totals.mvRevenue)}</b> in page revenue. Net profit: <b class="${cls(totals.profit)}">${fmt(totals.profit)}</b> (${pctStr(totals.roi)} ROI).${turnoff ? ` <b class="neg">${turnoff.count} ads should be turned off</b>, saving ${fmt(turnoff.spend)} in wasted spend.` : ""}</p>`,
+    headline: () => `<div class="kpis">${[
+      ["Revenue", fmt(totals.mvRevenue), ""], ["Ad Spend", fmt(totals.gaSpendUSD), fmtINR(totals.gaSpendINR)],
+      ["Net Profit", fmt(totals.profit), "", cls(totals.profit)], ["ROI", pctStr(totals.roi), "", cls(totals.roi)], ["Ads Running", totals.adsCount, `${urls.filter(u => u.profit > 0).length} profitable`],
+    ].map(([l, v, sub, c]) => `<div class="kpi"><span>${l}</span><b class="${c || ""}">${e(v)}</b>${sub ? `<small>${e(sub)}</small>` : ""}</div>`).join("")}</div>`,
+    chart: () => data.months.length ? profitChartSVG(data.months, t.accent) : `<p class="muted">No monthly history in this selection.</p>`,
+    breakdown: () => `<table><thead><tr><th>Status</th><th class="num">Ads</th><th class="num">Share</th><th class="num">Spend</th><th class="num">Profit</th></tr></thead><tbody>${byStatus.map(x =>
+      `<tr><td style="color:${statusConfig[x.k].color}">${statusConfig[x.k].icon} ${e(statusConfig[x.k].label)}</td><td class="num">${x.count}</td><td class="num"><span class="bar" style="width:${Math.round(x.count / Math.max(urls.length, 1) * 60)}px;background:${statusConfig[x.k].color}"></span> ${(x.count / Math.max(urls.length, 1) * 100).toFixed(0)}%</td><td class="num">${fmt(x.spend)}</td><td class="num ${cls(x.profit)}">${fmt(x.profit)}</td></tr>`).join("")}</tbody></table>`,
+    movers: () => `<div class="cols"><div><h3>Top winners</h3>${urlTable(urls.filter(u => u.profit > 0).sort((a, b) => b.profit - a.profit).slice(0, t.topN))}</div><div><h3>Top losers</h3>${urlTable(urls.filter(u => u.profit < 0).sort((a, b) => a.profit - b.profit).slice(0, t.topN))}</div></div>`,
+    actions: () => actionSections(ruleSet).map(sec => {
+      const list = urls.filter(u => u.status === sec.status).sort((a, b) => sec.status === "profitable" ? b.profit - a.profit : a.profit - b.profit);
+      if (!list.length) return "";
+      return `<div class="action"><h3 style="color:${statusConfig[sec.status]?.color}">${e(sec.title)}</h3><p class="muted">${e(sec.desc)} · ${list.length} ads · spend ${fmt(list.reduce((s, u) => s + u.spend, 0))} · profit ${fmt(list.reduce((s, u) => s + u.profit, 0))}</p>${urlTable(list.slice(0, t.topN), { header: "Action", value: sec.action })}${list.length > t.topN ? `<p class="muted">…and ${list.length - t.topN} more</p>` : ""}</div>`;
+    }).join(""),
+  };
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${e(fillTemplate(t.title, vars))}</title>
+<style>
+body{font-family:-apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:#111827;max-width:860px;margin:0 auto;padding:32px;font-size:13px;line-height:1.5}
+h1{font-size:24px;margin:0}h2{font-size:13px;text-transform:uppercase;letter-spacing:.8px;color:${t.accent};border-bottom:2px solid ${t.accent};padding-bottom:4px;margin:0 0 12px}h3{font-size:13px;margin:0 0 6px}
+header{border-bottom:1px solid #e5e7eb;padding-bottom:14px}.sub,.muted{color:#6b7280}.lead{font-size:14px}
+section{margin-top:26px;break-inside:avoid}.action{margin-bottom:18px;break-inside:avoid}
+.kpis{display:grid;grid-template-columns:repeat(5,1fr);gap:10px}.kpi{border:1px solid #e5e7eb;border-radius:8px;padding:10px 12px}.kpi span{font-size:10px;text-transform:uppercase;letter-spacing:.6px;color:#6b7280}.kpi b{display:block;font-size:19px}.kpi small{color:#6b7280}
+.cols{display:grid;grid-template-columns:1fr 1fr;gap:16px}
+table{width:100%;border-collapse:collapse;font-size:11px}th{text-align:left;font-size:9px;text-transform:uppercase;color:#6b7280;border-bottom:1px solid #d1d5db;padding:4px 6px}td{padding:4px 6px;border-bottom:1px solid #f3f4f6;word-break:break-all}
+.num{text-align:right;white-space:nowrap;font-variant-numeric:tabular-nums}.pos{color:#047857}.neg{color:#b91c1c}.bar{display:inline-block;height:8px;border-radius:2px;vertical-align:middle}
+footer{margin-top:30px;border-top:1px solid #e5e7eb;padding-top:10px;color:#6b7280;font-size:11px}
+@media print{body{padding:0}@page{margin:14mm}}
+</style></head><body>
+<header><h1>${e(fillTemplate(t.title, vars))}</h1><div class="sub">${e(fillTemplate(t.subtitle, vars))}</div>${t.intro ? `<p>${e(fillTemplate(t.intro, vars))}</p>` : ""}</header>
+${t.sections.filter(k => render[k]).map(k => `<section><h2>${REPORT_SECTIONS[k]}</h2>${render[k]()}</section>`).join("\n")}
+${t.footer ? `<footer>${e(fillTemplate(t.footer, vars))}</footer>` : ""}
+</body></html>`;
+}
+
+// ─── BACKUP & RESTORE ────────────────────────────────────────
+// A backup is one workspace's snapshots (with their urls), settings and the
+// shared import profiles. Version 0 is a bare snapshot list, as kept under the
+// v3 storage key; each migration lifts a backup one version.
+const BACKUP_FORMAT = "adprofit-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_MIGRATIONS = {
+  0: (d) => ({ format: BACKUP_FORMAT, version: 1, exportedAt: null, workspace: null, snapshots: d.snapshots, settings: null, importProfiles: [] }),
 };
 
-// ─── CSV PARSERS ─────────────────────────────────────────────
-function smartSplitCSVLine(line) {
-  const vals = [];
-  let inQuote = false, cur = "";
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') { inQuote = !inQuote; }
-    else if (ch === ',' && !inQuote) { vals.push(cur.trim()); cur = ""; }
-    else { cur += ch; }
+function buildBackup({ workspace, snapshots, settings, importProfiles }) {
+  return {
+    format: BACKUP_FORMAT, version: BACKUP_VERSION, exportedAt: new Date().toISOString(),
+    workspace: { name: workspace.name, domains: workspace.domains || [] },
+    snapshots: snapshots.map(({ storage, ...s }) => s),
+    settings, importProfiles,
+  };
+}
+
+// Throws with a readable message when the file cannot be restored
+function parseBackup(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("The file is not valid JSON."); }
+  if (Array.isArray(data)) data = { format: BACKUP_FORMAT, version: 0, snapshots: data };
+  if (data?.format !== BACKUP_FORMAT || typeof data.version !== "number") throw new Error("The file is not an Ad Profit backup.");
+  if (data.version > BACKUP_VERSION) throw new Error(`The backup is version ${data.version}; this app reads up to version ${BACKUP_VERSION}.`);
+  for (let v = data.version; v < BACKUP_VERSION; v++) data = BACKUP_MIGRATIONS[v](data);
+  if (!Array.isArray(data.snapshots)) throw new Error("The backup has no snapshot list.");
+  const bad = data.snapshots.findIndex(s => !s?.id || !s.date || !Array.isArray(s.urls) || !s.totals);
+  if (bad >= 0) throw new Error(`Snapshot ${bad + 1} is incomplete (needs id, date, urls and totals).`);
+  if (data.settings != null && typeof data.settings !== "object") throw new Error("The backup settings are malformed.");
+  const seen = new Set();
+  return {
+    ...data,
+    snapshots: data.snapshots.filter(s => !seen.has(s.id) && seen.add(s.id)).map(({ storage, ...s }) => s),
+    importProfiles: Array.isArray(data.importProfiles) ? data.importProfiles.filter(p => p?.id && p.mapping) : [],
+  };
+}
+
+// Merge keeps what is stored for ids present on both sides; replace takes the backup as is
+function restoreBackup(backup, current, mode) {
+  const byId = (mine, theirs) => [...mine, ...theirs.filter(x => !mine.some(m => m.id === x.id))];
+  const newestFirst = (a, b) => (b.createdAt || 0) - (a.createdAt || 0) || b.date.localeCompare(a.date);
+  return mode === "replace"
+    ? { snapshots: [...backup.snapshots].sort(newestFirst), settings: backup.settings || current.settings, importProfiles: byId(current.importProfiles, backup.importProfiles) }
+    : { snapshots: byId(current.snapshots, backup.snapshots).sort(newestFirst), settings: { ...(backup.settings || {}), ...current.settings }, importProfiles: byId(current.importProfiles, backup.importProfiles) };
+}
+
+// ─── STORAGE ADAPTERS ────────────────────────────────────────
+// Every backend exposes get(key) → {value, version} | null, set(key, value,
+// baseVersion, force) → {version} and delete(key). set() rejects with a
+// conflict error (e.conflict, e.remote) when the stored version is no longer
+// the one this client loaded, i.e. a teammate saved in between.
+const BACKEND_KEY = "adprofit_storage_backend_v1";
+const STORAGE_BACKENDS = {
+  window:   { label:"Artifact storage", hint:"window.storage — the default" },
+  indexeddb:{ label:"IndexedDB", hint:"This browser only, large quota" },
+  local:    { label:"localStorage", hint:"This browser only, ~5 MB" },
+  rest:     { label:"REST sync server", hint:"Self-hosted, shared with teammates" },
+  standin:  { label:"REST (local stand-in)", hint:"REST protocol emulated in this browser, for testing" },
+};
+const SAVE_RETRIES = [1000, 3000, 9000];
+
+const hashString = (str) => {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36) + "-" + str.length.toString(36);
+};
+const conflictError = (key, remote) => Object.assign(new Error(`"${key}" was changed by someone else since it was loaded`), { conflict: true, remote });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Plain key/value stores have no versions, so the content hash stands in for one
+function kvAdapter(raw) {
+  return {
+    async get(key) {
+      const value = await raw.get(key);
+      return value == null ? null : { value, version: hashString(value) };
+    },
+    async set(key, value, baseVersion, force) {
+      if (!force) {
+        const cur = await raw.get(key);
+        const v = cur == null ? null : hashString(cur);
+        if (v !== baseVersion && v !== hashString(value)) throw conflictError(key, cur == null ? null : { value: cur, version: v });
+      }
+      await raw.set(key, value);
+      return { version: hashString(value) };
+    },
+    delete: (key) => raw.delete(key),
+  };
+}
+
+const windowStorageRaw = {
+  // A missing key resolves to null; rejections are real failures
+  get: (key) => window.storage.get(key).then(r => r?.value ?? null),
+  set: (key, value) => window.storage.set(key, value),
+  delete: (key) => window.storage.delete(key),
+};
+
+const localStorageRaw = {
+  get: async (key) => localStorage.getItem(key),
+  set: async (key, value) => localStorage.setItem(key, value),
+  delete: async (key) => localStorage.removeItem(key),
+};
+
+function indexedDbRaw(dbName = "adprofit", store = "kv") {
+  let dbp = null;
+  const open = () => dbp = dbp || new Promise((res, rej) => {
+    const r = indexedDB.open(dbName, 1);
+    r.onupgradeneeded = () => r.result.createObjectStore(store);
+    r.onsuccess = () => res(r.result);
+    r.onerror = () => { dbp = null; rej(r.error); };
+  });
+  const run = (mode, fn) => open().then(db => new Promise((res, rej) => {
+    const q = fn(db.transaction(store, mode).objectStore(store));
+    q.onsuccess = () => res(q.result);
+    q.onerror = () => rej(q.error);
+  }));
+  return {
+    get: (key) => run("readonly", s => s.get(key)).then(v => v ?? null),
+    set: (key, value) => run("readwrite", s => s.put(value, key)),
+    delete: (key) => run("readwrite", s => s.delete(key)),
+  };
+}
+
+// Sync server protocol: GET / PUT / DELETE {url}/kv/{key} with the JSON as the
+// body. Versions travel as ETags; PUT sends If-Match (If-None-Match: * for a
+// new key) and the server answers 412 when the stored version differs.
+function restAdapter(baseUrl, token, request = (...a) => fetch(...a)) {
+  const url = (key) => `${baseUrl.replace(/\/+$/, "")}/kv/${encodeURIComponent(key)}`;
+  const headers = (extra = {}) => ({ ...(token ? { Authorization: `Bearer ${token}` } : {}), ...extra });
+  const fail = async (res) => { throw new Error(`Sync server answered ${res.status}${res.statusText ? " " + res.statusText : ""}`); };
+  const adapter = {
+    async get(key) {
+      const res = await request(url(key), { headers: headers() });
+      if (res.status === 404) return null;
+      if (!res.ok) await fail(res);
+      return { value: await res.text(), version: res.headers.get("ETag") };
+    },
+    async set(key, value, baseVersion, force) {
+      const cond = force ? {} : baseVersion ? { "If-Match": baseVersion } : { "If-None-Match": "*" };
+      const res = await request(url(key), { method: "PUT", headers: headers({ "Content-Type": "application/json", ...cond }), body: value });
+      if (res.status === 412 || res.status === 409) throw conflictError(key, await adapter.get(key));
+      if (!res.ok) await fail(res);
+      return { version: res.headers.get("ETag") };
+    },
+    async delete(key) {
+      const res = await request(url(key), { method: "DELETE", headers: headers() });
+      if (!res.ok && res.status !== 404) await fail(res);
+    },
+  };
+  return adapter;
+}
+
+// Answers REST adapter requests from localStorage, ETags included, so the
+// sync code path can be exercised without a server
+function restStandIn(prefix = "adprofit_standin:") {
+  const respond = (status, body = "", etag = null) => ({ status, ok: status < 300, statusText: "", headers: { get: (h) => h.toLowerCase() === "etag" ? etag : null }, text: async () => body });
+  return async (url, { method = "GET", headers = {}, body } = {}) => {
+    const key = prefix + decodeURIComponent(url.split("/kv/")[1]);
+    const cur = localStorage.getItem(key);
+    const etag = cur == null ? null : `"${hashString(cur)}"`;
+    if (method === "GET") return cur == null ? respond(404) : respond(200, cur, etag);
+    if (method === "DELETE") { localStorage.removeItem(key); return respond(204); }
+    if ((headers["If-Match"] && headers["If-Match"] !== etag) || (headers["If-None-Match"] === "*" && cur != null)) return respond(412);
+    localStorage.setItem(key, body);
+    return respond(200, "", `"${hashString(body)}"`);
+  };
+}
+
+function createAdapter(config) {
+  switch (config.type) {
+    case "indexeddb": return kvAdapter(indexedDbRaw());
+    case "local": return kvAdapter(localStorageRaw);
+    case "rest": return restAdapter(config.url || "", config.token);
+    case "standin": return restAdapter("standin", null, restStandIn());
+    default: return kvAdapter(windowStorageRaw);
   }
-  vals.push(cur.trim());
-  return vals;
 }
 
-function cleanCSVText(text) {
-  // Remove BOM, normalize line endings, trim
-  return text.replace(/^\uFEFF/, "").replace(/\r\n/g, "\n").replace(/\r/g, "\n").trim();
+// The backend choice has to live outside the backends; without localStorage
+// (sandboxed artifacts) the default is used
+function loadBackendConfig() {
+  try { return JSON.parse(localStorage.getItem(BACKEND_KEY)) || { type: "window" }; } catch { return { type: "window" }; }
+}
+function storeBackendConfig(config) {
+  try { localStorage.setItem(BACKEND_KEY, JSON.stringify(config)); return true; } catch { return false; }
 }
 
-function parseMediavineCSV(text) {
-  const clean = cleanCSVText(text);
-  const lines = clean.split("\n").filter(l => l.trim());
-  if (lines.length < 2) return [];
-  const headers = smartSplitCSVLine(lines[0]).map(h => h.toLowerCase());
-  return lines.slice(1).map(line => {
-    const vals = smartSplitCSVLine(line);
-    const row = {};
-    headers.forEach((h,i) => row[h] = vals[i] || "");
-    return row;
-  }).filter(r => r.slug);
+// ─── SNAPSHOT STORAGE ────────────────────────────────────────
+// v4 layout, per workspace: one index record holding every snapshot without
+// its urls, and each snapshot's urls under their own key(s) — gzip-compressed
+// when the browser supports it and split so no single value gets too large.
+// The v3 layout kept the whole list under SNAPSHOTS_KEY.
+const SNAPSHOT_INDEX_KEY = "adprofit_snapshot_index_v4";
+const SNAPSHOT_CHUNK_CHARS = 500000;
+const urlsKey = (ws, id, n) => wsKey(`adprofit_snapshot_${id}_${n}`, ws);
+const canCompress = typeof CompressionStream !== "undefined";
+const snapshotMeta = ({ urls, ...meta }) => meta;
+
+async function encodeUrls(urls, compress) {
+  const json = JSON.stringify(urls);
+  if (!compress || !canCompress) return { text: json, rawBytes: json.length };
+  const bytes = new Uint8Array(await new Response(new Blob([json]).stream().pipeThrough(new CompressionStream("gzip"))).arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return { text: "gz:" + btoa(bin), rawBytes: json.length };
 }
 
-function parseGoogleAdsCSV(text) {
-  const clean = cleanCSVText(text);
-  const lines = clean.split("\n").filter(l => l.trim());
-  
-  // Find header line - must contain BOTH "Landing page" AND "Cost" to avoid matching the title line "Landing page report"
-  let headerIdx = lines.findIndex(l => l.includes("Landing page") && l.includes("Cost") && l.includes("Clicks"));
-  if (headerIdx < 0) {
-    // Fallback: find line with most commas that contains "Landing page"
-    headerIdx = lines.findIndex(l => l.includes("Landing page") && l.split(",").length > 5);
+async function decodeUrls(text) {
+  if (!text.startsWith("gz:")) return JSON.parse(text);
+  const bytes = Uint8Array.from(atob(text.slice(3)), c => c.charCodeAt(0));
+  return JSON.parse(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"))).text());
+}
+
+// Per-snapshot keys are only ever written by the import that owns the id, so
+// they are forced; conflicts are detected on the index instead
+async function writeSnapshotUrls(adapter, ws, s, compress) {
+  const { text, rawBytes } = await encodeUrls(s.urls, compress);
+  const chunks = Math.max(1, Math.ceil(text.length / SNAPSHOT_CHUNK_CHARS));
+  for (let n = 0; n < chunks; n++) await adapter.set(urlsKey(ws, s.id, n), text.slice(n * SNAPSHOT_CHUNK_CHARS, (n + 1) * SNAPSHOT_CHUNK_CHARS), null, true);
+  for (let n = chunks; n < (s.storage?.chunks || 0); n++) await adapter.delete(urlsKey(ws, s.id, n));
+  return { chunks, bytes: text.length, rawBytes, compressed: text.startsWith("gz:") };
+}
+
+async function readSnapshotUrls(adapter, ws, meta) {
+  const parts = [];
+  for (let n = 0; n < (meta.storage?.chunks || 1); n++) {
+    const r = await adapter.get(urlsKey(ws, meta.id, n));
+    if (!r) throw new Error(`Snapshot "${meta.label}" is missing part ${n + 1} of its data`);
+    parts.push(r.value);
   }
-  if (headerIdx < 0) return [];
-  
-  const headers = smartSplitCSVLine(lines[headerIdx]);
-  const results = [];
-  for (let i = headerIdx + 1; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line.startsWith("https://")) continue;
-    const vals = smartSplitCSVLine(line);
-    const row = {};
-    headers.forEach((h,idx) => row[h] = vals[idx] || "");
-    results.push(row);
+  return decodeUrls(parts.join(""));
+}
+
+async function deleteSnapshotUrls(adapter, ws, meta) {
+  for (let n = 0; n < (meta.storage?.chunks || 1); n++) await adapter.delete(urlsKey(ws, meta.id, n));
+}
+
+// Every key a workspace owns, for copying between backends or deleting
+async function workspaceKeys(adapter, ws) {
+  const r = await adapter.get(wsKey(SNAPSHOT_INDEX_KEY, ws));
+  const metas = r ? JSON.parse(r.value) : [];
+  return [
+    wsKey(SNAPSHOT_INDEX_KEY, ws), wsKey(SNAPSHOTS_KEY, ws), wsKey(SETTINGS_KEY, ws),
+    ...metas.flatMap(m => Array.from({ length: m.storage?.chunks || 1 }, (_, n) => urlsKey(ws, m.id, n))),
+  ];
+}
+
+// Cost rows routed to a workspace that is not currently loaded wait in its
+// settings.pendingCosts ([{ id, from, label, start, end, files, createdAt }])
+// until an import there covers the same period or they are merged into a
+// snapshot that does. A cost-only snapshot would classify every page as turn-off.
+async function holdRoutedCosts(adapter, ws, entry) {
+  const key = wsKey(SETTINGS_KEY, ws);
+  for (let attempt = 0; ; attempt++) {
+    const r = await adapter.get(key);
+    const wsSettings = r ? JSON.parse(r.value) : { inrToUsd: INR_TO_USD_DEFAULT };
+    try { return await adapter.set(key, JSON.stringify({ ...wsSettings, pendingCosts: [...(wsSettings.pendingCosts || []), entry] }), r?.version ?? null); }
+    catch (e) { if (!e.conflict || attempt > 0) throw e; }
   }
-  return results;
 }
 
 // ─── STORAGE HOOK ────────────────────────────────────────────
-function useCloudStore(key, init) {
+// Returns [data, save, loading, sync]. Saves run one at a time, only the
+// latest pending value is written, and failures retry with backoff before
+// settling as "error"; save() resolves to false when the value was not stored. sync.status.state is idle | saving | saved | error | conflict.
+function useCloudStore(key, init, adapter) {
   const [data, setData] = useState(init);
   const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState({ state: "idle" });
+  const initRef = useRef(init);
+  const versionRef = useRef(null);
+  const pendingRef = useRef(null);
+  const queueRef = useRef(Promise.resolve());
   useEffect(() => {
     let m = true;
+    // Switching keys (workspaces) must not show the previous key's data
+    setLoading(true);
+    setData(initRef.current);
+    setStatus({ state: "idle" });
+    versionRef.current = null;
+    pendingRef.current = null;
     (async () => {
-      try { const r = await window.storage.get(key); if (m && r?.value) setData(JSON.parse(r.value)); } catch {}
+      try {
+        const r = await adapter.get(key);
+        if (m && r) { setData(JSON.parse(r.value)); versionRef.current = r.version; }
+      } catch (e) {
+        if (m) setStatus({ state: "error", op: "load", error: e.message });
+      }
       if (m) setLoading(false);
     })();
     return () => { m = false; };
-  }, [key]);
-  const save = useCallback(async (d) => {
+  }, [key, adapter]);
+
+  const write = useCallback((d, force) => {
+    queueRef.current = queueRef.current.then(async () => {
+      if (pendingRef.current !== d) return true;
+      setStatus({ state: "saving" });
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const r = await adapter.set(key, JSON.stringify(d), versionRef.current, force);
+          versionRef.current = r.version;
+          if (pendingRef.current === d) pendingRef.current = null;
+          setStatus({ state: "saved", at: Date.now() });
+          return true;
+        } catch (e) {
+          if (e.conflict) { setStatus({ state: "conflict", remote: e.remote, error: e.message }); return false; }
+          if (pendingRef.current !== d) return true;
+          if (attempt >= SAVE_RETRIES.length) { setStatus({ state: "error", op: "save", error: e.message }); return false; }
+          setStatus({ state: "saving", retry: attempt + 1 });
+          await sleep(SAVE_RETRIES[attempt]);
+        }
+      }
+    });
+    return queueRef.current;
+  }, [key, adapter]);
+
+  const save = useCallback((d) => {
     setData(d);
-    try { await window.storage.set(key, JSON.stringify(d)); } catch {}
-  }, [key]);
-  return [data, save, loading];
+    pendingRef.current = d;
+    return write(d, false);
+  }, [write]);
+
+  const sync = {
+    status,
+    retry: () => pendingRef.current && write(pendingRef.current, false),
+    // Conflict resolution: overwrite the remote copy, adopt it, or save a merge on top of it
+    keepMine: () => pendingRef.current && write(pendingRef.current, true),
+    useTheirs: () => {
+      const remote = status.remote;
+      pendingRef.current = null;
+      versionRef.current = remote?.version ?? null;
+      setData(remote ? JSON.parse(remote.value) : initRef.current);
+      setStatus({ state: "saved", at: Date.now() });
+    },
+    saveOnTheirs: (d) => {
+      versionRef.current = status.remote?.version ?? null;
+      return save(d);
+    },
+  };
+  return [data, save, loading, sync];
+}
+
+// Snapshot list on the v4 layout. list holds every snapshot; urls are only
+// present once loaded through ensureUrls / withUrls. save(list) writes the urls
+// of new or changed snapshots, then the index, then drops removed snapshots'
+// keys, resolving to false if anything was not stored. A v3 single-key list is
+// migrated the first time the workspace opens; the old key goes only after success.
+function useSnapshotStore(adapter, ws, compress) {
+  const indexKey = wsKey(SNAPSHOT_INDEX_KEY, ws);
+  const [index, saveIndex, indexLoading, indexSync] = useCloudStore(indexKey, null, adapter);
+  const [urlCache, setUrlCache] = useState({});
+  const [pending, setPending] = useState(null);
+  const [writeError, setWriteError] = useState(null);
+  const [migrated, setMigrated] = useState(0);
+  const cacheRef = useRef({});
+  const indexRef = useRef(null);
+  const storageRef = useRef({});
+  const inflightRef = useRef({});
+  const queueRef = useRef(Promise.resolve());
+  const lastListRef = useRef(null);
+  indexRef.current = index;
+
+  useEffect(() => {
+    cacheRef.current = {}; storageRef.current = {}; inflightRef.current = {};
+    setUrlCache({}); setPending(null); setWriteError(null); setMigrated(0);
+  }, [indexKey, adapter]);
+
+  const list = useMemo(
+    () => (pending || index || []).map(m => urlCache[m.id] ? { ...m, urls: urlCache[m.id] } : m),
+    [pending, index, urlCache]
+  );
+
+  const cacheUrls = (updates, removed = []) => {
+    const next = { ...cacheRef.current, ...updates };
+    removed.forEach(id => { delete next[id]; });
+    cacheRef.current = next;
+    setUrlCache(next);
+  };
+
+  // Resolves to { id: urls } for the requested snapshots, loading what's missing
+  const ensureUrls = useCallback(async (ids) => {
+    const metas = (indexRef.current || []).filter(m => ids.includes(m.id));
+    const loaded = await Promise.all(metas.map(m => cacheRef.current[m.id]
+      ? cacheRef.current[m.id]
+      : inflightRef.current[m.id] = inflightRef.current[m.id] || readSnapshotUrls(adapter, ws, m).finally(() => { delete inflightRef.current[m.id]; })));
+    const out = {};
+    metas.forEach((m, i) => { out[m.id] = loaded[i]; });
+    const fresh = Object.fromEntries(Object.entries(out).filter(([id]) => !cacheRef.current[id]));
+    if (Object.keys(fresh).length) cacheUrls(fresh);
+    return out;
+  }, [adapter, ws]);
+
+  const withUrls = useCallback(async (snaps) => {
+    const got = await ensureUrls(snaps.filter(s => !s.urls).map(s => s.id));
+    return snaps.map(s => s.urls ? s : { ...s, urls: got[s.id] });
+  }, [ensureUrls]);
+
+  const save = useCallback((next) => {
+    lastListRef.current = next;
+    const dirty = next.filter(s => s.urls && s.urls !== cacheRef.current[s.id]);
+    const removed = (indexRef.current || []).filter(m => !next.some(s => s.id === m.id));
+    cacheUrls(Object.fromEntries(dirty.map(s => [s.id, s.urls])), removed.map(m => m.id));
+    setPending(next.map(snapshotMeta));
+    queueRef.current = queueRef.current.then(async () => {
+      if (lastListRef.current !== next) return true;
+      try {
+        for (const s of dirty) storageRef.current[s.id] = await writeSnapshotUrls(adapter, ws, { ...s, storage: storageRef.current[s.id] || s.storage }, compress);
+        setWriteError(null);
+        // A rejected index (conflict, error) is reported by the index's own sync status
+        if (!(await saveIndex(next.map(s => ({ ...snapshotMeta(s), storage: storageRef.current[s.id] || s.storage }))))) return false;
+        for (const m of removed) await deleteSnapshotUrls(adapter, ws, m).catch(() => {}); // orphaned keys are harmless
+        if (lastListRef.current === next) setPending(null);
+        return true;
+      } catch (e) {
+        setWriteError(e.message);
+        return false;
+      }
+    });
+    return queueRef.current;
+  }, [adapter, ws, compress, saveIndex]);
+
+  // v3 → v4 migration, once the index is known to be absent (not merely unreadable)
+  useEffect(() => {
+    if (indexLoading || index !== null || indexSync.status.state === "error") return;
+    let m = true;
+    (async () => {
+      const legacy = await adapter.get(wsKey(SNAPSHOTS_KEY, ws));
+      if (!m || !legacy) return;
+      const snaps = JSON.parse(legacy.value);
+      if (!(await save(snaps))) return;
+      await adapter.delete(wsKey(SNAPSHOTS_KEY, ws));
+      if (m) setMigrated(snaps.length);
+    })().catch(e => { if (m) setWriteError(`Migration from v3 failed: ${e.message}`); });
+    return () => { m = false; };
+  }, [indexLoading, index, indexSync.status.state, adapter, ws, save]);
+
+  // Conflict resolutions act on the index; the optimistic list is dropped once one lands
+  const settle = (p) => Promise.resolve(p).then(ok => { if (ok) setPending(null); return ok; });
+  const sync = writeError
+    ? { ...indexSync, status: { state: "error", op: "save", error: writeError }, retry: () => lastListRef.current && save(lastListRef.current) }
+    : {
+      ...indexSync,
+      keepMine: () => settle(indexSync.keepMine()),
+      useTheirs: () => { setPending(null); indexSync.useTheirs(); },
+      saveOnTheirs: (snaps) => settle(indexSync.saveOnTheirs(snaps.map(snapshotMeta))),
+    };
+  return { list, save, loading: indexLoading, sync, ensureUrls, withUrls, migrated, indexBytes: index ? JSON.stringify(index).length : 0 };
 }
 
 // ─── COMPONENTS ──────────────────────────────────────────────
@@ -143,8 +2166,8 @@ function MetricCard({ icon, label, value, sub, color, small, sovereign }) {
   );
 }
 
-function StatusBadge({ status }) {
-  const c = STATUS_CONFIG[status];
+function StatusBadge({ status, config }) {
+  const c = (config || STATUS_CONFIG)[status];
   if (!c) return null;
   return (
     <span style={{ display:"inline-flex", alignItems:"center", gap:4, padding:"3px 10px", borderRadius:20, fontSize:10, fontWeight:700, color:c.color, background:c.bg, border:`1px solid ${c.color}33`, whiteSpace:"nowrap", letterSpacing:0.3 }}>
@@ -153,6 +2176,16 @@ function StatusBadge({ status }) {
   );
 }
 
+function ConfidenceTag({ confidence }) {
+  if (!confidence) return null;
+  const l = CONFIDENCE_LEVELS[confidence.level];
+  return (
+    <span title={fmtConfidence(confidence)} style={{ display:"inline-flex", alignItems:"center", gap:4, fontSize:10, fontWeight:600, color:l.color, whiteSpace:"nowrap" }}>
+      <span style={{ width:6, height:6, borderRadius:3, background:l.color }} />{confidence.level === "insufficient" ? "Low volume" : `${l.label} · ${(confidence.certainty * 100).toFixed(0)}%`}
+    </span>
+  );
+}
+
 function ProfitBar({ value, max }) {
   const w = max > 0 ? Math.min(Math.abs(value)/max*100,100) : 0;
   const positive = value >= 0;
@@ -200,10 +2233,254 @@ function Modal({ open, onClose, title, width, children }) {
   );
 }
 
+function ColumnMapper({ fields, mapping, color, onChange, onSaveProfile }) {
+  const [profileName, setProfileName] = useState("");
+  const missing = fields.filter(f => f.required && !mapping.map[f.key]);
+  const sel = {width:"100%",padding:"5px 8px",borderRadius:6,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"inherit",cursor:"pointer"};
+  return (
+    <div style={{marginTop:10,padding:12,borderRadius:10,background:"var(--card2)",border:`1px solid ${missing.length?"rgba(239,68,68,0.4)":"var(--border)"}`}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+        <span style={{fontSize:11,fontWeight:700,color}}>Column Mapping</span>
+        <span style={{fontSize:10,color:"var(--muted)"}}>{mapping.profile ? `✓ Profile "${mapping.profile}" applied` : "Auto-suggested from headers"} · {mapping.headers.length} columns detected</span>
+      </div>
+      <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(150px,1fr))",gap:8}}>
+        {fields.map(f => (
+          <div key={f.key}>
+            <div style={{fontSize:10,fontWeight:700,color:f.required&&!mapping.map[f.key]?"var(--red)":"var(--muted)",marginBottom:3}}>{f.label}{f.required?" *":""}</div>
+            <select value={mapping.map[f.key]||""} onChange={e=>onChange({ ...mapping, profile:null, map:{ ...mapping.map, [f.key]:e.target.value } })} style={sel}>
+              <option value="">— not mapped —</option>
+              {mapping.headers.map(h => <option key={h} value={h}>{h}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      {missing.length > 0 && <div style={{fontSize:11,color:"var(--red)",marginTop:8}}>⚠️ Map {missing.map(f=>f.label).join(", ")} or rows will come through as zeros</div>}
+      <div style={{display:"flex",gap:6,marginTop:10}}>
+        <input value={profileName} onChange={e=>setProfileName(e.target.value)} placeholder="Profile name, e.g. Google Ads (German UI)" style={{...sel,cursor:"text",flex:1}} />
+        <button onClick={()=>{ if(!profileName.trim()) return; onSaveProfile(profileName.trim()); setProfileName(""); }} disabled={!profileName.trim()} style={{...sel,width:"auto",opacity:profileName.trim()?1:0.5}}>💾 Save Profile</button>
+      </div>
+    </div>
+  );
+}
+
+function ImportReport({ report, rate, onOpenSlug, onAddAlias }) {
+  if (!report) return <p style={{fontSize:13,color:"var(--muted)"}}>This snapshot was imported before import reports were recorded.</p>;
+  const rc = report.reconciliation;
+  const h4 = {fontSize:12,fontWeight:800,margin:"18px 0 8px",display:"flex",justifyContent:"space-between"};
+  const row = {display:"flex",justifyContent:"space-between",gap:10,padding:"6px 8px",borderBottom:"1px solid var(--border)",fontSize:12};
+  const link = {...row,cursor:"pointer"};
+  const mono = {fontFamily:"'JetBrains Mono',monospace",fontSize:11,whiteSpace:"nowrap"};
+  const check = (label, file, snap, f) => {
+    const ok = Math.abs(file - snap) < 0.01;
+    return (
+      <div style={row}>
+        <span>{label}</span>
+        <span style={mono}>file {f(file)} · snapshot {f(snap)} <strong style={{color:ok?"var(--green)":"var(--amber)"}}>{ok?"✓":`Δ ${f(file-snap)}`}</strong></span>
+      </div>
+    );
+  };
+  const list = (items, empty, render) => items.length === 0
+    ? <div style={{fontSize:11,color:"var(--muted)",padding:"4px 8px"}}>{empty}</div>
+    : <div style={{maxHeight:220,overflowY:"auto"}}>{items.map(render)}</div>;
+  return (
+    <div>
+      <div style={{fontSize:12,fontWeight:800,marginBottom:8}}>Totals Reconciliation</div>
+      {check("Revenue", rc.mvFileRevenue, rc.mvSnapshotRevenue, fmt)}
+      {(rc.sources||[]).map(r => <div key={r.source} style={{paddingLeft:14}}>{check(revenueSource(r.source).label, r.file, r.snapshot, fmt)}</div>)}
+      {check(rc.channels ? "Ad cost (INR equivalent)" : "Google Ads cost", rc.gaFileCostINR, rc.gaSnapshotCostINR, fmtINR)}
+      {(rc.channels||[]).map(r => <div key={r.channel} style={{paddingLeft:14}}>{check(`${costChannel(r.channel).label} (${r.currency})`, r.file, r.snapshot, v => fmtCost(v, r.currency))}</div>)}
+      {rc.gaReportedTotalINR !== null && check("Google Ads report total row", rc.gaReportedTotalINR, rc.gaSnapshotCostINR, fmtINR)}
+      {(report.routed||[]).map(r => (
+        <div key={r.workspace} style={row}>
+          <span>↪ Routed to workspace <strong>{r.workspace}</strong></span>
+          <span style={mono}>{r.rows} rows · {fmtINR(r.costINR)} · pending there{r.error && <strong style={{color:"var(--red)"}}> · not saved: {r.error}</strong>}</span>
+        </div>
+      ))}
+      {(report.pickedUp||[]).map((r,i) => (
+        <div key={r.workspace+i} style={row}>
+          <span>↩ Routed from workspace <strong>{r.workspace}</strong></span>
+          <span style={mono}>{r.rows} rows · {fmtINR(r.costINR)}{r.skippedRows > 0 && <span style={{color:"var(--muted)"}}> · {r.skippedRows} already stored</span>}</span>
+        </div>
+      ))}
+
+      <div style={h4}><span>📢 Paid pages with no revenue row</span><span style={{color:"var(--muted)"}}>{report.gaOnly.length} · {fmt(report.gaOnly.reduce((s,g)=>s+g.costINR,0)/rate)}</span></div>
+      {list(report.gaOnly, "Every landing page matched a revenue report page.", g => (
+        <div key={g.slug} className="rhover" style={link} onClick={()=>onOpenSlug(g.slug)}>
+          <span style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{g.slug}</span>
+          <span style={{...mono,color:"var(--red)"}}>{fmtINR(g.costINR)} · {g.clicks} clicks</span>
+        </div>
+      ))}
+
+      <div style={h4}><span>↪️ Likely redirects (same final segment as an unmatched revenue page)</span><span style={{color:"var(--muted)"}}>{report.likelyRedirects.length}</span></div>
+      {list(report.likelyRedirects, "None detected.", r => (
+        <div key={r.slug} className="rhover" style={link} onClick={()=>onOpenSlug(r.slug)}>
+          <span style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{r.slug} → <span style={{color:"var(--accent2)"}} onClick={e=>{e.stopPropagation();onOpenSlug(r.target)}}>/{r.target}</span></span>
+          <span style={{...mono,color:"var(--red)",display:"flex",gap:8,alignItems:"center"}}>
+            {fmtINR(r.costINR)}
+            <button onClick={e=>{e.stopPropagation();onAddAlias(r.slug,r.target)}} title="Add alias and merge in this snapshot" style={{padding:"2px 8px",borderRadius:5,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--accent2)",cursor:"pointer",fontSize:10,fontWeight:700}}>+ Alias</button>
+          </span>
+        </div>
+      ))}
+
+      <div style={h4}><span>⧉ Duplicate rows</span><span style={{color:"var(--muted)"}}>{report.duplicates.length}</span></div>
+      {list(report.duplicates, "No slug collisions.", (d,i) => (
+        <div key={d.source+d.slug+i} className="rhover" style={link} onClick={()=>onOpenSlug(d.slug)}>
+          <span style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}><strong style={{color:d.source==="mv"?"var(--green)":"var(--red)"}}>{d.source==="mv"?revenueSource(d.revenueSource).short:costChannel(d.channel).short}</strong> /{d.slug} <span style={{color:"var(--muted)"}}>· {d.detail}</span></span>
+          <span style={mono}>{d.source==="mv" ? `${d.count} rows · ${fmt(d.droppedRevenue)} overwritten` : "aggregated"}</span>
+        </div>
+      ))}
+
+      <div style={h4}><span>⏭ Skipped ad report lines</span><span style={{color:"var(--muted)"}}>{report.skipped.length} · {fmtINR(rc.gaSkippedCostINR)}</span></div>
+      {list(report.skipped, "No lines skipped.", (r,i) => (
+        <div key={i} style={row}>
+          <span style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{r.channel && r.channel !== "google" ? `${costChannel(r.channel).short} ` : ""}{r.row ? `Line ${r.row}: ` : ""}{r.landingPage || "—"}</span>
+          <span style={{...mono,color:"var(--muted)"}}>{r.reason} · {fmtINR(r.costINR)}</span>
+        </div>
+      ))}
+
+      <div style={h4}><span>💚 Pages with revenue but no ads</span><span style={{color:"var(--muted)"}}>{report.mvOnly.length} (+{report.mvOnlyZeroRevenue} with no revenue)</span></div>
+      {list(report.mvOnly, "None.", m => (
+        <div key={m.slug} className="rhover" style={link} onClick={()=>onOpenSlug(m.slug)}>
+          <span style={{overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{m.slug}</span>
+          <span style={{...mono,color:"var(--green)"}}>{fmt(m.revenue)} · {m.views.toLocaleString()} views</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RuleSetEditor({ settings, onSave, btnP, btnS }) {
+  const active = getActiveRuleSet(settings);
+  const versions = settings?.rules?.versions || [];
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(active)));
+  const [newStatus, setNewStatus] = useState("");
+  useEffect(() => { setDraft(JSON.parse(JSON.stringify(active))); }, [active]);
+
+  const config = buildStatusConfig(draft);
+  const inp = {padding:"5px 8px",borderRadius:6,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"inherit"};
+  const setRules = (rules) => setDraft({ ...draft, rules });
+  const guard = guardOf(draft);
+  const setGuard = (patch) => setDraft({ ...draft, guard: { ...guard, ...patch } });
+  const updateRule = (i, patch) => setRules(draft.rules.map((r,j) => j===i ? { ...r, ...patch } : r));
+  const updateCond = (i, ci, patch) => updateRule(i, { conditions: draft.rules[i].conditions.map((c,j) => j===ci ? { ...c, ...patch } : c) });
+  const moveRule = (i, d) => {
+    const rules = [...draft.rules];
+    if (i+d < 0 || i+d >= rules.length) return;
+    [rules[i], rules[i+d]] = [rules[i+d], rules[i]];
+    setRules(rules);
+  };
+  const addStatus = () => {
+    const key = newStatus.trim().toLowerCase().replace(/[^a-z0-9]+/g,"_");
+    if (!key || config[key]) return;
+    const color = CUSTOM_STATUS_COLORS[Object.keys(draft.customStatuses||{}).length % CUSTOM_STATUS_COLORS.length];
+    setDraft({ ...draft, customStatuses: { ...(draft.customStatuses||{}), [key]: { label:newStatus.trim(), color, icon:"●" } } });
+    setNewStatus("");
+  };
+  const removeStatus = (key) => {
+    if (draft.rules.some(r => r.status===key) || draft.fallback===key) return alert("This status is still used by a rule or the fallback.");
+    const customStatuses = { ...draft.customStatuses };
+    delete customStatuses[key];
+    setDraft({ ...draft, customStatuses });
+  };
+  const saveVersion = () => {
+    const base = versions.length ? versions : [DEFAULT_RULE_SET];
+    const version = Math.max(...base.map(v => v.version)) + 1;
+    const next = { ...draft, version, createdAt: Date.now(), name: draft.name || `Rules v${version}` };
+    onSave({ activeVersion: version, versions: [...base, next] });
+  };
+
+  return (
+    <div>
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:10,flexWrap:"wrap"}}>
+        <select value={active.version} onChange={e=>onSave({ activeVersion:+e.target.value, versions: versions.length ? versions : [DEFAULT_RULE_SET] })} style={{...inp,cursor:"pointer",flex:1}}>
+          {(versions.length ? versions : [DEFAULT_RULE_SET]).map(v => <option key={v.version} value={v.version}>v{v.version} · {v.name}{v.createdAt ? ` (${new Date(v.createdAt).toLocaleDateString()})` : ""}</option>)}
+        </select>
+        <span style={{fontSize:10,color:"var(--muted)"}}>Active version — all views re-classify with it</span>
+      </div>
+      <div style={{display:"flex",flexDirection:"column",gap:8,marginBottom:10}}>
+        {draft.rules.map((r,i) => (
+          <div key={i} style={{padding:10,borderRadius:8,background:"var(--card2)",border:`1px solid ${(config[r.status]?.color||"#5c6489")}33`}}>
+            <div style={{display:"flex",gap:6,alignItems:"center",marginBottom:6}}>
+              <span style={{fontSize:10,fontWeight:800,color:"var(--muted)",minWidth:18}}>{i+1}.</span>
+              <select value={r.status} onChange={e=>updateRule(i,{status:e.target.value})} style={{...inp,cursor:"pointer",color:config[r.status]?.color}}>
+                {Object.entries(config).map(([k,c]) => <option key={k} value={k}>{c.label}</option>)}
+              </select>
+              <span style={{fontSize:10,color:"var(--muted)"}}>when all match:</span>
+              <div style={{marginLeft:"auto",display:"flex",gap:4}}>
+                <button onClick={()=>moveRule(i,-1)} style={{...inp,cursor:"pointer"}}>↑</button>
+                <button onClick={()=>moveRule(i,1)} style={{...inp,cursor:"pointer"}}>↓</button>
+                <button onClick={()=>setRules(draft.rules.filter((_,j)=>j!==i))} style={{...inp,cursor:"pointer",color:"var(--red)"}}>✕</button>
+              </div>
+            </div>
+            {r.conditions.map((c,ci) => (
+              <div key={ci} style={{display:"flex",gap:4,marginBottom:4,marginLeft:24}}>
+                <select value={c.metric} onChange={e=>updateCond(i,ci,{metric:e.target.value})} style={{...inp,cursor:"pointer"}}>
+                  {Object.entries(RULE_METRICS).map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+                </select>
+                <select value={c.op} onChange={e=>updateCond(i,ci,{op:e.target.value})} style={{...inp,cursor:"pointer"}}>
+                  {RULE_OPS.map(o => <option key={o} value={o}>{o}</option>)}
+                </select>
+                <input value={c.value} onChange={e=>updateCond(i,ci,{value:c.metric==="campaign"?e.target.value:e.target.value.replace(/[^0-9.-]/g,"")})} style={{...inp,width:90,fontFamily:"'JetBrains Mono',monospace"}} />
+                <button onClick={()=>updateRule(i,{conditions:r.conditions.filter((_,j)=>j!==ci)})} style={{...inp,cursor:"pointer",color:"var(--muted)"}}>✕</button>
+              </div>
+            ))}
+            <button onClick={()=>updateRule(i,{conditions:[...r.conditions,{metric:"roi",op:">",value:0}]})} style={{...inp,cursor:"pointer",marginLeft:24,color:"var(--accent2)"}}>+ Condition</button>
+          </div>
+        ))}
+        <button onClick={()=>setRules([...draft.rules,{status:draft.fallback,conditions:[]}])} style={{...btnS,padding:"6px 12px",fontSize:11}}>+ Add Rule</button>
+      </div>
+      <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:10}}>
+        <span style={{fontSize:11,color:"var(--muted)"}}>Otherwise:</span>
+        <select value={draft.fallback} onChange={e=>setDraft({...draft,fallback:e.target.value})} style={{...inp,cursor:"pointer"}}>
+          {Object.entries(config).map(([k,c]) => <option key={k} value={k}>{c.label}</option>)}
+        </select>
+      </div>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",alignItems:"center",marginBottom:10,fontSize:11,color:"var(--muted)"}}>
+        <span>Paid URLs under</span>
+        <input type="number" min="0" value={guard.minClicks} onChange={e=>setGuard({minClicks:Math.max(0,parseInt(e.target.value)||0)})} style={{...inp,width:60,fontFamily:"'JetBrains Mono',monospace"}} />
+        <span>clicks or $</span>
+        <input type="number" min="0" step="0.5" value={guard.minSpend} onChange={e=>setGuard({minSpend:Math.max(0,parseFloat(e.target.value)||0)})} style={{...inp,width:60,fontFamily:"'JetBrains Mono',monospace"}} />
+        <span>spend are {config.insufficient.label}; {config.turnoff.label} needs</span>
+        <input type="number" min="50" max="99" value={Math.round(guard.turnOffConfidence*100)} onChange={e=>setGuard({turnOffConfidence:Math.min(99,Math.max(50,parseInt(e.target.value)||90))/100})} style={{...inp,width:50,fontFamily:"'JetBrains Mono',monospace"}} />
+        <span>% confidence of a loss</span>
+      </div>
+      <div style={{display:"flex",gap:6,flexWrap:"wrap",alignItems:"center",marginBottom:12}}>
+        {Object.entries(draft.customStatuses||{}).map(([k,c]) => (
+          <span key={k} style={{display:"inline-flex",alignItems:"center",gap:4,padding:"3px 8px",borderRadius:12,fontSize:10,fontWeight:700,color:c.color,border:`1px solid ${c.color}44`}}>
+            {c.label}<button onClick={()=>removeStatus(k)} style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:10}}>✕</button>
+          </span>
+        ))}
+        <input value={newStatus} onChange={e=>setNewStatus(e.target.value)} onKeyDown={e=>e.key==="Enter"&&addStatus()} placeholder="New status name..." style={{...inp,width:140}} />
+        <button onClick={addStatus} style={{...inp,cursor:"pointer"}}>+ Status</button>
+      </div>
+      <div style={{display:"flex",gap:8}}>
+        <input value={draft.name||""} onChange={e=>setDraft({...draft,name:e.target.value})} placeholder="Rule set name, e.g. Q3 margins" style={{...inp,flex:1,fontSize:12,padding:"8px 10px"}} />
+        <button onClick={()=>setDraft(JSON.parse(JSON.stringify(active)))} style={{...btnS,padding:"8px 12px",fontSize:12}}>Reset</button>
+        <button onClick={saveVersion} style={{...btnP,padding:"8px 14px",fontSize:12}}>Save as New Version</button>
+      </div>
+    </div>
+  );
+}
+
 // ─── MAIN APP ────────────────────────────────────────────────
 export default function AdProfitDashboard() {
-  const [snapshots, saveSnapshots, loading] = useCloudStore("adprofit_snapshots_v3", []);
-  const [settings, saveSettings] = useCloudStore("adprofit_settings_v1", { inrToUsd: INR_TO_USD_DEFAULT });
+  const [backend, setBackend] = useState(loadBackendConfig);
+  const storage = useMemo(() => createAdapter(backend), [backend]);
+  const [workspaceState, saveWorkspaceState, wsLoading, wsSync] = useCloudStore("adprofit_workspaces_v1", DEFAULT_WORKSPACES, storage);
+  const activeWorkspace = workspaceState.workspaces.find(w => w.id === workspaceState.activeId) || workspaceState.workspaces[0];
+  const [settings, saveSettings, settingsLoading, settingsSync] = useCloudStore(wsKey(SETTINGS_KEY, activeWorkspace), { inrToUsd: INR_TO_USD_DEFAULT }, storage);
+  const {
+    list: storedSnapshots, save: saveSnapshots, loading: snapsLoading, sync: snapsSync,
+    ensureUrls, withUrls, migrated: migratedSnapshots, indexBytes,
+  } = useSnapshotStore(storage, activeWorkspace, settings?.compressSnapshots !== false);
+  const loading = wsLoading || snapsLoading;
+  const [importProfiles, saveImportProfiles, , profilesSync] = useCloudStore("adprofit_import_profiles_v1", [], storage);
+  const ruleSet = useMemo(() => getActiveRuleSet(settings), [settings]);
+  const statusConfig = useMemo(() => buildStatusConfig(ruleSet), [ruleSet]);
+  const attribution = useMemo(() => attributionOf(settings), [settings]);
+  const adModel = attribution.model !== "page";
+  // Every view reads snapshots re-classified with the active rule set
+  const snapshots = useMemo(() => reclassifySnapshots(storedSnapshots, ruleSet, attribution), [storedSnapshots, ruleSet, attribution]);
   
   const [view, setView] = useState("dashboard");
   const [importModal, setImportModal] = useState(false);
@@ -211,11 +2488,36 @@ export default function AdProfitDashboard() {
   const [settingsModal, setSettingsModal] = useState(false);
   const [filterStatus, setFilterStatus] = useState("all");
   const [filterSearch, setFilterSearch] = useState("");
+  const [channelFilter, setChannelFilter] = useState("all");
   const [sortBy, setSortBy] = useState("profit");
   const [sortDir, setSortDir] = useState("desc");
   const [selectedSnapshot, setSelectedSnapshot] = useState("latest");
   const [deleteConfirm, setDeleteConfirm] = useState(null);
-  const [exportData, setExportData] = useState(null);
+  const [repriceIds, setRepriceIds] = useState([]);
+  const [reportSnapshotId, setReportSnapshotId] = useState(null);
+  const [campaignFocus, setCampaignFocus] = useState(null);
+  const [backToCampaign, setBackToCampaign] = useState(null);
+  const [aliasText, setAliasText] = useState("");
+  const [normTest, setNormTest] = useState("");
+  const [scenario, setScenario] = useState(EMPTY_SCENARIO);
+  const [whatIfSearch, setWhatIfSearch] = useState("");
+  const [forecastMonths, setForecastMonths] = useState(3);
+  const [alertsOpen, setAlertsOpen] = useState(false);
+  const [diffPair, setDiffPair] = useState(null);
+  const [diffMetric, setDiffMetric] = useState("profit");
+  const [diffCell, setDiffCell] = useState(null);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const [backendDraft, setBackendDraft] = useState(null);
+  const [restore, setRestore] = useState(null);
+  const [restoreMode, setRestoreMode] = useState("merge");
+  const [reportSource, setReportSource] = useState(null);
+  const [reportTemplate, setReportTemplate] = useState(DEFAULT_REPORT_TEMPLATE);
+  const reportFrameRef = useRef(null);
+  const [bulkPicks, setBulkPicks] = useState([]);
+  const [bulkModal, setBulkModal] = useState(null);
+  const [bulkOptions, setBulkOptions] = useState({ pct: 15 });
+  const [bulkExcluded, setBulkExcluded] = useState([]);
+  const [actionDraft, setActionDraft] = useState({ type: "pause", date: todayISO(), pct: "", note: "" });
   
   // Compare / Date Range state
   const [compareFrom, setCompareFrom] = useState(() => {
@@ -229,122 +2531,369 @@ export default function AdProfitDashboard() {
   const [compareSearch, setCompareSearch] = useState("");
   
   // Import state
-  const [mvText, setMvText] = useState("");
-  const [gaText, setGaText] = useState("");
-  const [mvFileName, setMvFileName] = useState("");
-  const [gaFileName, setGaFileName] = useState("");
+  // Revenue reports: { id, source, name, text, mapping, auto }; mapping stays null until edited
+  const [revenueFiles, setRevenueFiles] = useState([]);
+  const [revenueSourcePick, setRevenueSourcePick] = useState("mediavine");
+  // Cost reports: { id, channel, currency, name, text, mapping, auto }
+  const [costFiles, setCostFiles] = useState([]);
+  const [costChannelPick, setCostChannelPick] = useState("google");
   const [importLabel, setImportLabel] = useState("");
   const [importPeriod, setImportPeriod] = useState("monthly");
   const [importDate, setImportDate] = useState(new Date().toISOString().slice(0,10));
-  const mvFileRef = useRef(null);
-  const gaFileRef = useRef(null);
+  const [importCoverage, setImportCoverage] = useState(null);
+  const revenueFileRef = useRef(null);
+  const costFileRef = useRef(null);
+  const rateFileRef = useRef(null);
+  const backupFileRef = useRef(null);
+  const [fileEncodings, setFileEncodings] = useState({});
+
+  // Header detection runs when a file is added or its source changes. The
+  // auto-mapping is kept on the file (f.auto) and redone only when the saved
+  // profile matching its headers changes; edited mappings (f.mapping) win.
+  useEffect(() => {
+    const refresh = (auto, source) => (fs) => {
+      const next = fs.map(f => f.mapping || (findImportProfile(importProfiles, source(f), f.auto.mapping.headers)?.id || null) === f.auto.profileId ? f : { ...f, auto: auto(f, importProfiles) });
+      return next.some((f, i) => f !== fs[i]) ? next : fs;
+    };
+    setRevenueFiles(refresh(revenueAutoMapping, f => profileSource(f.source)));
+    setCostFiles(refresh(costAutoMapping, f => channelProfile(f.channel)));
+  }, [importProfiles]);
+  const revenueInputs = useMemo(() => revenueFiles.map(f => {
+    const mapping = f.mapping || f.auto.mapping;
+    return { ...f, mapping, rows: parseRevenueSource(f.text, f.source, mapping.map) };
+  }), [revenueFiles]);
+  const updateRevenueFile = (id, patch) => setRevenueFiles(fs => fs.map(f => {
+    if (f.id !== id) return f;
+    const next = { ...f, ...patch };
+    return patch.source ? { ...next, auto: revenueAutoMapping(next, importProfiles) } : next;
+  }));
+  const costInputs = useMemo(() => costFiles.map(f => {
+    const mapping = f.mapping || f.auto.mapping;
+    return { ...f, mapping, rows: parseCostSource(f.text, f.channel, mapping.map) };
+  }), [costFiles]);
+  const updateCostFile = (id, patch) => setCostFiles(fs => fs.map(f => {
+    if (f.id !== id) return f;
+    const next = { ...f, ...patch };
+    return patch.channel ? { ...next, auto: costAutoMapping(next, importProfiles) } : next;
+  }));
+  // The account currency of each channel is remembered per workspace
+  const channelCurrency = (id) => settings?.channelCurrencies?.[id] || costChannel(id).currency;
+  const setChannelCurrency = (f, currency) => {
+    updateCostFile(f.id, { currency });
+    saveSettings({ ...settings, channelCurrencies: { ...settings?.channelCurrencies, [f.channel]: currency } });
+  };
+
+  const saveImportProfile = (source, mapping, name) => {
+    const signature = headerSignature(mapping.headers);
+    saveImportProfiles([
+      ...importProfiles.filter(p => !(p.source === source && p.signature === signature)),
+      { id: Date.now().toString(36), name, source, signature, mapping: mapping.map, createdAt: Date.now() },
+    ]);
+  };
+  const [rateTableText, setRateTableText] = useState("");
 
   const handleFileUpload = (file, setter, nameSetter) => {
     if (!file) return;
     nameSetter(file.name);
     const reader = new FileReader();
-    reader.onload = (e) => setter(e.target.result);
-    reader.readAsText(file);
+    reader.onload = (e) => {
+      const { text, encoding } = decodeCSVBuffer(e.target.result);
+      setFileEncodings(m => ({ ...m, [file.name]: encoding }));
+      setter(text);
+    };
+    reader.readAsArrayBuffer(file);
   };
 
-  const rate = settings?.inrToUsd || INR_TO_USD_DEFAULT;
+  const addRevenueFile = (file) => handleFileUpload(file,
+    text => setRevenueFiles(fs => {
+      const f = { id: Date.now().toString(36) + fs.length, source: revenueSourcePick, name: file.name, text, mapping: null };
+      return [...fs, { ...f, auto: revenueAutoMapping(f, importProfiles) }];
+    }), () => {});
+  const addCostFile = (file) => handleFileUpload(file,
+    text => setCostFiles(fs => {
+      const f = { id: Date.now().toString(36) + fs.length, channel: costChannelPick, currency: channelCurrency(costChannelPick), name: file.name, text, mapping: null };
+      return [...fs, { ...f, auto: costAutoMapping(f, importProfiles) }];
+    }), () => {});
+
+  const importRate = rateForDate(importDate, settings);
+  // Coverage follows date + period until the user edits it
+  const importRange = importCoverage || defaultCoverage(importDate, importPeriod);
+  const importOverlaps = snapshots.filter(s => { const c = coverageOf(s); return c.start <= importRange.end && c.end >= importRange.start; });
 
   // ─── PROCESS IMPORT ──────────────────────────────────────
-  const processImport = () => {
-    const mvRows = mvText.trim() ? parseMediavineCSV(mvText) : [];
-    const gaRows = gaText.trim() ? parseGoogleAdsCSV(gaText) : [];
-
-    // Build MV lookup by normalized slug
-    const mvMap = {};
-    mvRows.forEach(r => {
-      const slug = (r.slug||"").trim().replace(/^\/|\/$/g,"");
-      if (!slug) return;
-      mvMap[slug] = {
-        views: num(r.views),
-        revenue: num(r.revenue),
-        rpm: num(r.rpm),
-        cpm: num(r.cpm),
-        viewability: num(r.viewability),
-        fillRate: num(r.fillrate || r.fillRate),
-        impressionsPerPV: num(r.impressionsperpageview || r.impressionsPerPageview),
-      };
+  // Paid traffic rows whose host belongs to another workspace are held there
+  // as pending costs; rows for unknown hosts stay in this workspace. Pending
+  // costs routed here join the next import covering the same period.
+  const pendingCosts = settings?.pendingCosts || [];
+  const samePeriod = (a, b) => a.start === b.start && a.end === b.end;
+  const costINROf = (files, rate) => files.reduce((s,f) => s + f.rows.reduce((t,r) => t + num(r.Cost), 0) * (f.currency === "USD" ? rate : 1), 0);
+  const processImport = async () => {
+    const meta = { label: importLabel || `Import ${new Date().toLocaleDateString()}`, date: importDate, period: importPeriod, ...importRange };
+    const revenue = revenueInputs.map(f => ({ source: f.source, rows: f.rows }));
+    // Skipped lines are kept in INR like the rest of the report
+    const skipped = [];
+    const costs = costInputs.map(f => {
+      const lines = [];
+      const rows = parseCostSource(f.text, f.channel, f.mapping.map, lines);
+      lines.forEach(r => skipped.push({ ...r, channel: f.channel, costINR: f.currency === "USD" ? r.costINR * importRate.rate : r.costINR }));
+      return { channel: f.channel, currency: f.currency, rows };
     });
-
-    // Build GA lookup by normalized slug (aggregate across campaigns)
-    const gaMap = {};
-    gaRows.forEach(r => {
-      const lp = (r["Landing page"]||"").trim();
-      const slug = lp.replace(/^https?:\/\/[^/]+/,"").replace(/^\/|\/$/g,"");
-      if (!slug) return;
-      if (!gaMap[slug]) gaMap[slug] = { campaigns:[], clicks:0, impressions:0, costINR:0, cpc:0, ctr:0 };
-      const clicks = num(r.Clicks);
-      const impr = num(r["Impr."]);
-      const cost = num(r.Cost);
-      const cpc = num(r["Avg. CPC"]);
-      const ctr = num(r.CTR);
-      const campaign = (r.Campaign||"").trim();
-      gaMap[slug].clicks += clicks;
-      gaMap[slug].impressions += impr;
-      gaMap[slug].costINR += cost;
-      if (campaign && !gaMap[slug].campaigns.includes(campaign)) gaMap[slug].campaigns.push(campaign);
+    const { own, routed } = routeCostsByHost(costs, workspaceState.workspaces, activeWorkspace);
+    const toSlug = slugNormalizer(settings);
+    const keys = fileCostKeys(own, toSlug);
+    const pickup = pendingCosts.filter(p => samePeriod(p, importRange));
+    const pickedUp = pickup.map(p => {
+      const files = unstoredCostFiles(p.files, keys, toSlug);
+      fileCostKeys(files, toSlug).forEach(k => keys.add(k));
+      return { p, files };
     });
 
-    // Merge all slugs
-    const allSlugs = new Set([...Object.keys(mvMap), ...Object.keys(gaMap)]);
-    const urls = [];
-    allSlugs.forEach(slug => {
-      const mv = mvMap[slug] || { views:0, revenue:0, rpm:0, cpm:0, viewability:0, fillRate:0, impressionsPerPV:0 };
-      const ga = gaMap[slug] || { campaigns:[], clicks:0, impressions:0, costINR:0 };
-      const costUSD = ga.costINR / rate;
-      const profit = mv.revenue - costUSD;
-      const roi = costUSD > 0 ? (profit / costUSD) * 100 : (mv.revenue > 0 ? 999 : 0);
-      const revenuePerClick = ga.clicks > 0 ? mv.revenue / ga.clicks : 0;
-      const costPerClick = ga.clicks > 0 ? costUSD / ga.clicks : 0;
-      const status = classifyUrl(costUSD, mv.revenue);
-
-      urls.push({
-        slug, status, profit, roi, revenuePerClick, costPerClick,
-        mv, ga: { ...ga, costUSD },
-        hasAds: ga.costINR > 0,
-      });
-    });
+    const built = buildSnapshot({ revenue, costs: [...own, ...pickedUp.flatMap(x => x.files)], skipped, settings, meta });
+    const base = anomalyBase(built, snapshots);
+    let snapshot = built;
+    try {
+      if (base) {
+        // Classified within the whole list, the same way the snapshots memo does
+        const [loaded] = await withUrls([base]);
+        snapshot = withAnomalies(built, base.urls ? base : reclassifySnapshots(snapshots.map(s => s.id === base.id ? loaded : s), ruleSet, attribution).find(s => s.id === base.id));
+      }
+    } catch (e) { snapshot.report.anomalyError = e.message; }
+    snapshot.report.routed = Object.entries(routed).map(([wsId, files]) => ({
+      workspace: workspaceState.workspaces.find(w => w.id === wsId)?.name || wsId,
+      rows: costRowCount(files),
+      costINR: costINROf(files, importRate.rate),
+    }));
+    snapshot.report.pickedUp = pickedUp.map(({ p, files }) => ({
+      workspace: p.from, rows: costRowCount(files), costINR: costINROf(files, importRate.rate), skippedRows: costRowCount(p.files) - costRowCount(files),
+    }));
 
-    const snapshot = {
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2,6),
-      label: importLabel || `Import ${new Date().toLocaleDateString()}`,
-      date: importDate,
-      period: importPeriod,
-      createdAt: Date.now(),
-      urls,
-      totals: {
-        mvRevenue: urls.reduce((s,u) => s + u.mv.revenue, 0),
-        gaSpendINR: urls.reduce((s,u) => s + u.ga.costINR, 0),
-        gaSpendUSD: urls.reduce((s,u) => s + u.ga.costUSD, 0),
-        gaClicks: urls.reduce((s,u) => s + u.ga.clicks, 0),
-        gaImpressions: urls.reduce((s,u) => s + u.ga.impressions, 0),
-        totalProfit: urls.reduce((s,u) => s + u.profit, 0),
-        urlCount: urls.length,
-        adsUrlCount: urls.filter(u => u.hasAds).length,
+    // Other workspaces are written first so a failure can be recorded in this report
+    for (const [i, [wsId, files]] of Object.entries(routed).entries()) {
+      const ws = workspaceState.workspaces.find(w => w.id === wsId);
+      try {
+        await holdRoutedCosts(storage, ws, { id: Date.now().toString(36) + i, from: activeWorkspace.name, label: meta.label, start: meta.start, end: meta.end, files, createdAt: Date.now() });
+      } catch (e) {
+        snapshot.report.routed[i].error = e.message;
       }
-    };
+    }
+    saveSnapshots([snapshot, ...storedSnapshots]);
+    if (pickup.length) saveSettings({ ...settings, pendingCosts: pendingCosts.filter(p => !pickup.includes(p)) });
 
-    saveSnapshots([snapshot, ...snapshots]);
-    setMvText(""); setGaText(""); setImportLabel(""); setMvFileName(""); setGaFileName("");
+    setRevenueFiles([]); setCostFiles([]); setImportLabel(""); setImportCoverage(null);
     setImportModal(false);
     setSelectedSnapshot("latest");
+    if (reportIssueCount(snapshot.report) > 0 || snapshot.report.routed.some(r => r.error)) setReportSnapshotId(snapshot.id);
+    else if (snapshot.alerts?.length) setAlertsOpen(true);
+  };
+
+  // Pending costs for a period that already has a snapshot are merged into it,
+  // priced at that snapshot's rate
+  const mergePendingCosts = async (p, target) => {
+    let loaded;
+    try { [loaded] = await withUrls([target]); } catch (e) { window.alert(`Could not load snapshot data: ${e.message}`); return; }
+    const files = unstoredCostFiles(p.files, storedCostKeys(loaded.urls), slugNormalizer(settings));
+    if (files.length) {
+      const rate = snapshotRate(loaded) || rateForDate(loaded.date, settings).rate;
+      const costOnly = buildSnapshot({ costs: files, settings: { ...settings, rateTable: [], inrToUsd: rate }, meta: { label: loaded.label, date: loaded.date, period: loaded.period } });
+      const merged = renormalizeSnapshot({ ...loaded, urls: [...loaded.urls, ...costOnly.urls] }, slug => slug, ruleSet);
+      const entry = { workspace: p.from, rows: costRowCount(files), costINR: costINROf(files, rate), skippedRows: costRowCount(p.files) - costRowCount(files) };
+      saveSnapshots(storedSnapshots.map(s => s.id === target.id ? (merged.report ? { ...merged, report: { ...merged.report, pickedUp: [...(merged.report.pickedUp || []), entry] } } : merged) : s));
+    }
+    saveSettings({ ...settings, pendingCosts: pendingCosts.filter(x => x.id !== p.id) });
+  };
+  const discardPendingCosts = (p) => {
+    if (window.confirm(`Discard ${costRowCount(p.files)} cost rows routed from ${p.from}?`)) saveSettings({ ...settings, pendingCosts: pendingCosts.filter(x => x.id !== p.id) });
+  };
+
+  // ─── RE-PRICE HISTORY ─────────────────────────────────────
+  // Each selected snapshot is re-priced at the rate table entry for its month,
+  // or the default rate when the table has none
+  const repriceSelected = async () => {
+    const chosen = storedSnapshots.filter(s => repriceIds.includes(s.id));
+    if (!chosen.length) return;
+    const lines = chosen.map(s => { const fx = rateForDate(s.date, settings); return `${s.label}: ₹${(snapshotRate(s)||0).toFixed(2)} → ₹${fx.rate.toFixed(2)}`; });
+    if (!window.confirm(`Re-price ${chosen.length} snapshot${chosen.length!==1?"s":""}?\n\n${lines.join("\n")}`)) return;
+    let loaded;
+    try { loaded = await withUrls(chosen); } catch (e) { window.alert(`Could not load snapshot data: ${e.message}`); return; }
+    saveSnapshots(storedSnapshots.map(s => {
+      if (!repriceIds.includes(s.id)) return s;
+      const fx = rateForDate(s.date, settings);
+      return repriceSnapshot(loaded.find(x => x.id === s.id), fx.rate, fx.source, ruleSet);
+    }));
+    setRepriceIds([]);
+  };
+
+  // ─── WORKSPACE MANAGEMENT ─────────────────────────────────
+  const switchWorkspace = (id) => {
+    saveWorkspaceState({ ...workspaceState, activeId: id });
+    setSelectedSnapshot("latest"); setDetailSlug(null); setRepriceIds([]);
+  };
+  const createWorkspace = () => {
+    const name = (window.prompt("Workspace name (e.g. the site's domain):") || "").trim();
+    if (!name) return;
+    const id = Date.now().toString(36);
+    const domains = /^[\w-]+(\.[\w-]+)+$/.test(name) ? [bareHost(name)] : [];
+    saveWorkspaceState({ activeId: id, workspaces: [...workspaceState.workspaces, { id, name, domains }] });
+    setSelectedSnapshot("latest"); setDetailSlug(null); setRepriceIds([]);
+  };
+  const updateWorkspace = (patch) => saveWorkspaceState({
+    ...workspaceState,
+    workspaces: workspaceState.workspaces.map(w => w.id === activeWorkspace.id ? { ...w, ...patch } : w),
+  });
+  const deleteWorkspace = async () => {
+    if (activeWorkspace.id === "default") return;
+    if (!window.confirm(`Delete workspace "${activeWorkspace.name}" with all its snapshots and settings? This cannot be undone.`)) return;
+    try {
+      for (const key of await workspaceKeys(storage, activeWorkspace)) await storage.delete(key);
+    } catch (e) {
+      window.alert(`Could not delete the workspace data: ${e.message}`);
+      return;
+    }
+    saveWorkspaceState({ activeId: "default", workspaces: workspaceState.workspaces.filter(w => w.id !== activeWorkspace.id) });
+    setSelectedSnapshot("latest"); setDetailSlug(null); setRepriceIds([]);
+    setSettingsModal(false);
+  };
+
+  // ─── STORAGE BACKEND & SYNC STATUS ───────────────────────
+  const byIdNewestFirst = (mine, theirs) => {
+    const ids = new Set(mine.map(x => x.id));
+    return [...mine, ...theirs.filter(x => !ids.has(x.id))].sort((a,b) => (b.createdAt||0) - (a.createdAt||0));
+  };
+  const syncStores = [
+    { name:"Snapshots", data:storedSnapshots, sync:snapsSync, merge:byIdNewestFirst },
+    { name:"Settings", data:settings, sync:settingsSync },
+    { name:"Workspaces", data:workspaceState, sync:wsSync, merge:(mine, theirs) => ({ ...mine, workspaces:[...mine.workspaces, ...theirs.workspaces.filter(w => !mine.workspaces.some(x => x.id === w.id))] }) },
+    { name:"Import profiles", data:importProfiles, sync:profilesSync, merge:byIdNewestFirst },
+  ];
+  const syncState = ["conflict","error","saving","saved"].find(st => syncStores.some(x => x.sync.status.state === st)) || "idle";
+
+  // Copies every key this app owns (all workspaces) to the new backend before switching
+  const switchBackend = async (config, copy) => {
+    if (copy) {
+      const target = createAdapter(config);
+      try {
+        const keys = ["adprofit_workspaces_v1", "adprofit_import_profiles_v1"];
+        for (const w of workspaceState.workspaces) keys.push(...await workspaceKeys(storage, w));
+        for (const key of keys) {
+          const r = await storage.get(key);
+          if (r) await target.set(key, r.value, null, true);
+        }
+      } catch (e) {
+        window.alert(`Copy failed, staying on ${STORAGE_BACKENDS[backend.type].label}: ${e.message}`);
+        return;
+      }
+    }
+    if (!storeBackendConfig(config)) window.alert("This browser blocks localStorage, so the backend choice only lasts until the page reloads.");
+    setBackend(config);
+    setBackendDraft(null);
+  };
+
+  // ─── BACKUP & RESTORE ─────────────────────────────────────
+  const downloadBackup = async () => {
+    try {
+      const backup = buildBackup({ workspace: activeWorkspace, snapshots: await withUrls(storedSnapshots), settings, importProfiles });
+      downloadFile(exportName([activeWorkspace.name, "backup", new Date().toISOString().slice(0,10)], "json"), JSON.stringify(backup), "application/json");
+    } catch (e) {
+      window.alert(`Could not build the backup: ${e.message}`);
+    }
+  };
+
+  const openBackupFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try { setRestore({ fileName: file.name, backup: parseBackup(e.target.result) }); }
+      catch (err) { setRestore({ fileName: file.name, error: err.message }); }
+    };
+    reader.readAsText(file);
+    setRestoreMode("merge");
+  };
+
+  const applyRestore = async () => {
+    const next = restoreBackup(restore.backup, { snapshots: storedSnapshots, settings, importProfiles }, restoreMode);
+    if (!(await saveSnapshots(next.snapshots))) {
+      setRestore({ ...restore, error: "The snapshots could not be saved; nothing else was changed. Check the sync status and try again." });
+      return;
+    }
+    saveSettings(next.settings);
+    saveImportProfiles(next.importProfiles);
+    setRestore(null);
+    setSelectedSnapshot("latest"); setDetailSlug(null); setRepriceIds([]);
+  };
+
+  // ─── NORMALIZATION & ALIASES ──────────────────────────────
+  const normalization = { ...DEFAULT_NORMALIZATION, ...(settings?.normalization || {}) };
+
+  const addAliases = (rows) => {
+    const byFrom = {};
+    (settings?.aliases || []).forEach(a => { byFrom[a.from] = a; });
+    rows.forEach(a => { byFrom[a.from] = a; });
+    const next = { ...settings, aliases: Object.values(byFrom) };
+    saveSettings(next);
+    return next;
+  };
+
+  // From the import report: record the redirect and merge it into that snapshot right away
+  const aliasInSnapshot = async (snapshotId, from, to) => {
+    const toSlug = slugNormalizer(addAliases([{ from, to }]));
+    try {
+      const [target] = await withUrls(storedSnapshots.filter(s => s.id === snapshotId));
+      saveSnapshots(storedSnapshots.map(s => s.id === snapshotId ? renormalizeSnapshot(target, toSlug, ruleSet) : s));
+    } catch (e) { window.alert(`Could not load snapshot data: ${e.message}`); }
+  };
+
+  const renormalizeAll = async () => {
+    if (!window.confirm(`Re-key all ${storedSnapshots.length} snapshots with the current normalization rules and aliases? URLs that now share a slug are merged.`)) return;
+    const toSlug = slugNormalizer(settings);
+    try { saveSnapshots((await withUrls(storedSnapshots)).map(s => renormalizeSnapshot(s, toSlug, ruleSet))); }
+    catch (e) { window.alert(`Could not load snapshot data: ${e.message}`); }
   };
 
   // ─── ACTIVE SNAPSHOT ──────────────────────────────────────
-  const activeSnapshot = useMemo(() => {
+  // The index is always in memory; a snapshot's urls load when it is opened
+  const [urlsError, setUrlsError] = useState(null);
+  const loadUrls = useCallback((ids) => {
+    if (ids.length) ensureUrls(ids).then(() => setUrlsError(null), e => setUrlsError(e.message));
+  }, [ensureUrls]);
+  const activeMeta = useMemo(() => {
     if (!snapshots.length) return null;
     if (selectedSnapshot === "latest") return snapshots[0];
     return snapshots.find(s => s.id === selectedSnapshot) || snapshots[0];
   }, [snapshots, selectedSnapshot]);
+  // The organic baseline reads every snapshot, so with that model nothing is
+  // classified until all are loaded; otherwise statuses would shift as they load
+  const baselineUnloaded = useMemo(() => attribution.model === "baseline" ? snapshots.filter(s => !s.urls).map(s => s.id) : [], [attribution.model, snapshots]);
+  const activeSnapshot = activeMeta?.urls && !baselineUnloaded.length ? activeMeta : null;
+  useEffect(() => { if (activeMeta && !activeMeta.urls) loadUrls([activeMeta.id]); }, [activeMeta, loadUrls]);
+  useEffect(() => { loadUrls(baselineUnloaded); }, [baselineUnloaded, loadUrls]);
+  // URL history reads every snapshot
+  useEffect(() => { if (detailSlug) loadUrls(snapshots.filter(s => !s.urls).map(s => s.id)); }, [detailSlug, snapshots, loadUrls]);
+  // Snapshots stored before slug normalization (or restored from such a backup)
+  // are re-keyed once, so their slugs match new imports
+  const normalizing = useRef(false);
+  useEffect(() => {
+    const stale = storedSnapshots.filter(s => !s.normalizedAt);
+    if (loading || settingsLoading || normalizing.current || !stale.length) return;
+    normalizing.current = true;
+    const toSlug = slugNormalizer(settings);
+    withUrls(stale)
+      .then(loaded => {
+        const byId = Object.fromEntries(loaded.map(s => [s.id, renormalizeSnapshot(s, toSlug, ruleSet)]));
+        return saveSnapshots(storedSnapshots.map(s => byId[s.id] || s));
+      })
+      .catch(e => setUrlsError(`Could not re-key older snapshots: ${e.message}`))
+      .finally(() => { normalizing.current = false; });
+  }, [loading, settingsLoading, storedSnapshots, settings, ruleSet, withUrls, saveSnapshots]);
 
   // ─── FILTERED/SORTED URLs ────────────────────────────────
+  const campaignSplit = settings?.campaignSplit || "clicks";
+  const snapshotChannels = useMemo(() => activeSnapshot ? channelsIn(activeSnapshot.urls.map(u => channelsOf(u.ga))) : [], [activeSnapshot]);
+  useEffect(() => { if (channelFilter !== "all" && !snapshotChannels.includes(channelFilter)) setChannelFilter("all"); }, [snapshotChannels, channelFilter]);
   const processedUrls = useMemo(() => {
     if (!activeSnapshot) return [];
-    let data = activeSnapshot.urls.filter(u => u.hasAds); // Only show URLs with Google Ads
+    let data = activeSnapshot.urls.filter(u => u.hasAds); // Only show URLs with paid traffic
+    // A single channel shows its own spend with revenue attributed to it
+    if (channelFilter !== "all") data = data.map(u => channelSlice(u, channelFilter, campaignSplit, ruleSet)).filter(u => u?.hasAds);
     if (filterStatus !== "all") data = data.filter(u => u.status === filterStatus);
     if (filterSearch) data = data.filter(u => u.slug.toLowerCase().includes(filterSearch.toLowerCase()) || u.ga.campaigns.some(c => c.toLowerCase().includes(filterSearch.toLowerCase())));
     data.sort((a,b) => {
@@ -356,95 +2905,165 @@ export default function AdProfitDashboard() {
         case "roi": va=a.roi; vb=b.roi; break;
         case "clicks": va=a.ga.clicks; vb=b.ga.clicks; break;
         case "rpc": va=a.revenuePerClick; vb=b.revenuePerClick; break;
+        case "adProfit": va=a.adProfit; vb=b.adProfit; break;
         default: va=a.slug; vb=b.slug;
       }
       return sortDir==="desc" ? (vb > va ? 1 : -1) : (va > vb ? 1 : -1);
     });
     return data;
-  }, [activeSnapshot, filterStatus, filterSearch, sortBy, sortDir]);
+  }, [activeSnapshot, filterStatus, filterSearch, sortBy, sortDir, channelFilter, campaignSplit, ruleSet]);
+
+  // Spend, ad-attributed revenue and profit per channel, plus the blended total
+  const channelSummary = useMemo(() => {
+    if (snapshotChannels.length < 2) return [];
+    const ads = activeSnapshot.urls.filter(u => u.hasAds);
+    const sum = (id, us) => {
+      const spend = us.reduce((s,u) => s + u.ga.costUSD, 0), revenue = us.reduce((s,u) => s + adRevenueOf(u), 0);
+      return { id, urls: us.length, spend, revenue, clicks: us.reduce((s,u) => s + u.ga.clicks, 0), profit: revenue - spend, roi: spend > 0 ? ((revenue - spend) / spend) * 100 : 0 };
+    };
+    return [...snapshotChannels.map(id => sum(id, ads.map(u => channelSlice(u, id, campaignSplit, ruleSet)).filter(u => u?.hasAds))), sum("all", ads)];
+  }, [activeSnapshot, snapshotChannels, campaignSplit, ruleSet]);
 
   const maxProfit = useMemo(() => Math.max(...processedUrls.map(u=>Math.abs(u.profit)), 1), [processedUrls]);
 
-  // ─── MONTHLY TREND DATA (last 12 months across all snapshots) ────
-  const monthlyTrend = useMemo(() => {
+  // ─── CAMPAIGN ROLL-UP ────────────────────────────────────
+  const campaignData = useMemo(() => {
+    if (!activeSnapshot) return { campaigns: [], pairs: [] };
+    const pairs = activeSnapshot.urls.filter(u => u.hasAds).flatMap(u =>
+      campaignPairs(u, campaignSplit, ruleSet).map(p => ({ ...p, urlStatus: u.status, urlProfit: u.profit })));
+    const map = {};
+    pairs.forEach(p => {
+      const c = map[p.campaign] = map[p.campaign] || { campaign:p.campaign, costUSD:0, costINR:0, clicks:0, impressions:0, revenue:0, urls:0, losingPairs:0 };
+      c.costUSD += p.costUSD; c.costINR += p.costINR; c.clicks += p.clicks; c.impressions += p.impressions; c.revenue += p.revenue;
+      c.urls++;
+      if (p.profit < 0) c.losingPairs++;
+    });
+    const campaigns = Object.values(map).map(c => {
+      const profit = c.revenue - c.costUSD;
+      const roi = c.costUSD > 0 ? (profit / c.costUSD) * 100 : (c.revenue > 0 ? 999 : 0);
+      return { ...c, profit, roi, status: classifyUrl({ spend:c.costUSD, revenue:c.revenue, clicks:c.clicks, campaigns:[c.campaign] }, ruleSet) };
+    }).sort((a,b) => b.costUSD - a.costUSD);
+    return { campaigns, pairs };
+  }, [activeSnapshot, campaignSplit, ruleSet]);
+
+  // ─── MONTHLY TREND DATA (all months across all snapshots) ────
+  // Overlapping snapshots are resolved once so every aggregate counts each day once
+  const aggregationMode = settings?.aggregation || "pick";
+  const coveragePlan = useMemo(() => planCoverage(snapshots, aggregationMode), [snapshots, aggregationMode]);
+
+  // Revenue sources seen in any snapshot; charts and exports split revenue by them when there are several
+  const revenueSources = useMemo(() => sourcesIn(snapshots.map(s => totalsBySource(s.totals))), [snapshots]);
+  const splitSources = revenueSources.length > 1 ? revenueSources : [];
+  // Paid channels likewise split spend
+  const costChannels = useMemo(() => channelsIn(snapshots.map(s => totalsByChannel(s.totals))), [snapshots]);
+  const splitChannels = costChannels.length > 1 ? costChannels : [];
+
+  const monthlyHistory = useMemo(() => {
     if (!snapshots.length) return [];
-    // Group snapshots by month (YYYY-MM)
+    // Group snapshot pieces by month (YYYY-MM), weighted by the days they cover
     const monthMap = {};
-    snapshots.forEach(s => {
-      const month = s.date ? s.date.slice(0, 7) : null;
-      if (!month) return;
-      // If multiple snapshots in same month, aggregate
-      if (!monthMap[month]) monthMap[month] = { mvRevenue: 0, gaSpendUSD: 0, gaSpendINR: 0, profit: 0, clicks: 0, impressions: 0, snapCount: 0, adsCount: 0, profitable: 0, losing: 0, turnoff: 0 };
+    const pieces = coveragePieces(coveragePlan);
+    // Counts aren't split by day, so each snapshot's land in the month holding most of its days
+    const share = {}, home = new Map(), counted = new Set();
+    pieces.forEach(({ s, month, w }) => {
+      const k = `${s.id}|${month}`;
+      share[k] = (share[k] || 0) + w;
+      if (!home.has(s) || share[k] > share[`${s.id}|${home.get(s)}`]) home.set(s, month);
+    });
+    pieces.forEach(({ s, month, w }) => {
+      if (!monthMap[month]) monthMap[month] = { mvRevenue: 0, gaSpendUSD: 0, gaSpendINR: 0, profit: 0, clicks: 0, impressions: 0, snapCount: 0, adsCount: 0, profitable: 0, losing: 0, turnoff: 0, unloaded: [] };
       const m = monthMap[month];
-      m.mvRevenue += s.totals.mvRevenue;
-      m.gaSpendUSD += s.totals.gaSpendUSD;
-      m.gaSpendINR += s.totals.gaSpendINR;
-      m.profit += s.totals.totalProfit;
-      m.clicks += s.totals.gaClicks;
-      m.impressions += s.totals.gaImpressions;
-      m.adsCount += s.totals.adsUrlCount;
+      m.mvRevenue += s.totals.mvRevenue * w;
+      Object.entries(totalsBySource(s.totals)).forEach(([id, v]) => { m[sourceKey(id)] = (m[sourceKey(id)] || 0) + v * w; });
+      m.gaSpendUSD += s.totals.gaSpendUSD * w;
+      m.gaSpendINR += s.totals.gaSpendINR * w;
+      m.profit += s.totals.totalProfit * w;
+      m.clicks += s.totals.gaClicks * w;
+      m.impressions += s.totals.gaImpressions * w;
       m.snapCount += 1;
-      s.urls.filter(u => u.hasAds).forEach(u => {
+      if (home.get(s) !== month || counted.has(s)) return;
+      counted.add(s);
+      m.adsCount += s.totals.adsUrlCount;
+      // Statuses follow the active rules, so they are counted from loaded urls
+      if (!s.urls) m.unloaded.push(s.id);
+      (s.urls || []).filter(u => u.hasAds).forEach(u => {
         if (u.status === "profitable") m.profitable++;
         if (u.status === "losing") m.losing++;
         if (u.status === "turnoff") m.turnoff++;
       });
     });
-    // Sort by month and take last 12
     return Object.entries(monthMap)
       .sort((a, b) => a[0].localeCompare(b[0]))
-      .slice(-12)
       .map(([month, d]) => {
         const roi = d.gaSpendUSD > 0 ? ((d.profit / d.gaSpendUSD) * 100) : 0;
-        const [y, m] = month.split("-");
-        const label = new Date(parseInt(y), parseInt(m) - 1).toLocaleDateString("en-US", { month: "short", year: "2-digit" });
-        return { month, label, ...d, roi: Math.round(roi) };
+        const bySource = Object.fromEntries(revenueSources.map(id => [sourceKey(id), d[sourceKey(id)] || 0]));
+        // A month with unloaded snapshots has unknown status counts, not zero
+        const counts = d.unloaded.length ? { profitable: null, losing: null, turnoff: null } : {};
+        return { month, label: monthLabel(month), ...d, ...bySource, ...counts, roi: Math.round(roi) };
       });
-  }, [snapshots]);
+  }, [snapshots, coveragePlan, revenueSources]);
+  const monthlyTrend = useMemo(() => monthlyHistory.slice(-12), [monthlyHistory]);
+  // The dashboard's months load their snapshots so the counts fill in
+  const trendUnloaded = useMemo(() => [...new Set(monthlyTrend.flatMap(m => m.unloaded))], [monthlyTrend]);
+  useEffect(() => { if (view === "dashboard") loadUrls(trendUnloaded); }, [view, trendUnloaded, loadUrls]);
+
+  // Forecast fits on the full history so seasonality can use older years
+  const monthlyForecast = useMemo(() => forecastMonthly(monthlyHistory, FORECAST_KEYS, forecastMonths), [monthlyHistory, forecastMonths]);
+  const trendChartData = useMemo(() => appendForecast(monthlyTrend, monthlyForecast, FORECAST_KEYS), [monthlyTrend, monthlyForecast]);
 
   // ─── COMPARE: DATE RANGE AGGREGATION ─────────────────────
   const compareData = useMemo(() => {
     if (!snapshots.length) return { urls: [], totals: null, snapshotsUsed: 0, monthlyBreakdown: [] };
     
-    // Filter snapshots in date range
-    const filtered = snapshots.filter(s => s.date >= compareFrom && s.date <= compareTo);
-    if (!filtered.length) return { urls: [], totals: null, snapshotsUsed: 0, monthlyBreakdown: [] };
+    // Snapshot pieces covering the range; partially covered snapshots count pro rata
+    const all = coveragePieces(coveragePlan, compareFrom, compareTo);
+    const issues = coverageIssues(coveragePlan, compareFrom, compareTo);
+    const unloaded = [...new Set(all.filter(p => !p.s.urls).map(p => p.s.id))];
+    const pieces = all.filter(p => p.s.urls);
+    const used = new Set(pieces.map(p => p.s));
+    if (!pieces.length) return { urls: [], totals: null, snapshotsUsed: 0, monthlyBreakdown: [], issues, unloaded };
     
-    // Aggregate all URLs across filtered snapshots
+    // Aggregate all URLs across the pieces
     const urlMap = {};
     const monthMap = {};
     
-    filtered.forEach(s => {
-      const month = s.date.slice(0,7);
-      if (!monthMap[month]) monthMap[month] = { mvRevenue:0, gaSpendUSD:0, gaSpendINR:0, profit:0, clicks:0 };
+    pieces.forEach(({ s, month, w }) => {
+      if (!monthMap[month]) monthMap[month] = { mvRevenue:0, gaSpendUSD:0, gaSpendINR:0, profit:0, clicks:0, rates:[] };
+      const sRate = snapshotRate(s);
+      if (sRate && !monthMap[month].rates.some(r => Math.abs(r - sRate) < 0.005)) monthMap[month].rates.push(sRate);
       
       s.urls.filter(u => u.hasAds).forEach(u => {
         if (!urlMap[u.slug]) urlMap[u.slug] = {
-          slug: u.slug, mvRevenue:0, gaSpendUSD:0, gaSpendINR:0, gaClicks:0, gaImpressions:0,
-          campaigns: new Set(), appearances:0, months: new Set(),
+          slug: u.slug, mvRevenue:0, adRevenue:0, bySource:{}, gaSpendUSD:0, gaSpendINR:0, gaClicks:0, gaImpressions:0,
+          campaigns: new Set(), snaps: new Set(), months: new Set(),
           monthlyData: {},
         };
         const um = urlMap[u.slug];
-        um.mvRevenue += u.mv.revenue;
-        um.gaSpendUSD += u.ga.costUSD;
-        um.gaSpendINR += u.ga.costINR;
-        um.gaClicks += u.ga.clicks;
-        um.gaImpressions += u.ga.impressions;
-        um.appearances += 1;
+        um.mvRevenue += u.mv.revenue * w;
+        um.adRevenue += adRevenueOf(u) * w;
+        Object.entries(revenueBySource(u.mv)).forEach(([id, v]) => {
+          um.bySource[id] = (um.bySource[id] || 0) + v * w;
+          monthMap[month][sourceKey(id)] = (monthMap[month][sourceKey(id)] || 0) + v * w;
+        });
+        um.gaSpendUSD += u.ga.costUSD * w;
+        um.gaSpendINR += u.ga.costINR * w;
+        um.gaClicks += u.ga.clicks * w;
+        um.gaImpressions += u.ga.impressions * w;
+        um.snaps.add(s.id);
         um.months.add(month);
         u.ga.campaigns.forEach(c => um.campaigns.add(c));
         
         // Per-month data for sparkline
         if (!um.monthlyData[month]) um.monthlyData[month] = { mv:0, spend:0, profit:0 };
-        um.monthlyData[month].mv += u.mv.revenue;
-        um.monthlyData[month].spend += u.ga.costUSD;
-        um.monthlyData[month].profit += (u.mv.revenue - u.ga.costUSD);
+        um.monthlyData[month].mv += u.mv.revenue * w;
+        um.monthlyData[month].spend += u.ga.costUSD * w;
+        um.monthlyData[month].profit += (u.mv.revenue - u.ga.costUSD) * w;
         
-        monthMap[month].mvRevenue += u.mv.revenue;
-        monthMap[month].gaSpendUSD += u.ga.costUSD;
-        monthMap[month].gaSpendINR += u.ga.costINR;
-        monthMap[month].profit += u.profit;
-        monthMap[month].clicks += u.ga.clicks;
+        monthMap[month].mvRevenue += u.mv.revenue * w;
+        monthMap[month].gaSpendUSD += u.ga.costUSD * w;
+        monthMap[month].gaSpendINR += u.ga.costINR * w;
+        monthMap[month].profit += u.profit * w;
+        monthMap[month].clicks += u.ga.clicks * w;
       });
     });
     
@@ -453,7 +3072,8 @@ export default function AdProfitDashboard() {
       const profit = u.mvRevenue - u.gaSpendUSD;
       const roi = u.gaSpendUSD > 0 ? (profit / u.gaSpendUSD) * 100 : (u.mvRevenue > 0 ? 999 : 0);
       const rpc = u.gaClicks > 0 ? u.mvRevenue / u.gaClicks : 0;
-      const status = classifyUrl(u.gaSpendUSD, u.mvRevenue);
+      const adProfit = u.adRevenue - u.gaSpendUSD;
+      const status = classifyUrl({ spend:u.gaSpendUSD, revenue:u.adRevenue, clicks:u.gaClicks, campaigns:[...u.campaigns] }, ruleSet);
       // Determine trend from monthly data
       const months = Object.keys(u.monthlyData).sort();
       let trend = "stable";
@@ -463,15 +3083,20 @@ export default function AdProfitDashboard() {
         if (last > first + 1) trend = "improving";
         else if (last < first - 1) trend = "declining";
       }
+      const { snaps, ...rest } = u;
       return {
-        ...u, profit, roi, rpc, status, trend,
+        ...rest, profit, adProfit, roi, rpc, status, trend,
+        confidence: urlConfidence({ spend:u.gaSpendUSD, revenue:u.adRevenue, clicks:u.gaClicks }, guardOf(ruleSet)),
+        appearances: snaps.size,
+        gaClicks: Math.round(u.gaClicks), gaImpressions: Math.round(u.gaImpressions),
         campaigns: [...u.campaigns],
         monthCount: u.months.size,
         months: [...u.months].sort(),
       };
     });
     
-    // Apply filters
+    // Apply filters; the report uses the unfiltered list
+    const unfiltered = urls;
     if (compareFilterStatus !== "all") urls = urls.filter(u => u.status === compareFilterStatus);
     if (compareSearch) urls = urls.filter(u => u.slug.toLowerCase().includes(compareSearch.toLowerCase()) || u.campaigns.some(c => c.toLowerCase().includes(compareSearch.toLowerCase())));
     
@@ -485,6 +3110,7 @@ export default function AdProfitDashboard() {
         case "roi": va=a.roi; vb=b.roi; break;
         case "clicks": va=a.gaClicks; vb=b.gaClicks; break;
         case "appearances": va=a.appearances; vb=b.appearances; break;
+        case "adProfit": va=a.adProfit; vb=b.adProfit; break;
         default: va=a.slug; vb=b.slug;
       }
       return compareSortDir==="desc" ? (vb>va?1:-1) : (va>vb?1:-1);
@@ -494,54 +3120,228 @@ export default function AdProfitDashboard() {
     const allUrls = Object.values(urlMap);
     const totals = {
       mvRevenue: allUrls.reduce((s,u) => s+u.mvRevenue, 0),
+      bySource: Object.fromEntries(revenueSources.map(id => [id, allUrls.reduce((s,u) => s+(u.bySource[id]||0), 0)])),
       gaSpendUSD: allUrls.reduce((s,u) => s+u.gaSpendUSD, 0),
       gaSpendINR: allUrls.reduce((s,u) => s+u.gaSpendINR, 0),
       profit: allUrls.reduce((s,u) => s+(u.mvRevenue-u.gaSpendUSD), 0),
-      clicks: allUrls.reduce((s,u) => s+u.gaClicks, 0),
+      clicks: Math.round(allUrls.reduce((s,u) => s+u.gaClicks, 0)),
       urlCount: allUrls.length,
-      profitable: allUrls.filter(u => classifyUrl(u.gaSpendUSD, u.mvRevenue)==="profitable").length,
-      improving: allUrls.filter(u => classifyUrl(u.gaSpendUSD, u.mvRevenue)==="improving").length,
-      losing: allUrls.filter(u => classifyUrl(u.gaSpendUSD, u.mvRevenue)==="losing").length,
-      turnoff: allUrls.filter(u => classifyUrl(u.gaSpendUSD, u.mvRevenue)==="turnoff").length,
     };
+    allUrls.forEach(u => {
+      const st = classifyUrl({ spend:u.gaSpendUSD, revenue:u.adRevenue, clicks:u.gaClicks, campaigns:[...u.campaigns] }, ruleSet);
+      totals[st] = (totals[st] || 0) + 1;
+    });
     totals.roi = totals.gaSpendUSD > 0 ? (totals.profit / totals.gaSpendUSD * 100) : 0;
     
     // Monthly breakdown for chart
     const monthlyBreakdown = Object.entries(monthMap).sort((a,b)=>a[0].localeCompare(b[0])).map(([m,d]) => {
       const [y,mo] = m.split("-");
-      return { month:m, label: new Date(+y,+mo-1).toLocaleDateString("en-US",{month:"short",year:"2-digit"}), ...d, roi: d.gaSpendUSD>0?((d.profit/d.gaSpendUSD)*100):0 };
+      const bySource = Object.fromEntries(revenueSources.map(id => [sourceKey(id), d[sourceKey(id)] || 0]));
+      return { month:m, label: new Date(+y,+mo-1).toLocaleDateString("en-US",{month:"short",year:"2-digit"}), ...d, ...bySource, roi: d.gaSpendUSD>0?((d.profit/d.gaSpendUSD)*100):0 };
     });
     
-    return { urls, totals, snapshotsUsed: filtered.length, monthlyBreakdown };
-  }, [snapshots, compareFrom, compareTo, compareFilterStatus, compareSearch, compareSortBy, compareSortDir]);
+    return { urls, unfiltered, totals, snapshotsUsed: used.size, monthlyBreakdown, issues, unloaded };
+  }, [snapshots, coveragePlan, ruleSet, revenueSources, compareFrom, compareTo, compareFilterStatus, compareSearch, compareSortBy, compareSortDir]);
+  useEffect(() => { if (view === "compare" && compareData.unloaded) loadUrls(compareData.unloaded); }, [view, compareData.unloaded, loadUrls]);
 
   // ─── STATS ───────────────────────────────────────────────
   const stats = useMemo(() => {
     if (!activeSnapshot) return null;
     const ads = activeSnapshot.urls.filter(u => u.hasAds);
     const t = activeSnapshot.totals;
+    const counts = {};
+    Object.keys(statusConfig).forEach(k => { counts[k] = ads.filter(u => u.status===k).length; });
     return {
       ...t,
-      profitable: ads.filter(u => u.status==="profitable").length,
-      improving: ads.filter(u => u.status==="improving").length,
-      losing: ads.filter(u => u.status==="losing").length,
-      turnoff: ads.filter(u => u.status==="turnoff").length,
+      ...counts,
       avgROI: t.gaSpendUSD > 0 ? ((t.totalProfit / t.gaSpendUSD) * 100) : 0,
       adsCount: ads.length,
+      adRevenue: ads.reduce((s,u) => s + adRevenueOf(u), 0),
+      adProfit: ads.reduce((s,u) => s + (u.adProfit ?? u.profit), 0),
     };
+  }, [activeSnapshot, statusConfig]);
+
+  // ─── ALERTS ──────────────────────────────────────────────
+  const alertFeed = useMemo(() => snapshots.filter(s => s.alerts?.length), [snapshots]);
+  const unreadAlerts = useMemo(() => alertFeed.filter(s => s.createdAt > (settings?.alertsReadAt || 0)).reduce((n,s) => n + s.alerts.length, 0), [alertFeed, settings]);
+  const urlAlerts = useMemo(() => {
+    const map = {};
+    (activeSnapshot?.alerts || []).forEach(a => { (map[a.slug] = map[a.slug] || []).push(a); });
+    return map;
   }, [activeSnapshot]);
+  const openAlerts = () => {
+    setAlertsOpen(true);
+    if (unreadAlerts) saveSettings({ ...settings, alertsReadAt: Date.now() });
+  };
+
+  // ─── SNAPSHOT DIFF ───────────────────────────────────────
+  const diff = useMemo(() => {
+    if (!diffPair) return null;
+    const a = snapshots.find(s => s.id === diffPair.a), b = snapshots.find(s => s.id === diffPair.b);
+    return a?.urls && b?.urls ? { a, b, ...diffSnapshots(a, b) } : null;
+  }, [diffPair, snapshots]);
+  useEffect(() => { if (diffPair) loadUrls([diffPair.a, diffPair.b]); }, [diffPair, loadUrls]);
+
+  // ─── WHAT-IF PROJECTION ──────────────────────────────────
+  const simulation = useMemo(() => activeSnapshot ? simulateScenario(activeSnapshot.urls, scenario) : null, [activeSnapshot, scenario]);
+
+  const saveScenario = () => {
+    const name = scenario.name.trim() || `Scenario ${new Date().toLocaleDateString()}`;
+    const saved = { ...scenario, name, id: scenario.id || Date.now().toString(36), savedAt: Date.now(), snapshotId: activeSnapshot?.id };
+    saveSettings({ ...settings, scenarios: [...(settings?.scenarios || []).filter(x => x.id !== saved.id), saved] });
+    setScenario(saved);
+  };
 
   // ─── EXPORT ──────────────────────────────────────────────
+  // File names carry the site, the snapshot and its date
+  const snapshotFileName = (what, ext) => exportName([activeWorkspace.name, activeSnapshot?.label, what, activeSnapshot?.date], ext);
+  const downloadCSV = (name, headers, rows) => downloadFile(name, toCSV(headers, rows), "text/csv;charset=utf-8");
+
+  const exportChangeList = () => {
+    const headers = ["Slug","Status","Action","Current Spend (USD)","New Spend (USD)","Spend Change (USD)","Current Revenue (USD)","Projected Revenue (USD)","Profit Change (USD)"];
+    const rows = simulation.rows.filter(r => r.pct !== 0).map(r => [
+      "/"+r.slug, r.status, r.paused ? "Pause" : `Budget ${r.pct>0?"+":""}${r.pct}%`,
+      r.curSpend.toFixed(2), r.spend.toFixed(2), (r.spend-r.curSpend).toFixed(2),
+      r.curRevenue.toFixed(2), r.revenue.toFixed(2), (r.profit-r.curProfit).toFixed(2),
+    ]);
+    downloadCSV(snapshotFileName(`what-if-${scenario.name || "changes"}`, "csv"), headers, rows);
+  };
+
   const exportCSV = () => {
     if (!activeSnapshot) return;
-    const headers = ["Slug","Status","MV Revenue (USD)","MV Views","MV RPM","GA Spend (INR)","GA Spend (USD)","GA Clicks","GA Impressions","Campaigns","Profit (USD)","ROI %","Rev/Click"];
+    const headers = ["Slug","Status","Revenue (USD)",...splitSources.map(id => `${revenueSource(id).label} Revenue (USD)`),"Views","RPM","Ad Spend (INR)","Ad Spend (USD)",...splitChannels.map(id => `${costChannel(id).label} Spend (USD)`),"Ad Clicks","Ad Impressions","Campaigns","Profit (USD)",...(adModel?["Ad Revenue (USD)","Ad Profit (USD)"]:[]),"ROI %","Rev/Click"];
     const rows = processedUrls.map(u => [
-      "/"+u.slug, u.status, u.mv.revenue.toFixed(2), u.mv.views, u.mv.rpm.toFixed(2),
-      u.ga.costINR.toFixed(2), u.ga.costUSD.toFixed(2), u.ga.clicks, u.ga.impressions,
-      u.ga.campaigns.join(" | "), u.profit.toFixed(2), u.roi.toFixed(1), u.revenuePerClick.toFixed(4)
+      "/"+u.slug, u.status, u.mv.revenue.toFixed(2), ...splitSources.map(id => (revenueBySource(u.mv)[id] || 0).toFixed(2)), u.mv.views, u.mv.rpm.toFixed(2),
+      u.ga.costINR.toFixed(2), u.ga.costUSD.toFixed(2), ...splitChannels.map(id => (channelsOf(u.ga)[id]?.costUSD || 0).toFixed(2)), u.ga.clicks, u.ga.impressions,
+      u.ga.campaigns.join(" | "), u.profit.toFixed(2), ...(adModel?[u.adRevenue.toFixed(2), u.adProfit.toFixed(2)]:[]), u.roi.toFixed(1), u.revenuePerClick.toFixed(4)
     ]);
-    const csvContent = [headers,...rows].map(r => r.map(c=>`"${c}"`).join(",")).join("\n");
-    setExportData(csvContent);
+    downloadCSV(snapshotFileName(["urls", filterStatus, channelFilter].filter(x => x !== "all").join("-"), "csv"), headers, rows);
+  };
+
+  // ─── EXECUTIVE REPORT ────────────────────────────────────
+  const reportTemplates = [DEFAULT_REPORT_TEMPLATE, ...(settings?.reportTemplates || [])];
+  const reportData = useMemo(() => {
+    if (reportSource === "range") {
+      const t = compareData.totals;
+      if (!t) return null;
+      return {
+        site: activeWorkspace.name, period: `${compareFrom} → ${compareTo}`,
+        totals: { mvRevenue: t.mvRevenue, gaSpendUSD: t.gaSpendUSD, gaSpendINR: t.gaSpendINR, profit: t.profit, roi: t.roi, adsCount: t.urlCount },
+        months: compareData.monthlyBreakdown,
+        urls: compareData.unfiltered.map(u => ({ slug: u.slug, status: u.status, revenue: u.mvRevenue, spend: u.gaSpendUSD, profit: u.profit, roi: u.roi })),
+      };
+    }
+    if (reportSource !== "snapshot" || !activeSnapshot || !stats) return null;
+    const upTo = activeSnapshot.date.slice(0, 7);
+    return {
+      site: activeWorkspace.name, period: `${activeSnapshot.label} · ${fmtRange(coverageOf(activeSnapshot))}`,
+      totals: { mvRevenue: stats.mvRevenue, gaSpendUSD: stats.gaSpendUSD, gaSpendINR: stats.gaSpendINR, profit: stats.totalProfit, roi: stats.avgROI, adsCount: stats.adsCount },
+      months: monthlyHistory.filter(m => m.month <= upTo).slice(-12),
+      urls: activeSnapshot.urls.filter(u => u.hasAds).map(u => ({ slug: u.slug, status: u.status, revenue: u.mv.revenue, spend: u.ga.costUSD, profit: u.profit, roi: u.roi })),
+    };
+  }, [reportSource, compareData, compareFrom, compareTo, activeSnapshot, stats, monthlyHistory, activeWorkspace]);
+  const reportHTML = useMemo(() => reportData ? renderReportHTML(reportData, reportTemplate, statusConfig, ruleSet) : "", [reportData, reportTemplate, statusConfig, ruleSet]);
+
+  const saveReportTemplate = () => {
+    const id = reportTemplate.id === "default" ? Date.now().toString(36) : reportTemplate.id;
+    const saved = { ...reportTemplate, id, name: reportTemplate.name.trim() || "Untitled template" };
+    saveSettings({ ...settings, reportTemplates: [...(settings?.reportTemplates || []).filter(x => x.id !== id), saved] });
+    setReportTemplate(saved);
+  };
+  const deleteReportTemplate = () => {
+    saveSettings({ ...settings, reportTemplates: (settings?.reportTemplates || []).filter(x => x.id !== reportTemplate.id) });
+    setReportTemplate(DEFAULT_REPORT_TEMPLATE);
+  };
+
+  // ─── ACTION LOG ──────────────────────────────────────────
+  const actionLog = settings?.actionLog || [];
+  const newActions = (entries) => entries.map((a, i) => ({ id: Date.now().toString(36) + i, createdAt: Date.now(), date: todayISO(), note: "", ...a }));
+  const logActions = (entries) => saveSettings({ ...settings, actionLog: [...newActions(entries), ...actionLog] });
+  const removeAction = (id) => saveSettings({ ...settings, actionLog: actionLog.filter(a => a.id !== id) });
+  const actionOutcomes = useMemo(() => (settings?.actionLog || []).map(a => ({ ...a, outcome: actionOutcome(a, snapshots) })).sort((a,b) => b.date.localeCompare(a.date)), [settings, snapshots]);
+  // URLs with an action logged after the active snapshot was imported; a
+  // month-to-date snapshot's end date can still be today or later
+  const actedSince = useMemo(() => activeSnapshot ? new Set((settings?.actionLog || []).filter(a => a.createdAt > activeSnapshot.createdAt).map(a => a.slug)) : new Set(), [settings?.actionLog, activeSnapshot]);
+  // Outcomes read every snapshot
+  useEffect(() => { if (view === "actions" && actionLog.length) loadUrls(snapshots.filter(s => !s.urls).map(s => s.id)); }, [view, actionLog.length, snapshots, loadUrls]);
+  const exportActionOutcomes = () => downloadCSV(exportName([activeWorkspace.name, "action-outcomes"], "csv"),
+    ["Date","Slug","Action","Note","Before Snapshot","Before Status","Before Profit/Day (USD)","After Snapshots","After Status","After Profit/Day (USD)","Change/Day (USD)","Outcome"],
+    actionOutcomes.map(a => { const o = a.outcome; return [
+      a.date, "/"+a.slug, actionLabel(a), a.note, o.before?.label || "", o.before ? statusConfig[o.before.status]?.label || o.before.status : "", o.before ? o.before.perDay.toFixed(2) : "",
+      o.after?.snapshots || 0, o.after?.status ? statusConfig[o.after.status]?.label || o.after.status : "", o.after ? o.after.perDay.toFixed(2) : "", o.delta != null ? o.delta.toFixed(2) : "", ACTION_VERDICTS[o.verdict].label,
+    ]; }));
+
+  // ─── GOOGLE ADS EDITOR CHANGES ───────────────────────────
+  useEffect(() => { setBulkPicks([]); }, [activeSnapshot?.id]);
+  const togglePicks = (keys, on) => setBulkPicks(p => on ? [...new Set([...p, ...keys])] : p.filter(k => !keys.includes(k)));
+  const bulkPlan = useMemo(() => bulkModal === "review" && activeSnapshot ? planBulkChanges(activeSnapshot, bulkPicks, bulkOptions) : null, [bulkModal, activeSnapshot, bulkPicks, bulkOptions]);
+  const bulkLog = settings?.bulkChangeLog || [];
+
+  const generateBulkFile = () => {
+    const rows = bulkPlan.rows.filter(r => !bulkExcluded.includes(r.id));
+    if (!rows.length) return;
+    const name = snapshotFileName("google-ads-editor", "csv");
+    downloadFile(name, toCSV(BULK_COLUMNS, rows.map(bulkEditorRow)), "text/csv;charset=utf-8");
+    const entry = {
+      id: Date.now().toString(36), at: Date.now(), file: name, snapshotId: activeSnapshot.id, snapshotLabel: activeSnapshot.label,
+      budgets: rows.length, pct: bulkOptions.pct,
+    };
+    // Each URL in the file gets an action log entry for outcome tracking
+    const acted = rows.flatMap(r => r.slugs.map(slug => ({ slug, type: "scale", pct: bulkOptions.pct, note: `${r.campaign} · ${name}` })));
+    saveSettings({ ...settings, bulkChangeLog: [entry, ...bulkLog].slice(0, 100), actionLog: [...newActions(acted), ...actionLog] });
+    setBulkPicks([]); setBulkExcluded([]); setBulkModal("log");
+  };
+
+  // Workbook of the active snapshot: summary, every ad URL, one sheet per
+  // Action Center bucket, the monthly trend and the snapshot list
+  const exportXLSX = () => {
+    if (!activeSnapshot || !stats) return;
+    const s = activeSnapshot;
+    const sourceColumns = splitSources.map(id => ({ header:`${revenueSource(id).label} (USD)`, fmt:"usd" }));
+    const channelColumns = splitChannels.map(id => ({ header:`${costChannel(id).label} Spend (USD)`, fmt:"usd" }));
+    const urlColumns = [
+      { header:"Slug", width:48 }, { header:"Status" }, { header:"Campaigns", width:36 },
+      { header:"Revenue (USD)", fmt:"usd" }, ...sourceColumns, { header:"Views", fmt:"int" }, { header:"RPM", fmt:"usd" },
+      { header:"Ad Spend (INR)", fmt:"inr" }, { header:"Ad Spend (USD)", fmt:"usd" }, ...channelColumns, { header:"Ad Clicks", fmt:"int" }, { header:"Ad Impressions", fmt:"int" },
+      { header:"Profit (USD)", fmt:"usd" }, ...(adModel ? [{ header:"Ad Revenue (USD)", fmt:"usd" }, { header:"Ad Profit (USD)", fmt:"usd" }] : []),
+      { header:"ROI", fmt:"pct" }, { header:"Rev/Click (USD)", fmt:"num" },
+    ];
+    const urlRow = (u) => [
+      "/"+u.slug, statusConfig[u.status]?.label || u.status, u.ga.campaigns.join(" | "),
+      u.mv.revenue, ...splitSources.map(id => revenueBySource(u.mv)[id] || 0), u.mv.views, u.mv.rpm, u.ga.costINR, u.ga.costUSD, ...splitChannels.map(id => channelsOf(u.ga)[id]?.costUSD || 0), u.ga.clicks, u.ga.impressions,
+      u.profit, ...(adModel ? [u.adRevenue, u.adProfit] : []), u.roi / 100, u.revenuePerClick,
+    ];
+    const ads = s.urls.filter(u => u.hasAds).sort((a,b) => b.profit - a.profit);
+    const sheets = [
+      { name:"Summary", columns:[{ header:"Metric", width:28 }, { header:"Value", width:28 }], rows:[
+        ["Site", activeWorkspace.name], ["Snapshot", s.label], ["Date", s.date], ["Period", PERIOD_LABELS[s.period] || s.period],
+        ["Covers", fmtRange(coverageOf(s))], ["INR per USD", { v:snapshotRate(s) || null, fmt:"num" }], ["Rule set", ruleSet.name || `v${ruleSet.version}`],
+        ["Revenue", { v:stats.mvRevenue, fmt:"usd" }], ...splitSources.map(id => [`  ${revenueSource(id).label}`, { v:totalsBySource(stats)[id] || 0, fmt:"usd" }]), ["Ad Spend (INR)", { v:stats.gaSpendINR, fmt:"inr" }], ["Ad Spend (USD)", { v:stats.gaSpendUSD, fmt:"usd" }],
+        ...splitChannels.map(id => [`  ${costChannel(id).label}`, { v:totalsByChannel(stats)[id] || 0, fmt:"usd" }]),
+        ["Net Profit", { v:stats.totalProfit, fmt:"usd" }], ["ROI", { v:stats.avgROI / 100, fmt:"pct" }],
+        ...(adModel ? [["Attribution", ATTRIBUTION_MODELS[attribution.model]], ["Ad Revenue", { v:stats.adRevenue, fmt:"usd" }], ["Ad Profit", { v:stats.adProfit, fmt:"usd" }]] : []),
+        ["Clicks", { v:stats.gaClicks, fmt:"int" }], ["Impressions", { v:stats.gaImpressions, fmt:"int" }],
+        ["URLs", { v:stats.urlCount, fmt:"int" }], ["Ad URLs", { v:stats.adsCount, fmt:"int" }],
+        ...Object.entries(statusConfig).map(([k, c]) => [c.label, { v:stats[k] || 0, fmt:"int" }]),
+        ["Exported", new Date().toLocaleString()],
+      ]},
+      { name:"URLs", columns:urlColumns, rows:ads.map(urlRow) },
+      ...Object.entries(statusConfig).map(([k, c]) => ({ name:c.label, columns:urlColumns, rows:ads.filter(u => u.status === k).map(urlRow) })),
+      { name:"Monthly Trend", columns:[
+        { header:"Month", width:12 }, { header:"Revenue (USD)", fmt:"usd" }, ...sourceColumns, { header:"Ad Spend (USD)", fmt:"usd" }, { header:"Ad Spend (INR)", fmt:"inr" },
+        { header:"Profit (USD)", fmt:"usd" }, { header:"ROI", fmt:"pct" }, { header:"Clicks", fmt:"int" }, { header:"Impressions", fmt:"int" },
+      ], rows:monthlyHistory.map(m => [m.month, m.mvRevenue, ...splitSources.map(id => m[sourceKey(id)] || 0), m.gaSpendUSD, m.gaSpendINR, m.profit, m.roi / 100, Math.round(m.clicks), Math.round(m.impressions)]) },
+      { name:"Snapshots", columns:[
+        { header:"Label", width:32 }, { header:"Date", width:12 }, { header:"Period", width:12 }, { header:"Start", width:12 }, { header:"End", width:12 },
+        { header:"INR per USD", fmt:"num" }, { header:"Revenue (USD)", fmt:"usd" }, ...sourceColumns, { header:"Ad Spend (INR)", fmt:"inr" }, { header:"Ad Spend (USD)", fmt:"usd" }, ...channelColumns,
+        { header:"Profit (USD)", fmt:"usd" }, { header:"ROI", fmt:"pct" }, { header:"URLs", fmt:"int" }, { header:"Ad URLs", fmt:"int" },
+      ], rows:snapshots.map(x => { const c = coverageOf(x); return [
+        x.label, x.date, PERIOD_LABELS[x.period] || x.period, c.start, c.end, snapshotRate(x) || null,
+        x.totals.mvRevenue, ...splitSources.map(id => totalsBySource(x.totals)[id] || 0), x.totals.gaSpendINR, x.totals.gaSpendUSD, ...splitChannels.map(id => totalsByChannel(x.totals)[id] || 0), x.totals.totalProfit,
+        x.totals.gaSpendUSD > 0 ? x.totals.totalProfit / x.totals.gaSpendUSD : null, x.totals.urlCount, x.totals.adsUrlCount,
+      ]; }) },
+    ];
+    downloadFile(snapshotFileName("report", "xlsx"), buildWorkbook(sheets), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
   };
 
   // ─── THEME ───────────────────────────────────────────────
@@ -597,40 +3397,66 @@ export default function AdProfitDashboard() {
           <div className="gold-glow" style={{width:38,height:38,borderRadius:10,background:"linear-gradient(135deg,#D4A017,#F5C518,#D4A017)",display:"flex",alignItems:"center",justifyContent:"center",fontWeight:900,color:"#0a0a0f",fontSize:13}}>L4</div>
           <div>
             <h1 style={{fontSize:16,fontWeight:900,letterSpacing:-0.4,lineHeight:1.2}}>Sovereign Profit Matrix</h1>
-            <p style={{fontSize:11,color:"var(--muted)",fontWeight:500}}>Mediavine Revenue × Google Ads Analyzer</p>
+            <p style={{fontSize:11,color:"var(--muted)",fontWeight:500}}>Page Revenue × Google Ads Analyzer</p>
           </div>
         </div>
         <div style={{display:"flex",alignItems:"center",gap:8}}>
+          <select value={activeWorkspace.id} onChange={e=>e.target.value==="__new"?createWorkspace():switchWorkspace(e.target.value)} title="Workspace" style={{padding:"8px 12px",borderRadius:8,border:"1px solid rgba(212,160,23,0.35)",background:"var(--card2)",color:"var(--gold-bright)",fontSize:12,fontWeight:700,cursor:"pointer",fontFamily:"inherit",maxWidth:180}}>
+            {workspaceState.workspaces.map(w => <option key={w.id} value={w.id}>🌐 {w.name}</option>)}
+            <option value="__new">＋ New workspace…</option>
+          </select>
           {snapshots.length > 0 && (
             <select value={selectedSnapshot} onChange={e=>setSelectedSnapshot(e.target.value)} style={{padding:"8px 12px",borderRadius:8,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:12,cursor:"pointer",fontFamily:"inherit",maxWidth:200}}>
               <option value="latest">Latest Snapshot</option>
               {snapshots.map(s => <option key={s.id} value={s.id}>{s.label} ({s.date})</option>)}
             </select>
           )}
+          {syncState !== "idle" && (
+            <button onClick={()=>setSyncOpen(true)} title={`Storage: ${STORAGE_BACKENDS[backend.type].label}`} style={{padding:"6px 10px",borderRadius:8,border:"1px solid var(--border)",background:"var(--card2)",cursor:"pointer",fontSize:11,fontWeight:700,fontFamily:"inherit",whiteSpace:"nowrap",
+              color:syncState==="conflict"||syncState==="error"?"var(--red)":syncState==="saving"?"var(--amber)":"var(--muted)"}}>
+              {syncState === "conflict" ? "⚠ Conflict" : syncState === "error" ? "⚠ Not saved" : syncState === "saving" ? "● Saving…" : "✓ Saved"}
+            </button>
+          )}
+          <button onClick={openAlerts} title="Anomaly alerts" style={{...btnS,padding:"8px 14px",position:"relative"}}>
+            🔔
+            {unreadAlerts > 0 && <span style={{position:"absolute",top:-6,right:-6,minWidth:18,height:18,padding:"0 5px",borderRadius:9,background:"var(--red)",color:"#fff",fontSize:10,fontWeight:800,display:"flex",alignItems:"center",justifyContent:"center"}}>{unreadAlerts > 99 ? "99+" : unreadAlerts}</span>}
+          </button>
           <button onClick={()=>setSettingsModal(true)} style={{...btnS,padding:"8px 14px"}}>⚙️</button>
-          {activeSnapshot && <button onClick={exportCSV} style={btnS}>↓ Export</button>}
-          <button onClick={()=>setImportModal(true)} style={btnGold}>+ Import Data</button>
+          {activeSnapshot && <button onClick={exportCSV} title="Download the URLs in the current view as CSV" style={btnS}>↓ CSV</button>}
+          {activeSnapshot && <button onClick={exportXLSX} title="Download an Excel workbook: summary, URLs, action buckets, monthly trend and snapshots" style={btnS}>↓ XLSX</button>}
+          <button onClick={()=>setImportModal(true)} title={pendingCosts.length ? `${pendingCosts.length} paid traffic report${pendingCosts.length!==1?"s":""} routed from other workspaces` : undefined} style={{...btnGold,position:"relative"}}>
+            + Import Data
+            {pendingCosts.length > 0 && <span style={{position:"absolute",top:-6,right:-6,minWidth:18,height:18,padding:"0 5px",borderRadius:9,background:"var(--amber)",color:"#000",fontSize:10,fontWeight:800,display:"flex",alignItems:"center",justifyContent:"center"}}>{pendingCosts.length}</span>}
+          </button>
         </div>
       </header>
 
       <div style={{maxWidth:1440,margin:"0 auto",padding:"22px 28px"}}>
         {/* ══ TABS ════════════════════════════════════════ */}
         <div style={{marginBottom:22}}>
-          <Tabs active={view} onChange={v=>{setView(v);setDetailSlug(null)}} items={[
+          <Tabs active={view} onChange={v=>{setView(v);setDetailSlug(null);setBackToCampaign(null)}} items={[
             {key:"dashboard",icon:"📊",label:"Dashboard"},
             {key:"analysis",icon:"🔬",label:"URL Analysis"},
+            {key:"campaigns",icon:"🎯",label:"Campaigns"},
             {key:"actions",icon:"⚡",label:"Action Center"},
+            {key:"whatif",icon:"🧪",label:"What-If"},
             {key:"compare",icon:"📅",label:"Date Range"},
             {key:"history",icon:"📁",label:"Snapshots"},
           ]} />
         </div>
 
-        {!activeSnapshot && view !== "history" ? (
+        {activeMeta && !activeSnapshot && view !== "history" ? (
+          <Card style={{padding:"60px 40px",textAlign:"center"}}>
+            <div style={{fontSize:36,marginBottom:12}}>{urlsError ? "⚠️" : "⏳"}</div>
+            <p style={{color:urlsError?"var(--red)":"var(--muted)",fontSize:14,marginBottom:urlsError?16:0}}>{urlsError || (baselineUnloaded.length ? `Loading ${baselineUnloaded.length} snapshot${baselineUnloaded.length!==1?"s":""} for the organic baseline…` : `Loading ${activeMeta.label}…`)}</p>
+            {urlsError && <button onClick={()=>loadUrls(baselineUnloaded.length ? baselineUnloaded : [activeMeta.id])} style={{...btnS,padding:"8px 18px",fontSize:12}}>Retry</button>}
+          </Card>
+        ) : !activeSnapshot && view !== "history" ? (
           <Card style={{padding:"60px 40px",textAlign:"center"}}>
             <div style={{fontSize:48,marginBottom:16}}>📂</div>
             <h2 style={{fontSize:20,fontWeight:800,marginBottom:8}}>No Data Yet</h2>
             <p style={{color:"var(--muted)",fontSize:14,marginBottom:20,maxWidth:400,margin:"0 auto 20px"}}>
-              Import your Mediavine pages CSV and Google Ads landing page report to get started.
+              Import your revenue reports (Mediavine, AdSense, affiliate…) and Google Ads landing page report to get started.
             </p>
             <button onClick={()=>setImportModal(true)} style={{...btnGold,padding:"12px 28px",fontSize:14}}>+ Import Your First Dataset</button>
           </Card>
@@ -643,16 +3469,16 @@ export default function AdProfitDashboard() {
               <div style={{animation:"fadeUp 0.3s ease"}}>
                 {/* Top Metrics */}
                 <div style={{display:"flex",gap:12,flexWrap:"wrap",marginBottom:20}}>
-                  <MetricCard icon="💚" label="MV Revenue" value={fmt(stats.mvRevenue)} sub={`From ${stats.urlCount.toLocaleString()} pages`} color="var(--green)" />
-                  <MetricCard icon="📢" label="GA Spend" value={fmt(stats.gaSpendUSD)} sub={fmtINR(stats.gaSpendINR) + " INR"} color="var(--red)" />
-                  <MetricCard icon="🎯" label="Net Profit" value={fmt(stats.totalProfit)} sub={`After ad spend`} color={stats.totalProfit>=0?"var(--emerald-glow)":"var(--red)"} sovereign />
+                  <MetricCard icon="💚" label="Revenue" value={fmt(stats.mvRevenue)} sub={sourcesIn([totalsBySource(stats)]).length > 1 ? fmtSources(totalsBySource(stats)) : `From ${stats.urlCount.toLocaleString()} pages`} color="var(--green)" />
+                  <MetricCard icon="📢" label="Ad Spend" value={fmt(stats.gaSpendUSD)} sub={channelsIn([totalsByChannel(stats)]).length > 1 ? fmtChannels(totalsByChannel(stats)) : fmtINR(stats.gaSpendINR) + " INR"} color="var(--red)" />
+                  <MetricCard icon="🎯" label={adModel ? "Page Profit" : "Net Profit"} value={fmt(stats.totalProfit)} sub={adModel ? `Ad profit ${fmt(stats.adProfit)}` : `After ad spend`} color={stats.totalProfit>=0?"var(--emerald-glow)":"var(--red)"} sovereign />
                   <MetricCard icon="⚡" label="Portfolio ROI" value={pctStr(stats.avgROI)} sub={`On ${stats.adsCount} ad URLs`} color={stats.avgROI>=0?"var(--green)":"var(--red)"} />
                   <MetricCard icon="👆" label="Total Clicks" value={stats.gaClicks.toLocaleString()} sub={`${stats.gaImpressions.toLocaleString()} impressions`} color="var(--blue)" />
                 </div>
 
                 {/* Status Grid */}
-                <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:12,marginBottom:20}}>
-                  {Object.entries(STATUS_CONFIG).map(([key,cfg]) => {
+                <div style={{display:"grid",gridTemplateColumns:`repeat(${Math.min(Object.keys(statusConfig).length,6)},1fr)`,gap:12,marginBottom:20}}>
+                  {Object.entries(statusConfig).map(([key,cfg]) => {
                     const count = stats[key] || 0;
                     const pctVal = stats.adsCount > 0 ? (count/stats.adsCount*100) : 0;
                     const urls = activeSnapshot.urls.filter(u=>u.hasAds&&u.status===key);
@@ -684,16 +3510,22 @@ export default function AdProfitDashboard() {
                     <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:16}}>
                       <div>
                         <h3 style={{fontSize:15,fontWeight:800,margin:0}}>Profit vs Expense — Last 12 Months</h3>
-                        <p style={{fontSize:11,color:"var(--muted)",margin:"3px 0 0"}}>Aggregated from {snapshots.length} snapshot{snapshots.length!==1?"s":""} · Hover for details</p>
+                        <p style={{fontSize:11,color:"var(--muted)",margin:"3px 0 0"}}>Aggregated from {snapshots.length} snapshot{snapshots.length!==1?"s":""} · Hover for details{monthlyForecast.length > 0 && ` · Forecast: ${monthlyForecast[0].seasonal ? "trend + seasonality" : "trend"}, 80% bands`}
+                          {(coveragePlan.overlaps.length > 0 || coveragePlan.gaps.length > 0) && <span style={{color:"var(--amber)"}} title="Open Date Range to review coverage"> · ⚠️ {coveragePlan.overlaps.length} overlap{coveragePlan.overlaps.length!==1?"s":""}, {coveragePlan.gaps.length} gap{coveragePlan.gaps.length!==1?"s":""} ({AGGREGATION_MODES[aggregationMode].toLowerCase()})</span>}
+                        </p>
                       </div>
-                      <div style={{display:"flex",gap:14,fontSize:11,fontWeight:600}}>
+                      <div style={{display:"flex",gap:14,fontSize:11,fontWeight:600,alignItems:"center"}}>
+                        <select value={forecastMonths} onChange={e=>setForecastMonths(+e.target.value)} title={monthlyHistory.length < 3 ? "Needs at least 3 months of history" : "Forecast horizon"} style={{padding:"4px 8px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:11,cursor:"pointer",fontFamily:"inherit"}}>
+                          {FORECAST_OPTIONS.map(n => <option key={n} value={n}>{n ? `Forecast ${n} mo` : "No forecast"}</option>)}
+                        </select>
                         <span style={{display:"flex",alignItems:"center",gap:4}}><span style={{width:10,height:10,borderRadius:2,background:"#00E676"}} /> Profit</span>
                         <span style={{display:"flex",alignItems:"center",gap:4}}><span style={{width:10,height:10,borderRadius:2,background:"#f87171"}} /> Ad Spend</span>
-                        <span style={{display:"flex",alignItems:"center",gap:4}}><span style={{width:10,height:10,borderRadius:2,background:"#818cf8"}} /> MV Revenue</span>
+                        <span style={{display:"flex",alignItems:"center",gap:4}}><span style={{width:10,height:10,borderRadius:2,background:"#818cf8"}} /> Revenue</span>
+                        {revenueSources.length > 1 && revenueSources.map(id => <span key={id} style={{display:"flex",alignItems:"center",gap:4,color:"var(--muted)"}}><span style={{width:10,height:2,background:revenueSource(id).color}} /> {revenueSource(id).label}</span>)}
                       </div>
                     </div>
                     <ResponsiveContainer width="100%" height={320}>
-                      <ComposedChart data={monthlyTrend} margin={{top:5,right:10,left:0,bottom:5}}>
+                      <ComposedChart data={trendChartData} margin={{top:5,right:10,left:0,bottom:5}}>
                         <defs>
                           <linearGradient id="profitGrad" x1="0" y1="0" x2="0" y2="1">
                             <stop offset="0%" stopColor="#00E676" stopOpacity={0.3} />
@@ -710,14 +3542,20 @@ export default function AdProfitDashboard() {
                         <Tooltip
                           contentStyle={{background:"#161926",border:"1px solid #1c2035",borderRadius:10,fontSize:12,color:"#e4e6f0",boxShadow:"0 8px 30px rgba(0,0,0,0.4)"}}
                           labelStyle={{fontWeight:800,marginBottom:6,fontSize:13}}
-                          formatter={(value, name) => {
-                            const formatted = "$" + Math.abs(value).toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2});
-                            return [value < 0 ? "-"+formatted : formatted, name];
-                          }}
+                          formatter={fmtTooltip}
                         />
-                        <Area type="monotone" dataKey="mvRevenue" name="MV Revenue" stroke="#818cf8" fill="none" strokeWidth={2} dot={false} />
+                        <Area type="monotone" dataKey="mvRevenue" name="Revenue" stroke="#818cf8" fill="none" strokeWidth={2} dot={false} />
+                        {revenueSources.length > 1 && revenueSources.map(id => <Line key={id} type="monotone" dataKey={sourceKey(id)} name={`${revenueSource(id).label} revenue`} stroke={revenueSource(id).color} strokeWidth={1.5} strokeOpacity={0.8} dot={false} />)}
                         <Area type="monotone" dataKey="gaSpendUSD" name="Ad Spend" stroke="#f87171" fill="url(#spendGrad)" strokeWidth={2} dot={false} />
                         <Area type="monotone" dataKey="profit" name="Net Profit" stroke="#00E676" fill="url(#profitGrad)" strokeWidth={2.5} dot={{r:4,fill:"#00E676",stroke:"#11131a",strokeWidth:2}} activeDot={{r:6,fill:"#00E676",stroke:"#fff",strokeWidth:2}} />
+                        {monthlyForecast.length > 0 && <>
+                          <Area type="monotone" dataKey="mvRevenueBand" name="Revenue range" stroke="none" fill="#818cf8" fillOpacity={0.1} />
+                          <Area type="monotone" dataKey="gaSpendUSDBand" name="Ad Spend range" stroke="none" fill="#f87171" fillOpacity={0.1} />
+                          <Area type="monotone" dataKey="profitBand" name="Net Profit range" stroke="none" fill="#00E676" fillOpacity={0.12} />
+                          <Line type="monotone" dataKey="mvRevenueFc" name="Revenue forecast" stroke="#818cf8" strokeDasharray="5 4" strokeWidth={2} dot={false} />
+                          <Line type="monotone" dataKey="gaSpendUSDFc" name="Ad Spend forecast" stroke="#f87171" strokeDasharray="5 4" strokeWidth={2} dot={false} />
+                          <Line type="monotone" dataKey="profitFc" name="Net Profit forecast" stroke="#00E676" strokeDasharray="5 4" strokeWidth={2.5} dot={{r:3,fill:"#11131a",stroke:"#00E676",strokeWidth:2}} />
+                        </>}
                       </ComposedChart>
                     </ResponsiveContainer>
                     {/* Monthly summary row */}
@@ -729,6 +3567,13 @@ export default function AdProfitDashboard() {
                           <div style={{fontSize:9,color:"var(--muted)",marginTop:2}}>{m.roi > 0 ? "+" : ""}{m.roi}% ROI</div>
                         </div>
                       ))}
+                      {monthlyForecast.map(m => (
+                        <div key={m.month} title={`80% range ${fmt(m.profitBand[0])} – ${fmt(m.profitBand[1])}`} style={{flex:"0 0 auto",minWidth:90,padding:"8px 10px",borderRadius:8,border:"1px dashed var(--border)",textAlign:"center"}}>
+                          <div style={{fontSize:10,fontWeight:700,color:"var(--muted)",marginBottom:4}}>{m.label} · fc</div>
+                          <div style={{fontSize:13,fontWeight:800,color:m.profitFc>=0?"var(--emerald-glow)":"var(--red)",fontFamily:"'JetBrains Mono',monospace",opacity:0.8}}>{fmt(m.profitFc)}</div>
+                          <div style={{fontSize:9,color:"var(--muted)",marginTop:2}}>±{fmt((m.profitBand[1]-m.profitBand[0])/2)}</div>
+                        </div>
+                      ))}
                     </div>
                   </Card>
                 )}
@@ -797,34 +3642,140 @@ export default function AdProfitDashboard() {
                   if (!u) return <p>URL not found</p>;
                   // Find this URL across all snapshots
                   const history = snapshots.map(s => {
-                    const found = s.urls.find(x=>x.slug===detailSlug);
-                    return found ? { date: s.date, label: s.label, period: s.period, ...found } : null;
+                    const found = s.urls?.find(x=>x.slug===detailSlug);
+                    return found ? { date: s.date, label: s.label, period: s.period, cover: coverageOf(s), ...found } : null;
                   }).filter(Boolean);
+                  // Actions sit on the first history point they could have affected
+                  const urlActions = actionOutcomes.filter(a => a.slug === detailSlug);
+                  const historyLabel = (h) => h.date ? monthLabel(h.date) : h.label;
+                  const actionsAt = (h) => urlActions.filter(a => actionPoint(a, history) === h);
+                  const { months: urlMonths, forecast: urlForecast, sources: urlSources, rows: historyChart } = urlHistoryChart(history, forecastMonths);
                   return (
                     <div>
-                      <button onClick={()=>setDetailSlug(null)} style={{...btnS,marginBottom:16,fontSize:12}}>← Back to All URLs</button>
+                      {backToCampaign
+                        ? <button onClick={()=>{setDetailSlug(null);setCampaignFocus(backToCampaign);setBackToCampaign(null);setView("campaigns")}} style={{...btnS,marginBottom:16,fontSize:12}}>← Back to {backToCampaign}</button>
+                        : <button onClick={()=>setDetailSlug(null)} style={{...btnS,marginBottom:16,fontSize:12}}>← Back to All URLs</button>}
                       <Card style={{padding:24,marginBottom:16}}>
                         <div style={{display:"flex",justifyContent:"space-between",alignItems:"flex-start",marginBottom:16}}>
                           <div>
                             <h2 style={{fontSize:18,fontWeight:900,marginBottom:4}}>/{u.slug}</h2>
                             <div style={{display:"flex",gap:6,flexWrap:"wrap"}}>
-                              {u.ga.campaigns.map(c => <span key={c} style={{fontSize:10,padding:"2px 8px",borderRadius:10,background:"var(--card2)",border:"1px solid var(--border)",color:"var(--muted)",fontWeight:600}}>{c}</span>)}
+                              {u.ga.campaigns.map(c => <span key={c} onClick={()=>{setCampaignFocus(c);setDetailSlug(null);setView("campaigns")}} title="Open campaign" style={{fontSize:10,padding:"2px 8px",borderRadius:10,background:"var(--card2)",border:"1px solid var(--border)",color:"var(--muted)",fontWeight:600,cursor:"pointer"}}>{c}</span>)}
                             </div>
                           </div>
-                          <StatusBadge status={u.status} />
+                          <div style={{display:"flex",flexDirection:"column",alignItems:"flex-end",gap:6}}>
+                            <StatusBadge status={u.status} config={statusConfig} />
+                            <ConfidenceTag confidence={u.confidence} />
+                            {u.confidence && <div style={{fontSize:10,color:"var(--muted)",fontFamily:"'JetBrains Mono',monospace"}}>RPC {fmt(u.confidence.rpcLow)}–{u.confidence.rpcHigh === Infinity ? "∞" : fmt(u.confidence.rpcHigh)} vs CPC {fmt(u.confidence.cpc)}</div>}
+                          </div>
                         </div>
                         <div style={{display:"flex",gap:12,flexWrap:"wrap"}}>
-                          <MetricCard small label="MV Revenue" value={fmt(u.mv.revenue)} color="var(--green)" icon="💚" />
-                          <MetricCard small label="Ad Spend" value={fmt(u.ga.costUSD)} sub={fmtINR(u.ga.costINR)} color="var(--red)" icon="📢" />
-                          <MetricCard small label="Net Profit" value={fmt(u.profit)} color={u.profit>=0?"var(--green)":"var(--red)"} icon="🎯" />
+                          <MetricCard small label="Revenue" value={fmt(u.mv.revenue)} sub={u.mv.bySource ? fmtSources(u.mv.bySource) : undefined} color="var(--green)" icon="💚" />
+                          <MetricCard small label="Ad Spend" value={fmt(u.ga.costUSD)} sub={u.ga.byChannel ? `${channelsIn([u.ga.byChannel]).length} channels` : fmtINR(u.ga.costINR)} color="var(--red)" icon="📢" />
+                          <MetricCard small label={adModel ? "Page Profit" : "Net Profit"} value={fmt(u.profit)} color={u.profit>=0?"var(--green)":"var(--red)"} icon="🎯" />
+                          {adModel && <MetricCard small label="Ad Profit" value={fmt(u.adProfit)} sub={`${fmt(u.adRevenue)} ${ATTRIBUTION_BASIS[u.adBasis]}`} color={u.adProfit>=0?"var(--green)":"var(--red)"} icon="📡" />}
                           <MetricCard small label="ROI" value={u.roi > 900 ? "∞" : pctStr(u.roi)} color={u.roi>=0?"var(--green)":"var(--red)"} icon="⚡" />
                           <MetricCard small label="Clicks" value={u.ga.clicks.toLocaleString()} sub={`${u.ga.impressions.toLocaleString()} impr`} icon="👆" />
                           <MetricCard small label="Rev/Click" value={fmt(u.revenuePerClick)} sub={`CPC: ${fmt(u.costPerClick)}`} icon="💲" />
                         </div>
                       </Card>
+                      {/* Channel breakdown */}
+                      {u.ga.byChannel && (
+                        <Card style={{padding:20,marginBottom:16}}>
+                          <h3 style={{fontSize:14,fontWeight:800,marginBottom:4}}>📡 Channels</h3>
+                          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>{adModel ? "Ad-attributed revenue" : "Revenue"} split by {CAMPAIGN_SPLITS[campaignSplit].toLowerCase()}</p>
+                          <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                            <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                              {["Channel","Spend","Spend (USD)","Clicks","CPC","Share","Attr. Rev","Profit","ROI","Status"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                            </tr></thead>
+                            <tbody>
+                              {channelsIn([u.ga.byChannel]).map(id => {
+                                const c = u.ga.byChannel[id], sl = channelSlice(u, id, campaignSplit, ruleSet);
+                                return (
+                                  <tr key={id} style={{borderBottom:"1px solid var(--border)"}}>
+                                    <td style={{padding:"8px 10px",fontWeight:600}}><span style={{color:costChannel(id).color}}>●</span> {costChannel(id).label}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{fmtCost(c.cost, c.currency)}</td>
+                                    <td style={{padding:"8px 10px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(c.costUSD)}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{c.clicks.toLocaleString()}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(sl.costPerClick)}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{(sl.channelShare*100).toFixed(0)}%</td>
+                                    <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(sl.adRevenue)}</td>
+                                    <td style={{padding:"8px 10px",fontWeight:700,color:sl.adProfit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(sl.adProfit)}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{sl.adRoi>900?"∞":pctStr(sl.adRoi)}</td>
+                                    <td style={{padding:"8px 10px"}}><StatusBadge status={sl.status} config={statusConfig} /></td>
+                                  </tr>
+                                );
+                              })}
+                              <tr style={{fontWeight:700}}>
+                                <td style={{padding:"8px 10px"}}>Blended</td>
+                                <td style={{padding:"8px 10px"}}></td>
+                                <td style={{padding:"8px 10px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.ga.costUSD)}</td>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.ga.clicks.toLocaleString()}</td>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.costPerClick)}</td>
+                                <td style={{padding:"8px 10px"}}></td>
+                                <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.adRevenue)}</td>
+                                <td style={{padding:"8px 10px",color:u.adProfit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.adProfit)}</td>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.adRoi>900?"∞":pctStr(u.adRoi)}</td>
+                                <td style={{padding:"8px 10px"}}><StatusBadge status={u.status} config={statusConfig} /></td>
+                              </tr>
+                            </tbody>
+                          </table>
+                        </Card>
+                      )}
+                      {/* Campaign breakdown */}
+                      {u.hasAds && (() => {
+                        const pairs = campaignPairs(u, campaignSplit, ruleSet);
+                        if (pairs.length < 2 && !u.ga.byCampaign) return null;
+                        return (
+                          <Card style={{padding:20,marginBottom:16}}>
+                            <h3 style={{fontSize:14,fontWeight:800,marginBottom:4}}>🎯 Campaign Breakdown</h3>
+                            <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>{adModel ? "Ad-attributed revenue" : "Revenue"} split by {CAMPAIGN_SPLITS[campaignSplit].toLowerCase()}</p>
+                            <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                              <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                                {["Campaign","Spend","Clicks","Share","Attr. Rev","Profit","ROI","Status"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                              </tr></thead>
+                              <tbody>{pairs.map(p=>(
+                                <tr key={p.campaign} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>{setCampaignFocus(p.campaign);setDetailSlug(null);setView("campaigns")}}>
+                                  <td style={{padding:"8px 10px",fontWeight:600}}>{p.campaign}</td>
+                                  <td style={{padding:"8px 10px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(p.costUSD)}</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{p.clicks.toLocaleString()}</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{(p.share*100).toFixed(0)}%</td>
+                                  <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(p.revenue)}</td>
+                                  <td style={{padding:"8px 10px",fontWeight:700,color:p.profit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(p.profit)}</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{p.roi>900?"∞":pctStr(p.roi)}</td>
+                                  <td style={{padding:"8px 10px"}}><StatusBadge status={p.status} config={statusConfig} /></td>
+                                </tr>
+                              ))}</tbody>
+                            </table>
+                          </Card>
+                        );
+                      })()}
+                      {/* Revenue by source */}
+                      {u.mv.bySource && (
+                        <Card style={{padding:20,marginBottom:16}}>
+                          <h3 style={{fontSize:14,fontWeight:800,marginBottom:12}}>💰 Revenue by Source</h3>
+                          <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                            <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                              {["Source","Revenue","Share","RPM","Rev/Click"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                            </tr></thead>
+                            <tbody>{sourcesIn([u.mv.bySource]).map(id => {
+                              const rev = u.mv.bySource[id];
+                              return (
+                                <tr key={id} style={{borderBottom:"1px solid var(--border)"}}>
+                                  <td style={{padding:"8px 10px",fontWeight:600}}><span style={{color:revenueSource(id).color}}>●</span> {revenueSource(id).label}</td>
+                                  <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(rev)}</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{u.mv.revenue > 0 ? (rev/u.mv.revenue*100).toFixed(0) : 0}%</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.mv.views > 0 ? "$"+(rev/u.mv.views*1000).toFixed(2) : "—"}</td>
+                                  <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.ga.clicks > 0 ? fmt(rev/u.ga.clicks) : "—"}</td>
+                                </tr>
+                              );
+                            })}</tbody>
+                          </table>
+                        </Card>
+                      )}
                       {/* MV Details */}
                       <Card style={{padding:20,marginBottom:16}}>
-                        <h3 style={{fontSize:14,fontWeight:800,marginBottom:12,color:"var(--green)"}}>Mediavine Metrics</h3>
+                        <h3 style={{fontSize:14,fontWeight:800,marginBottom:12,color:"var(--green)"}}>{u.mv.bySource ? "Page Metrics" : "Mediavine Metrics"}</h3>
                         <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(130px,1fr))",gap:10}}>
                           {[["Views",u.mv.views.toLocaleString()],["RPM","$"+u.mv.rpm.toFixed(2)],["CPM","$"+u.mv.cpm.toFixed(2)],["Viewability",u.mv.viewability+"%"],["Fill Rate",u.mv.fillRate+"%"],["Impr/PV",u.mv.impressionsPerPV.toFixed(1)]].map(([l,v])=>(
                             <div key={l} style={{padding:12,background:"var(--card2)",borderRadius:8}}>
@@ -834,25 +3785,97 @@ export default function AdProfitDashboard() {
                           ))}
                         </div>
                       </Card>
+                      {/* Device / country breakdown */}
+                      {(u.mv.byDevice || u.mv.byCountry || u.ga.byDevice || u.ga.byCountry) && (
+                        <Card style={{padding:20,marginBottom:16}}>
+                          <h3 style={{fontSize:14,fontWeight:800,marginBottom:4}}>🌍 Revenue by Device & Country</h3>
+                          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>Where revenue comes from vs where the ad spend runs</p>
+                          <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(340px,1fr))",gap:16}}>
+                            {[["byDevice","Device"],["byCountry","Country"]].filter(([f]) => u.mv[f] || u.ga[f]).map(([f, label]) => (
+                              <table key={f} style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                                <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                                  {[label,"Revenue","Rev %","RPM","Clicks","Spend","Spend %"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                                </tr></thead>
+                                <tbody>{breakdownRows(u, f).map(r=>(
+                                  <tr key={r.key} style={{borderBottom:"1px solid var(--border)"}}>
+                                    <td style={{padding:"8px 10px",fontWeight:600,textTransform:f==="byDevice"?"capitalize":"none"}}>{r.key}</td>
+                                    <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{u.mv[f] ? fmt(r.revenue) : "—"}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{u.mv[f] ? (r.revenueShare*100).toFixed(0)+"%" : "—"}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.mv[f] ? "$"+r.rpm.toFixed(2) : "—"}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{u.ga[f] ? r.clicks.toLocaleString() : "—"}</td>
+                                    <td style={{padding:"8px 10px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{u.ga[f] ? fmt(r.spendShare*u.ga.costUSD) : "—"}</td>
+                                    <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",color:u.mv[f] && u.ga[f] && r.spendShare > r.revenueShare + 0.1 ? "var(--amber)" : "var(--muted)"}}>{u.ga[f] ? (r.spendShare*100).toFixed(0)+"%" : "—"}</td>
+                                  </tr>
+                                ))}</tbody>
+                              </table>
+                            ))}
+                          </div>
+                          {u.mv.byDate && <p style={{fontSize:11,color:"var(--muted)",marginTop:10}}>Built from {Object.keys(u.mv.byDate).length} days of revenue data.</p>}
+                        </Card>
+                      )}
+                      {/* Action log */}
+                      <Card style={{padding:20,marginBottom:16}}>
+                        <h3 style={{fontSize:14,fontWeight:800,marginBottom:4}}>🗒 Action Log</h3>
+                        <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>What was changed on this URL and when. Outcomes compare profit per day before and after.</p>
+                        {urlActions.length > 0 && (
+                          <table style={{width:"100%",borderCollapse:"collapse",fontSize:12,marginBottom:12}}>
+                            <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                              {["Date","Action","Note","Before /day","After /day","Outcome",""].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                            </tr></thead>
+                            <tbody>{urlActions.map(a => (
+                              <tr key={a.id} style={{borderBottom:"1px solid var(--border)"}}>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{a.date}</td>
+                                <td style={{padding:"8px 10px",fontWeight:600,color:actionType(a.type).color,whiteSpace:"nowrap"}}>{actionType(a.type).icon} {actionLabel(a)}</td>
+                                <td style={{padding:"8px 10px",color:"var(--muted)",fontSize:11}}>{a.note || "—"}</td>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}} title={a.outcome.before?.label}>{a.outcome.before ? fmt(a.outcome.before.perDay) : "—"}</td>
+                                <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}} title={a.outcome.after ? `${a.outcome.after.snapshots} snapshot${a.outcome.after.snapshots!==1?"s":""}` : undefined}>{a.outcome.after ? fmt(a.outcome.after.perDay) : "—"}</td>
+                                <td style={{padding:"8px 10px",fontWeight:700,color:ACTION_VERDICTS[a.outcome.verdict].color,whiteSpace:"nowrap"}}>{ACTION_VERDICTS[a.outcome.verdict].label}{a.outcome.delta != null && ` (${a.outcome.delta >= 0 ? "+" : ""}${fmt(a.outcome.delta)}/day)`}</td>
+                                <td style={{padding:"8px 10px"}}><button onClick={()=>removeAction(a.id)} title="Remove from the log" style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:12}}>✕</button></td>
+                              </tr>
+                            ))}</tbody>
+                          </table>
+                        )}
+                        <div style={{display:"flex",gap:8,flexWrap:"wrap",alignItems:"center"}}>
+                          <select value={actionDraft.type} onChange={e=>setActionDraft({...actionDraft,type:e.target.value})} style={{padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:12,fontFamily:"inherit",cursor:"pointer"}}>
+                            {Object.entries(ACTION_TYPES).map(([k,t]) => <option key={k} value={k}>{t.icon} {t.label}</option>)}
+                          </select>
+                          {actionType(actionDraft.type).pct && <input type="number" step="5" value={actionDraft.pct} onChange={e=>setActionDraft({...actionDraft,pct:e.target.value})} placeholder="±%" style={{width:70,padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"'JetBrains Mono',monospace"}} />}
+                          <input type="date" value={actionDraft.date} onChange={e=>setActionDraft({...actionDraft,date:e.target.value})} style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"}} />
+                          <input value={actionDraft.note} onChange={e=>setActionDraft({...actionDraft,note:e.target.value})} placeholder="Note, e.g. new hero image and shorter intro" style={{flex:"1 1 180px",padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"}} />
+                          <button onClick={()=>{logActions([{ slug:u.slug, type:actionDraft.type, date:actionDraft.date || todayISO(), note:actionDraft.note.trim(), ...(actionType(actionDraft.type).pct && num(actionDraft.pct) ? { pct:num(actionDraft.pct) } : {}) }]); setActionDraft({...actionDraft,pct:"",note:""});}} style={{...btnP,padding:"7px 14px",fontSize:12}}>Log Action</button>
+                        </div>
+                      </Card>
                       {/* History across snapshots */}
                       {history.length > 1 && (
                         <>
                         <Card style={{padding:20,marginBottom:16}}>
-                          <h3 style={{fontSize:14,fontWeight:800,marginBottom:14}}>📈 Profit vs Expense Trend</h3>
+                          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:14}}>
+                            <h3 style={{fontSize:14,fontWeight:800,margin:0}}>📈 Profit vs Expense Trend</h3>
+                            <select value={forecastMonths} onChange={e=>setForecastMonths(+e.target.value)} title={urlMonths.length < 3 ? "Needs at least 3 months of history" : "Forecast horizon"} style={{padding:"4px 8px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:11,cursor:"pointer",fontFamily:"inherit"}}>
+                              {FORECAST_OPTIONS.map(n => <option key={n} value={n}>{n ? `Forecast ${n} mo` : "No forecast"}</option>)}
+                            </select>
+                          </div>
                           <ResponsiveContainer width="100%" height={200}>
-                            <ComposedChart data={history.map(h => ({
-                              label: h.date ? (() => { const [y,m] = h.date.split("-"); return new Date(+y,+m-1).toLocaleDateString("en-US",{month:"short",year:"2-digit"}); })() : h.label,
-                              mvRevenue: h.mv.revenue,
-                              gaSpend: h.ga.costUSD,
-                              profit: h.profit,
-                            }))} margin={{top:5,right:10,left:0,bottom:5}}>
+                            <ComposedChart data={historyChart} margin={{top:5,right:10,left:0,bottom:5}}>
                               <CartesianGrid strokeDasharray="3 3" stroke="#1c2035" />
                               <XAxis dataKey="label" tick={{fill:"#5c6489",fontSize:10,fontWeight:600}} tickLine={false} axisLine={{stroke:"#1c2035"}} />
                               <YAxis tick={{fill:"#5c6489",fontSize:10}} tickLine={false} axisLine={{stroke:"#1c2035"}} tickFormatter={v=>"$"+v.toFixed(0)} />
-                              <Tooltip contentStyle={{background:"#161926",border:"1px solid #1c2035",borderRadius:8,fontSize:11,color:"#e4e6f0"}} formatter={(v,n)=>["$"+Math.abs(v).toFixed(2),n]} />
-                              <Bar dataKey="gaSpend" name="Ad Spend" fill="#f8717144" stroke="#f87171" strokeWidth={1} radius={[3,3,0,0]} />
-                              <Bar dataKey="mvRevenue" name="MV Revenue" fill="#818cf844" stroke="#818cf8" strokeWidth={1} radius={[3,3,0,0]} />
+                              <Tooltip contentStyle={{background:"#161926",border:"1px solid #1c2035",borderRadius:8,fontSize:11,color:"#e4e6f0"}} formatter={fmtTooltip} />
+                              <Bar dataKey="gaSpendUSD" name="Ad Spend" fill="#f8717144" stroke="#f87171" strokeWidth={1} radius={[3,3,0,0]} />
+                              {urlSources.length > 1
+                                ? urlSources.map((id, i) => <Bar key={id} dataKey={sourceKey(id)} stackId="revenue" name={`${revenueSource(id).label} revenue`} fill={revenueSource(id).color+"44"} stroke={revenueSource(id).color} strokeWidth={1} radius={i === urlSources.length - 1 ? [3,3,0,0] : 0} />)
+                                : <Bar dataKey="mvRevenue" name="Revenue" fill="#818cf844" stroke="#818cf8" strokeWidth={1} radius={[3,3,0,0]} />}
                               <Line type="monotone" dataKey="profit" name="Net Profit" stroke="#00E676" strokeWidth={2.5} dot={{r:4,fill:"#00E676",stroke:"#11131a",strokeWidth:2}} />
+                              {urlForecast.length > 0 && <>
+                                <Area type="monotone" dataKey="profitBand" name="Net Profit range" stroke="none" fill="#00E676" fillOpacity={0.12} />
+                                <Line type="monotone" dataKey="mvRevenueFc" name="Revenue forecast" stroke="#818cf8" strokeDasharray="5 4" strokeWidth={1.5} dot={false} />
+                                <Line type="monotone" dataKey="gaSpendUSDFc" name="Ad Spend forecast" stroke="#f87171" strokeDasharray="5 4" strokeWidth={1.5} dot={false} />
+                                <Line type="monotone" dataKey="profitFc" name="Net Profit forecast" stroke="#00E676" strokeDasharray="5 4" strokeWidth={2} dot={{r:3,fill:"#11131a",stroke:"#00E676",strokeWidth:2}} />
+                              </>}
+                              {history.filter(h => actionsAt(h).length).map(h => (
+                                <ReferenceLine key={h.date+h.label} x={historyLabel(h)} stroke={actionType(actionsAt(h)[0].type).color} strokeDasharray="3 3"
+                                  label={{ value: actionsAt(h).map(a => actionType(a.type).icon).join(""), position: "insideTopLeft", fontSize: 12 }} />
+                              ))}
                             </ComposedChart>
                           </ResponsiveContainer>
                         </Card>
@@ -860,17 +3883,18 @@ export default function AdProfitDashboard() {
                           <h3 style={{fontSize:14,fontWeight:800,marginBottom:12}}>📋 History Across Snapshots</h3>
                           <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
                             <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
-                              {["Snapshot","Date","MV Rev","GA Spend","Profit","ROI","Status"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
+                              {["Snapshot","Date","Revenue","Ad Spend","Profit","ROI","Status","Actions"].map(h=><th key={h} style={{padding:"8px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}
                             </tr></thead>
                             <tbody>{history.map(h=>(
                               <tr key={h.date+h.label} style={{borderBottom:"1px solid var(--border)"}}>
                                 <td style={{padding:"8px 10px",fontWeight:600}}>{h.label}</td>
                                 <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{h.date}</td>
-                                <td style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(h.mv.revenue)}</td>
+                                <td title={h.mv.bySource ? fmtSources(h.mv.bySource) : undefined} style={{padding:"8px 10px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(h.mv.revenue)}</td>
                                 <td style={{padding:"8px 10px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(h.ga.costUSD)}</td>
                                 <td style={{padding:"8px 10px",fontWeight:700,color:h.profit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(h.profit)}</td>
                                 <td style={{padding:"8px 10px",fontFamily:"'JetBrains Mono',monospace"}}>{h.roi>900?"∞":pctStr(h.roi)}</td>
-                                <td style={{padding:"8px 10px"}}><StatusBadge status={h.status} /></td>
+                                <td style={{padding:"8px 10px"}}><StatusBadge status={h.status} config={statusConfig} /></td>
+                                <td style={{padding:"8px 10px",fontSize:11}}>{actionsAt(h).map(a => <div key={a.id} title={a.note} style={{color:actionType(a.type).color,whiteSpace:"nowrap"}}>{actionType(a.type).icon} {actionLabel(a)} · {a.date}</div>)}</td>
                               </tr>
                             ))}</tbody>
                           </table>
@@ -885,29 +3909,49 @@ export default function AdProfitDashboard() {
                     <div style={{display:"flex",gap:8,marginBottom:16,flexWrap:"wrap",alignItems:"center"}}>
                       <select value={filterStatus} onChange={e=>setFilterStatus(e.target.value)} style={{padding:"7px 12px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card)",color:"var(--text)",fontSize:12,cursor:"pointer",fontFamily:"inherit"}}>
                         <option value="all">All Statuses</option>
-                        {Object.entries(STATUS_CONFIG).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}
+                        {Object.entries(statusConfig).map(([k,v])=><option key={k} value={k}>{v.label}</option>)}
                       </select>
+                      {snapshotChannels.length > 1 && (
+                        <select value={channelFilter} onChange={e=>setChannelFilter(e.target.value)} title="Revenue is attributed to a channel by the campaign split setting" style={{padding:"7px 12px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card)",color:channelFilter==="all"?"var(--text)":costChannel(channelFilter).color,fontSize:12,cursor:"pointer",fontFamily:"inherit"}}>
+                          <option value="all">All Channels (blended)</option>
+                          {snapshotChannels.map(id=><option key={id} value={id}>{costChannel(id).label}</option>)}
+                        </select>
+                      )}
                       <input value={filterSearch} onChange={e=>setFilterSearch(e.target.value)} placeholder="Search URL or campaign..." style={{padding:"7px 12px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card)",color:"var(--text)",fontSize:12,flex:"1 1 180px",minWidth:140,fontFamily:"inherit"}} />
                       <span style={{fontSize:11,color:"var(--muted)",fontWeight:600}}>{processedUrls.length} ad URLs</span>
                       <div style={{marginLeft:"auto",display:"flex",gap:4}}>
-                        {[["profit","Profit"],["roi","ROI"],["adSpend","Spend"],["mvRevenue","MV Rev"],["clicks","Clicks"],["rpc","Rev/Click"]].map(([k,l])=>(
+                        {[["profit","Profit"],...(adModel?[["adProfit","Ad Profit"]]:[]),["roi","ROI"],["adSpend","Spend"],["mvRevenue","Revenue"],["clicks","Clicks"],["rpc","Rev/Click"]].map(([k,l])=>(
                           <button key={k} className={`sort-btn ${sortBy===k?"active":""}`} onClick={()=>{if(sortBy===k)setSortDir(d=>d==="desc"?"asc":"desc");else{setSortBy(k);setSortDir("desc")}}}>{l}{sortBy===k?(sortDir==="desc"?" ↓":" ↑"):""}</button>
                         ))}
                       </div>
                     </div>
+                    {channelSummary.length > 0 && (
+                      <div style={{display:"grid",gridTemplateColumns:`repeat(${channelSummary.length},minmax(0,1fr))`,gap:8,marginBottom:16}}>
+                        {channelSummary.map(c => (
+                          <div key={c.id} onClick={()=>setChannelFilter(c.id)} style={{padding:"10px 12px",borderRadius:10,cursor:"pointer",background:"var(--card)",border:`1px solid ${channelFilter===c.id?(c.id==="all"?"var(--accent)":costChannel(c.id).color):"var(--border)"}`}}>
+                            <div style={{fontSize:11,fontWeight:700,color:c.id==="all"?"var(--text)":costChannel(c.id).color,marginBottom:4}}>{c.id==="all"?"Blended":costChannel(c.id).label} <span style={{color:"var(--muted)",fontWeight:500}}>· {c.urls} URLs</span></div>
+                            <div style={{fontSize:15,fontWeight:800,color:c.profit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(c.profit)}</div>
+                            <div style={{fontSize:10,color:"var(--muted)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(c.spend)} → {fmt(c.revenue)} · ROI {pctStr(c.roi)}</div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     {/* Table */}
                     <Card style={{overflow:"hidden"}}>
                       <div style={{overflowX:"auto"}}>
                         <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
                           <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
-                            {["URL","Campaign","MV Rev","MV Views","GA Spend","Clicks","Impr","Profit","ROI","","Status"].map(h=>(
+                            {["URL","Campaign","Revenue","Views","Ad Spend","Clicks","Impr","Profit",...(adModel?["Ad Profit"]:[]),"ROI","","Status"].map(h=>(
                               <th key={h} style={{padding:"11px 12px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.6,whiteSpace:"nowrap"}}>{h}</th>
                             ))}
                           </tr></thead>
                           <tbody>
                             {processedUrls.map(u => (
                               <tr key={u.slug} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>setDetailSlug(u.slug)}>
-                                <td style={{padding:"9px 12px",maxWidth:200,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontWeight:600,fontSize:12}}>/{u.slug}</td>
+                                <td style={{padding:"9px 12px",maxWidth:200,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontWeight:600,fontSize:12}}>
+                                  {urlAlerts[u.slug] && <span title={urlAlerts[u.slug].map(a => `${ANOMALY_TYPES[a.type].label}: ${describeAnomaly(a, statusConfig)}`).join("\n")} style={{color:urlAlerts[u.slug].some(a=>ANOMALY_TYPES[a.type].severity==="high")?"var(--red)":"var(--amber)",marginRight:5}}>⚠</span>}
+                                  /{u.slug}
+                                </td>
                                 <td style={{padding:"9px 12px",fontSize:11,color:"var(--muted)",maxWidth:140,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{u.ga.campaigns[0]||"—"}{u.ga.campaigns.length>1?` +${u.ga.campaigns.length-1}`:""}</td>
                                 <td style={{padding:"9px 12px",color:"var(--green)",fontFamily:"'JetBrains Mono',monospace",fontWeight:600}}>{fmt(u.mv.revenue)}</td>
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{u.mv.views.toLocaleString()}</td>
@@ -915,9 +3959,10 @@ export default function AdProfitDashboard() {
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace"}}>{u.ga.clicks.toLocaleString()}</td>
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{u.ga.impressions.toLocaleString()}</td>
                                 <td style={{padding:"9px 12px",fontWeight:800,color:u.profit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.profit)}</td>
+                                {adModel && <td title={`${fmt(u.adRevenue)} attributed (${ATTRIBUTION_BASIS[u.adBasis]}) · ROI ${u.adRoi>900?"∞":pctStr(u.adRoi)}`} style={{padding:"9px 12px",fontWeight:800,color:u.adProfit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.adProfit)}</td>}
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{u.roi>900?"∞":pctStr(u.roi)}</td>
                                 <td style={{padding:"9px 12px"}}><ProfitBar value={u.profit} max={maxProfit} /></td>
-                                <td style={{padding:"9px 12px"}}><StatusBadge status={u.status} /></td>
+                                <td style={{padding:"9px 12px"}} title={fmtConfidence(u.confidence)}><StatusBadge status={u.status} config={statusConfig} /></td>
                               </tr>
                             ))}
                           </tbody>
@@ -930,6 +3975,91 @@ export default function AdProfitDashboard() {
               </div>
             )}
 
+            {/* ══════════════════════════════════════════════ */}
+            {/* CAMPAIGNS VIEW                                 */}
+            {/* ══════════════════════════════════════════════ */}
+            {view === "campaigns" && activeSnapshot && (() => {
+              const focus = campaignFocus && campaignData.campaigns.find(c => c.campaign === campaignFocus);
+              const th = {padding:"10px 12px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.6,whiteSpace:"nowrap"};
+              const td = {padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace"};
+              return (
+                <div style={{animation:"fadeUp 0.3s ease"}}>
+                  <Card style={{padding:"14px 18px",marginBottom:16,display:"flex",justifyContent:"space-between",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+                    <div>
+                      <h3 style={{fontSize:15,fontWeight:800,marginBottom:3}}>🎯 {focus ? focus.campaign : "Campaigns"}</h3>
+                      <p style={{fontSize:12,color:"var(--muted)",margin:0}}>{focus ? `${focus.urls} URLs in this campaign · click a URL for detail` : `${campaignData.campaigns.length} campaigns · profit uses ${adModel ? "ad-attributed" : "page"} revenue split per URL`}</p>
+                    </div>
+                    <div style={{display:"flex",gap:8,alignItems:"center"}}>
+                      <span style={{fontSize:11,color:"var(--muted)"}}>Revenue split:</span>
+                      <select value={campaignSplit} onChange={e=>saveSettings({...settings,campaignSplit:e.target.value})} style={{padding:"7px 12px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:12,cursor:"pointer",fontFamily:"inherit"}}>
+                        {Object.entries(CAMPAIGN_SPLITS).map(([k,l])=><option key={k} value={k}>{l}</option>)}
+                      </select>
+                      {focus && <button onClick={()=>setCampaignFocus(null)} style={{...btnS,padding:"7px 12px",fontSize:12}}>← All Campaigns</button>}
+                    </div>
+                  </Card>
+                  {focus && (
+                    <div style={{display:"flex",gap:12,flexWrap:"wrap",marginBottom:16}}>
+                      <MetricCard small icon="📢" label="Spend" value={fmt(focus.costUSD)} sub={fmtINR(focus.costINR)} color="var(--red)" />
+                      <MetricCard small icon="💚" label="Attributed Rev" value={fmt(focus.revenue)} color="var(--green)" />
+                      <MetricCard small icon="🎯" label="Profit" value={fmt(focus.profit)} color={focus.profit>=0?"var(--green)":"var(--red)"} />
+                      <MetricCard small icon="⚡" label="ROI" value={focus.roi>900?"∞":pctStr(focus.roi)} color={focus.roi>=0?"var(--green)":"var(--red)"} />
+                      <MetricCard small icon="👆" label="Clicks" value={focus.clicks.toLocaleString()} sub={`${focus.impressions.toLocaleString()} impr`} />
+                    </div>
+                  )}
+                  <Card style={{overflow:"hidden"}}>
+                    <div style={{overflowX:"auto"}}>
+                      <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                        {focus ? (
+                          <>
+                            <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                              {["URL","Spend","Clicks","Share","Attr. Rev","Pair Profit","ROI","Pair Status","URL Overall"].map(h=><th key={h} style={th}>{h}</th>)}
+                            </tr></thead>
+                            <tbody>
+                              {campaignData.pairs.filter(p=>p.campaign===focus.campaign).sort((a,b)=>a.profit-b.profit).map(p => (
+                                <tr key={p.slug} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>{setBackToCampaign(focus.campaign);setDetailSlug(p.slug);setView("analysis")}}>
+                                  <td style={{padding:"9px 12px",maxWidth:240,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontWeight:600}}>/{p.slug}</td>
+                                  <td style={{...td,color:"var(--red)"}}>{fmt(p.costUSD)}</td>
+                                  <td style={td}>{p.clicks.toLocaleString()}</td>
+                                  <td style={{...td,color:"var(--muted)"}}>{(p.share*100).toFixed(0)}%</td>
+                                  <td style={{...td,color:"var(--green)"}}>{fmt(p.revenue)}</td>
+                                  <td style={{...td,fontWeight:800,color:p.profit>=0?"var(--green)":"var(--red)"}}>{fmt(p.profit)}</td>
+                                  <td style={{...td,fontSize:11}}>{p.roi>900?"∞":pctStr(p.roi)}</td>
+                                  <td style={{padding:"9px 12px"}}><StatusBadge status={p.status} config={statusConfig} /></td>
+                                  <td style={{...td,fontSize:11,color:p.urlProfit>=0?"var(--green)":"var(--red)"}}>{fmt(p.urlProfit)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </>
+                        ) : (
+                          <>
+                            <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                              {["Campaign","URLs","Spend","Clicks","Attr. Rev","Profit","ROI","Losing Pairs","Status"].map(h=><th key={h} style={th}>{h}</th>)}
+                            </tr></thead>
+                            <tbody>
+                              {campaignData.campaigns.map(c => (
+                                <tr key={c.campaign} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>setCampaignFocus(c.campaign)}>
+                                  <td style={{padding:"9px 12px",maxWidth:260,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",fontWeight:600}}>{c.campaign}</td>
+                                  <td style={td}>{c.urls}</td>
+                                  <td style={{...td,color:"var(--red)"}}>{fmt(c.costUSD)}</td>
+                                  <td style={td}>{c.clicks.toLocaleString()}</td>
+                                  <td style={{...td,color:"var(--green)"}}>{fmt(c.revenue)}</td>
+                                  <td style={{...td,fontWeight:800,color:c.profit>=0?"var(--green)":"var(--red)"}}>{fmt(c.profit)}</td>
+                                  <td style={{...td,fontSize:11}}>{c.roi>900?"∞":pctStr(c.roi)}</td>
+                                  <td style={{...td,color:c.losingPairs?"var(--amber)":"var(--muted)"}}>{c.losingPairs}</td>
+                                  <td style={{padding:"9px 12px"}}><StatusBadge status={c.status} config={statusConfig} /></td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </>
+                        )}
+                      </table>
+                    </div>
+                    {campaignData.campaigns.length===0 && <div style={{padding:40,textAlign:"center",color:"var(--muted)"}}>No campaign data in this snapshot</div>}
+                  </Card>
+                </div>
+              );
+            })()}
+
             {/* ══════════════════════════════════════════════ */}
             {/* ACTION CENTER VIEW                             */}
             {/* ══════════════════════════════════════════════ */}
@@ -937,40 +4067,57 @@ export default function AdProfitDashboard() {
               <div style={{animation:"fadeUp 0.3s ease"}}>
                 {/* Immediate Actions Summary */}
                 <Card style={{padding:22,marginBottom:16}}>
-                  <h3 style={{fontSize:16,fontWeight:900,marginBottom:6}}>⚡ Executive Summary</h3>
+                  <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:6}}>
+                    <h3 style={{fontSize:16,fontWeight:900,margin:0}}>⚡ Executive Summary</h3>
+                    <div style={{display:"flex",gap:8}}>
+                      <button onClick={()=>setBulkModal("log")} title="Google Ads Editor change files generated so far" style={{...btnS,padding:"6px 12px",fontSize:12}}>📜 Change Files{bulkLog.length ? ` (${bulkLog.length})` : ""}</button>
+                      <button onClick={()=>setReportSource("snapshot")} title="Printable HTML/PDF report of this snapshot" style={{...btnS,padding:"6px 12px",fontSize:12}}>📄 Report</button>
+                    </div>
+                  </div>
                   <p style={{fontSize:13,color:"var(--muted)",lineHeight:1.7,marginBottom:0}}>
-                    You're running <strong style={{color:"var(--text)"}}>{stats?.adsCount} Google Ads</strong> across your pages, spending <strong style={{color:"var(--red)"}}>{fmt(stats?.gaSpendUSD)}</strong> ({fmtINR(stats?.gaSpendINR)}) to generate <strong style={{color:"var(--green)"}}>{fmt(stats?.mvRevenue)}</strong> in Mediavine revenue. Net profit: <strong style={{color:stats?.totalProfit>=0?"var(--green)":"var(--red)"}}>{fmt(stats?.totalProfit)}</strong> ({pctStr(stats?.avgROI)} ROI).
+                    You're running <strong style={{color:"var(--text)"}}>{stats?.adsCount} Google Ads</strong> across your pages, spending <strong style={{color:"var(--red)"}}>{fmt(stats?.gaSpendUSD)}</strong> ({fmtINR(stats?.gaSpendINR)}) to generate <strong style={{color:"var(--green)"}}>{fmt(stats?.mvRevenue)}</strong> in page revenue. Net profit: <strong style={{color:stats?.totalProfit>=0?"var(--green)":"var(--red)"}}>{fmt(stats?.totalProfit)}</strong> ({pctStr(stats?.avgROI)} ROI).
+                    {adModel && <> Counting only the revenue the paid clicks earned ({ATTRIBUTION_MODELS[attribution.model].toLowerCase()}), <strong style={{color:"var(--text)"}}>{fmt(stats?.adRevenue)}</strong>, the incremental ad profit is <strong style={{color:stats?.adProfit>=0?"var(--green)":"var(--red)"}}>{fmt(stats?.adProfit)}</strong>; the sections below use that.</>}
                     {" "}{stats?.turnoff > 0 && <><strong style={{color:"var(--red)"}}>{stats.turnoff} ads should be turned off immediately</strong>, saving you <strong>{fmt(activeSnapshot.urls.filter(u=>u.hasAds&&u.status==="turnoff").reduce((s,u)=>s+u.ga.costUSD,0))}</strong> in wasted spend.</>}
                   </p>
                 </Card>
 
+                {bulkPicks.length > 0 && (
+                  <div style={{position:"sticky",top:8,zIndex:5,display:"flex",alignItems:"center",gap:10,padding:"10px 16px",marginBottom:14,borderRadius:10,background:"var(--card2)",border:"1px solid var(--accent)",boxShadow:"0 8px 24px rgba(0,0,0,0.3)",fontSize:12}}>
+                    <strong>{bulkPicks.length} selected</strong>
+                    <span style={{color:"var(--muted)"}}>for a Google Ads Editor change file</span>
+                    <button onClick={()=>setBulkPicks([])} style={{...btnS,marginLeft:"auto",padding:"6px 12px",fontSize:12}}>Clear</button>
+                    <button onClick={()=>{setBulkExcluded([]);setBulkModal("review")}} style={{...btnP,padding:"6px 14px",fontSize:12}}>Review Changes →</button>
+                  </div>
+                )}
+
                 {/* Action Sections */}
-                {[
-                  { status:"turnoff", title:"🛑 Turn Off Immediately", desc:"Deep negative ROI. These ads are burning money with minimal to no return. Pause them now.", action:"Pause Ad" },
-                  { status:"losing", title:"⚠️ Losing Money — Review & Optimize", desc:"Negative ROI but potentially recoverable. Review targeting, ad copy, landing page, and bids.", action:"Review" },
-                  { status:"improving", title:"🔧 Can Improve — Optimization Opportunities", desc:"Marginal performance. Small tweaks to bids, keywords, or landing pages could make these profitable.", action:"Optimize" },
-                  { status:"profitable", title:"✅ Profitable — Consider Scaling", desc:"Strong ROI. Consider increasing budget 10-20% to capture more traffic. Watch for diminishing returns.", action:"Scale" },
-                ].map(section => {
-                  const urls = processedUrls.filter(u=>u.status===section.status).sort((a,b)=> section.status==="profitable" ? b.profit-a.profit : a.profit-b.profit);
+                {actionSections(ruleSet).map(section => {
+                  // Most certain first, then by how much is at stake
+                  const rank = (u) => CONFIDENCE_LEVELS[u.confidence?.level || "low"].rank;
+                  const urls = processedUrls.filter(u=>u.status===section.status).sort((a,b)=> rank(a)-rank(b) || (section.status==="profitable" ? b.adProfit-a.adProfit : a.adProfit-b.adProfit));
                   if (urls.length === 0) return null;
                   const totalSpend = urls.reduce((s,u)=>s+u.ga.costUSD,0);
-                  const totalProfit = urls.reduce((s,u)=>s+u.profit,0);
-                  const cfg = STATUS_CONFIG[section.status];
+                  const totalProfit = urls.reduce((s,u)=>s+u.adProfit,0);
+                  const cfg = statusConfig[section.status];
+                  // Only profitable URLs map to Editor (budget) changes
+                  const pickable = section.status === "profitable";
+                  const allPicked = pickable && urls.every(u => bulkPicks.includes(u.slug));
                   const exportSection = (e) => {
                     e.stopPropagation();
-                    const headers = ["Slug","Campaign","MV Revenue (USD)","MV Views","GA Spend (INR)","GA Spend (USD)","GA Clicks","GA Impressions","Profit (USD)","ROI %","Rev/Click","Status"];
+                    const headers = ["Slug","Campaign","Revenue (USD)",...splitSources.map(id => `${revenueSource(id).label} Revenue (USD)`),"Views","Ad Spend (INR)","Ad Spend (USD)","Ad Clicks","Ad Impressions","Profit (USD)",...(adModel?["Ad Revenue (USD)","Ad Profit (USD)"]:[]),"ROI %","Rev/Click","Status","Confidence","Chance of Profit %"];
                     const rows = urls.map(u => [
-                      "/"+u.slug, u.ga.campaigns.join(" | "), u.mv.revenue.toFixed(2), u.mv.views,
+                      "/"+u.slug, u.ga.campaigns.join(" | "), u.mv.revenue.toFixed(2), ...splitSources.map(id => (revenueBySource(u.mv)[id] || 0).toFixed(2)), u.mv.views,
                       u.ga.costINR.toFixed(2), u.ga.costUSD.toFixed(2), u.ga.clicks, u.ga.impressions,
-                      u.profit.toFixed(2), u.roi.toFixed(1), u.revenuePerClick.toFixed(4), u.status
+                      u.profit.toFixed(2), ...(adModel?[u.adRevenue.toFixed(2), u.adProfit.toFixed(2)]:[]), u.roi.toFixed(1), u.revenuePerClick.toFixed(4), u.status,
+                      u.confidence ? CONFIDENCE_LEVELS[u.confidence.level].label : "", u.confidence ? (u.confidence.pProfit * 100).toFixed(0) : ""
                     ]);
-                    const csv = [headers,...rows].map(r => r.map(c=>`"${c}"`).join(",")).join("\n");
-                    setExportData(csv);
+                    downloadCSV(snapshotFileName(`action-${cfg.label}`, "csv"), headers, rows);
                   };
                   return (
                     <Card key={section.status} style={{marginBottom:14,overflow:"hidden"}}>
                       <div style={{padding:"16px 20px",borderBottom:"1px solid var(--border)",background:cfg.bg}}>
                         <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+                          {pickable && <input type="checkbox" checked={allPicked} onChange={()=>togglePicks(urls.map(u=>u.slug), !allPicked)} title="Select all for a Google Ads Editor budget change" style={{marginRight:12,cursor:"pointer"}} />}
                           <div style={{flex:1}}>
                             <h3 style={{fontSize:15,fontWeight:800,color:cfg.color,marginBottom:3}}>{section.title}</h3>
                             <p style={{fontSize:12,color:"var(--muted)",margin:0}}>{section.desc}</p>
@@ -991,18 +4138,25 @@ export default function AdProfitDashboard() {
                           <tbody>
                             {urls.map(u => (
                               <tr key={u.slug} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>{setDetailSlug(u.slug);setView("analysis")}}>
+                                {pickable && <td style={{padding:"10px 0 10px 20px",width:1}} onClick={e=>e.stopPropagation()}><input type="checkbox" checked={bulkPicks.includes(u.slug)} onChange={e=>togglePicks([u.slug], e.target.checked)} style={{cursor:"pointer"}} /></td>}
                                 <td style={{padding:"10px 16px",fontWeight:600,maxWidth:220,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{u.slug}</td>
                                 <td style={{padding:"10px 12px",color:"var(--muted)",fontSize:11}}>{u.ga.campaigns[0]||"—"}</td>
-                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace"}}>
-                                  <span style={{color:"var(--green)"}}>{fmt(u.mv.revenue)}</span>
+                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace"}} title={adModel ? `Page: ${fmt(u.mv.revenue)} revenue, ${fmt(u.profit)} profit` : undefined}>
+                                  <span style={{color:"var(--green)"}}>{fmt(u.adRevenue)}</span>
                                   <span style={{color:"var(--muted)",margin:"0 4px"}}>−</span>
                                   <span style={{color:"var(--red)"}}>{fmt(u.ga.costUSD)}</span>
                                   <span style={{color:"var(--muted)",margin:"0 4px"}}>=</span>
-                                  <strong style={{color:u.profit>=0?"var(--green)":"var(--red)"}}>{fmt(u.profit)}</strong>
+                                  <strong style={{color:u.adProfit>=0?"var(--green)":"var(--red)"}}>{fmt(u.adProfit)}</strong>
                                 </td>
-                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{u.roi>900?"∞":pctStr(u.roi)}</td>
+                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{u.adRoi>900?"∞":pctStr(u.adRoi)}</td>
                                 <td style={{padding:"10px 12px"}}>{u.ga.clicks.toLocaleString()} clicks</td>
-                                <td style={{padding:"10px 12px"}}><StatusBadge status={u.status} /></td>
+                                <td style={{padding:"10px 12px"}}><ConfidenceTag confidence={u.confidence} /></td>
+                                <td style={{padding:"10px 12px"}}><StatusBadge status={u.status} config={statusConfig} /></td>
+                                {section.logAs && <td style={{padding:"10px 16px 10px 0",textAlign:"right"}} onClick={e=>e.stopPropagation()}>
+                                  {actedSince.has(u.slug)
+                                    ? <span title={actionLog.filter(a=>a.slug===u.slug).map(a=>`${a.date}: ${actionLabel(a)}`).join("\n")} style={{fontSize:11,color:"var(--muted)",whiteSpace:"nowrap"}}>✓ Logged</span>
+                                    : <button onClick={()=>logActions([{ slug:u.slug, type:section.logAs }])} title={`Log "${actionType(section.logAs).label}" as done today`} style={{...btnS,padding:"4px 10px",fontSize:11,whiteSpace:"nowrap"}}>✓ Done</button>}
+                                </td>}
                               </tr>
                             ))}
                           </tbody>
@@ -1011,9 +4165,242 @@ export default function AdProfitDashboard() {
                     </Card>
                   );
                 })}
+
+                {/* Campaign/URL pairs burning money inside URLs that are not turn-off overall */}
+                {(() => {
+                  const visible = new Set(processedUrls.map(u => u.slug));
+                  const pairs = campaignData.pairs.filter(p => visible.has(p.slug) && p.status === "turnoff" && p.urlStatus !== "turnoff").sort((a,b) => a.profit - b.profit);
+                  if (!pairs.length) return null;
+                  const cfg = statusConfig.turnoff;
+                  const exportPairs = () => {
+                    const headers = ["Slug","Campaign","Pair Spend (INR)","Pair Spend (USD)","Clicks","Attributed Revenue (USD)","Pair Profit (USD)","Pair ROI %","URL Profit (USD)","URL Status"];
+                    const rows = pairs.map(p => ["/"+p.slug, p.campaign, p.costINR.toFixed(2), p.costUSD.toFixed(2), p.clicks, p.revenue.toFixed(2), p.profit.toFixed(2), p.roi.toFixed(1), p.urlProfit.toFixed(2), p.urlStatus]);
+                    downloadCSV(snapshotFileName("turn-off-pairs", "csv"), headers, rows);
+                  };
+                  return (
+                    <Card style={{marginBottom:14,overflow:"hidden"}}>
+                      <div style={{padding:"16px 20px",borderBottom:"1px solid var(--border)",background:cfg.bg,display:"flex",justifyContent:"space-between",alignItems:"center"}}>
+                        <div style={{flex:1}}>
+                          <h3 style={{fontSize:15,fontWeight:800,color:cfg.color,marginBottom:3}}>🎯 Pause Campaign/URL Pairs</h3>
+                          <p style={{fontSize:12,color:"var(--muted)",margin:0}}>These URLs are fine overall, but one campaign is losing money on them ({CAMPAIGN_SPLITS[campaignSplit].toLowerCase()} attribution). Pause the URL in that campaign only.</p>
+                        </div>
+                        <div style={{display:"flex",alignItems:"center",gap:12}}>
+                          <div style={{textAlign:"right"}}>
+                            <div style={{fontSize:11,color:"var(--muted)"}}>{pairs.length} pairs · Spend: {fmt(pairs.reduce((s,p)=>s+p.costUSD,0))}</div>
+                            <div style={{fontSize:14,fontWeight:800,color:cfg.color,fontFamily:"'JetBrains Mono',monospace"}}>{fmt(pairs.reduce((s,p)=>s+p.profit,0))}</div>
+                          </div>
+                          <button onClick={exportPairs} style={{padding:"6px 12px",borderRadius:7,border:`1px solid ${cfg.color}33`,background:`${cfg.color}11`,color:cfg.color,cursor:"pointer",fontSize:11,fontWeight:700,whiteSpace:"nowrap"}}>↓ CSV</button>
+                        </div>
+                      </div>
+                      <div style={{overflowX:"auto"}}>
+                        <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                          <tbody>
+                            {pairs.map(p => (
+                              <tr key={p.slug+p.campaign} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>{setDetailSlug(p.slug);setView("analysis")}}>
+                                <td style={{padding:"10px 16px",fontWeight:600,maxWidth:220,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{p.slug}</td>
+                                <td style={{padding:"10px 12px",color:"var(--text)",fontSize:11,fontWeight:700}}>{p.campaign}</td>
+                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace"}}>
+                                  <span style={{color:"var(--green)"}}>{fmt(p.revenue)}</span>
+                                  <span style={{color:"var(--muted)",margin:"0 4px"}}>−</span>
+                                  <span style={{color:"var(--red)"}}>{fmt(p.costUSD)}</span>
+                                  <span style={{color:"var(--muted)",margin:"0 4px"}}>=</span>
+                                  <strong style={{color:"var(--red)"}}>{fmt(p.profit)}</strong>
+                                </td>
+                                <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{pctStr(p.roi)}</td>
+                                <td style={{padding:"10px 12px",fontSize:11,color:"var(--muted)"}}>URL overall: <span style={{color:p.urlProfit>=0?"var(--green)":"var(--red)"}}>{fmt(p.urlProfit)}</span></td>
+                                <td style={{padding:"10px 12px"}}><StatusBadge status={p.urlStatus} config={statusConfig} /></td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </Card>
+                  );
+                })()}
+
+                {/* Action outcomes */}
+                {actionOutcomes.length > 0 && (
+                  <Card style={{marginBottom:14,overflow:"hidden"}}>
+                    <div style={{padding:"16px 20px",borderBottom:"1px solid var(--border)",display:"flex",justifyContent:"space-between",alignItems:"center",gap:12}}>
+                      <div>
+                        <h3 style={{fontSize:15,fontWeight:800,marginBottom:3}}>📋 Action Outcomes</h3>
+                        <p style={{fontSize:12,color:"var(--muted)",margin:0}}>
+                          Profit per day in the last snapshot before each logged action vs the snapshots after it ·{" "}
+                          {Object.entries(ACTION_VERDICTS).map(([k,v]) => [v, actionOutcomes.filter(a => a.outcome.verdict === k).length]).filter(([,n]) => n).map(([v,n]) => `${n} ${v.label.toLowerCase()}`).join(" · ")}
+                        </p>
+                      </div>
+                      <button onClick={exportActionOutcomes} title="Export the action log with outcomes as CSV" style={{...btnS,padding:"6px 12px",fontSize:11}}>↓ CSV</button>
+                    </div>
+                    <div style={{overflowX:"auto",maxHeight:420,overflowY:"auto"}}>
+                      <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                        <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
+                          {["Date","URL","Action","Before","After","Change /day","Outcome",""].map(h=><th key={h} style={{padding:"10px 12px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.6,whiteSpace:"nowrap"}}>{h}</th>)}
+                        </tr></thead>
+                        <tbody>{actionOutcomes.map(a => (
+                          <tr key={a.id} className="rhover" style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}} onClick={()=>{setDetailSlug(a.slug);setView("analysis")}}>
+                            <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11,whiteSpace:"nowrap"}}>{a.date}</td>
+                            <td style={{padding:"10px 12px",fontWeight:600,maxWidth:220,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{a.slug}</td>
+                            <td style={{padding:"10px 12px",color:actionType(a.type).color,whiteSpace:"nowrap"}} title={a.note}>{actionType(a.type).icon} {actionLabel(a)}</td>
+                            <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}} title={a.outcome.before?.label}>
+                              {a.outcome.before ? <>{fmt(a.outcome.before.perDay)}/day <StatusBadge status={a.outcome.before.status} config={statusConfig} /></> : "—"}
+                            </td>
+                            <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}} title={a.outcome.after ? `${a.outcome.after.snapshots} snapshot${a.outcome.after.snapshots!==1?"s":""}` : undefined}>
+                              {a.outcome.after ? <>{fmt(a.outcome.after.perDay)}/day {a.outcome.after.status && <StatusBadge status={a.outcome.after.status} config={statusConfig} />}</> : "—"}
+                            </td>
+                            <td style={{padding:"10px 12px",fontFamily:"'JetBrains Mono',monospace",fontWeight:700,color:a.outcome.delta==null?"var(--muted)":a.outcome.delta>=0?"var(--green)":"var(--red)"}}>{a.outcome.delta == null ? "—" : `${a.outcome.delta >= 0 ? "+" : ""}${fmt(a.outcome.delta)}`}</td>
+                            <td style={{padding:"10px 12px",fontWeight:700,color:ACTION_VERDICTS[a.outcome.verdict].color,whiteSpace:"nowrap"}}>{ACTION_VERDICTS[a.outcome.verdict].label}</td>
+                            <td style={{padding:"10px 12px"}} onClick={e=>e.stopPropagation()}><button onClick={()=>removeAction(a.id)} title="Remove from the log" style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:12}}>✕</button></td>
+                          </tr>
+                        ))}</tbody>
+                      </table>
+                    </div>
+                  </Card>
+                )}
               </div>
             )}
 
+            {/* ══════════════════════════════════════════════ */}
+            {/* WHAT-IF SIMULATOR VIEW                         */}
+            {/* ══════════════════════════════════════════════ */}
+            {view === "whatif" && activeSnapshot && simulation && (() => {
+              const ctl = {padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"'JetBrains Mono',monospace"};
+              const setBucket = (k, v) => setScenario(sc => ({ ...sc, bucketScale:{ ...sc.bucketScale, [k]:v } }));
+              const setOverride = (slug, o) => setScenario(sc => {
+                const next = { ...sc.urlOverrides[slug], ...o };
+                const urlOverrides = { ...sc.urlOverrides, [slug]:next };
+                if (!next.paused && next.scale == null) delete urlOverrides[slug];
+                return { ...sc, urlOverrides };
+              });
+              const proj = {
+                spend: stats.gaSpendUSD + simulation.spendDelta,
+                revenue: stats.mvRevenue + simulation.revenueDelta,
+                profit: stats.totalProfit + simulation.profitDelta,
+              };
+              proj.roi = proj.spend > 0 ? proj.profit / proj.spend * 100 : 0;
+              const compare = [
+                { icon:"💸", label:"Ad Spend", cur:stats.gaSpendUSD, next:proj.spend, f:fmt, better:-1 },
+                { icon:"💰", label:"Revenue", cur:stats.mvRevenue, next:proj.revenue, f:fmt, better:1 },
+                { icon:"📈", label:"Net Profit", cur:stats.totalProfit, next:proj.profit, f:fmt, better:1 },
+                { icon:"🎯", label:"ROI", cur:stats.avgROI, next:proj.roi, f:pctStr, better:1 },
+              ];
+              const q = whatIfSearch.toLowerCase();
+              const rows = simulation.rows.filter(r => !q || r.slug.includes(q)).sort((a,b) => (b.profit-b.curProfit) - (a.profit-a.curProfit));
+              const changed = simulation.rows.filter(r => r.pct !== 0).length;
+              const scenarios = settings?.scenarios || [];
+              return (
+              <div style={{animation:"fadeUp 0.3s ease"}}>
+                <div style={{display:"flex",gap:12,flexWrap:"wrap",marginBottom:16}}>
+                  {compare.map(c => {
+                    const d = c.next - c.cur;
+                    const good = d * c.better >= 0;
+                    return (
+                      <MetricCard key={c.label} icon={c.icon} label={c.label} value={c.f(c.next)} color={Math.abs(d) < 0.005 ? undefined : good ? "var(--green)" : "var(--red)"}
+                        sub={`Now ${c.f(c.cur)} · ${d>=0?"+":""}${c.label==="ROI" ? d.toFixed(1)+" pts" : fmt(d)}`} />
+                    );
+                  })}
+                </div>
+
+                <div style={{display:"grid",gridTemplateColumns:"minmax(0,1fr) minmax(0,1fr)",gap:16,marginBottom:16}}>
+                  <Card style={{padding:20}}>
+                    <h3 style={{fontSize:15,fontWeight:800,marginBottom:4}}>🧪 Budget by Status</h3>
+                    <p style={{fontSize:12,color:"var(--muted)",marginBottom:14}}>Scale every ad in a bucket. −100% pauses them. Per-URL changes below take precedence.</p>
+                    {Object.entries(statusConfig).map(([k,cfg]) => (
+                      <div key={k} style={{display:"flex",alignItems:"center",gap:10,marginBottom:8}}>
+                        <div style={{width:130}}><StatusBadge status={k} config={statusConfig} /></div>
+                        <input type="range" min={-100} max={100} step={5} value={scenario.bucketScale[k]||0} onChange={e=>setBucket(k,+e.target.value)} style={{flex:1,accentColor:cfg.color}} />
+                        <span style={{width:56,textAlign:"right",fontSize:12,fontWeight:700,fontFamily:"'JetBrains Mono',monospace",color:(scenario.bucketScale[k]||0)<0?"var(--red)":(scenario.bucketScale[k]||0)>0?"var(--green)":"var(--muted)"}}>
+                          {(scenario.bucketScale[k]||0)===-100 ? "Pause" : `${(scenario.bucketScale[k]||0)>0?"+":""}${scenario.bucketScale[k]||0}%`}
+                        </span>
+                      </div>
+                    ))}
+                    <button onClick={()=>setScenario(sc=>({...sc,bucketScale:{...sc.bucketScale,turnoff:-100,profitable:15}}))} style={{...btnS,padding:"6px 12px",fontSize:11,marginTop:6}}>⚡ Apply Action Center advice</button>
+                  </Card>
+
+                  <Card style={{padding:20}}>
+                    <h3 style={{fontSize:15,fontWeight:800,marginBottom:4}}>📐 Revenue Model</h3>
+                    <p style={{fontSize:12,color:"var(--muted)",marginBottom:14}}>How revenue responds when spend changes.</p>
+                    <select value={scenario.rpcModel} onChange={e=>setScenario(sc=>({...sc,rpcModel:e.target.value}))} style={{...ctl,width:"100%",cursor:"pointer",fontFamily:"inherit",marginBottom:10}}>
+                      {Object.entries(RPC_MODELS).map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+                    </select>
+                    {scenario.rpcModel === "diminishing" ? (
+                      <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:8}}>
+                        <span style={{fontSize:12,color:"var(--muted)"}}>Elasticity</span>
+                        <input type="range" min={0.1} max={1} step={0.05} value={scenario.elasticity} onChange={e=>setScenario(sc=>({...sc,elasticity:+e.target.value}))} style={{flex:1}} />
+                        <span style={{width:40,textAlign:"right",fontSize:12,fontWeight:700,fontFamily:"'JetBrains Mono',monospace"}}>{scenario.elasticity.toFixed(2)}</span>
+                      </div>
+                    ) : null}
+                    <p style={{fontSize:11,color:"var(--muted)",lineHeight:1.6,margin:0}}>
+                      {scenario.rpcModel === "diminishing"
+                        ? <>Clicks grow as budget<sup>{scenario.elasticity.toFixed(2)}</sup>: +50% budget buys {pctStr((Math.pow(1.5,scenario.elasticity)-1)*100)} more clicks at the snapshot's revenue per click.</>
+                        : <>Every click earns the snapshot's revenue per click and costs the snapshot's CPC, so revenue scales 1:1 with spend.</>}
+                    </p>
+
+                    <div style={{borderTop:"1px solid var(--border)",marginTop:14,paddingTop:14}}>
+                      <div style={{display:"flex",gap:8,marginBottom:10}}>
+                        <input value={scenario.name} onChange={e=>setScenario(sc=>({...sc,name:e.target.value}))} placeholder="Scenario name..." style={{...ctl,flex:1,fontFamily:"inherit"}} />
+                        <button onClick={saveScenario} style={{...btnP,padding:"6px 14px",fontSize:12}}>{scenario.id ? "Update" : "Save"}</button>
+                        <button onClick={exportChangeList} disabled={!changed} style={{...btnS,padding:"6px 12px",fontSize:12,opacity:changed?1:0.5}}>↓ Change list</button>
+                        <button onClick={()=>setScenario(EMPTY_SCENARIO)} style={{...btnS,padding:"6px 12px",fontSize:12}}>Reset</button>
+                      </div>
+                      {scenarios.map(sc => (
+                        <div key={sc.id} style={{display:"flex",alignItems:"center",gap:8,padding:"6px 0",borderBottom:"1px solid var(--border)",fontSize:12}}>
+                          <span style={{flex:1,fontWeight:scenario.id===sc.id?800:600,color:scenario.id===sc.id?"var(--accent)":"var(--text)"}}>{sc.name}</span>
+                          <span style={{fontSize:10,color:"var(--muted)"}}>{Object.keys(sc.urlOverrides).length} URL changes · {new Date(sc.savedAt).toLocaleDateString()}</span>
+                          <button onClick={()=>setScenario({...EMPTY_SCENARIO,...sc})} style={{background:"none",border:"none",color:"var(--accent)",cursor:"pointer",fontSize:11,fontWeight:700}}>Load</button>
+                          <button onClick={()=>saveSettings({...settings,scenarios:scenarios.filter(x=>x.id!==sc.id)})} style={{background:"none",border:"none",color:"var(--red)",cursor:"pointer",fontSize:11}}>✕</button>
+                        </div>
+                      ))}
+                    </div>
+                  </Card>
+                </div>
+
+                <Card style={{overflow:"hidden"}}>
+                  <div style={{padding:"14px 20px",borderBottom:"1px solid var(--border)",display:"flex",justifyContent:"space-between",alignItems:"center",gap:12}}>
+                    <div>
+                      <h3 style={{fontSize:15,fontWeight:800,marginBottom:2}}>Per-URL Changes</h3>
+                      <p style={{fontSize:12,color:"var(--muted)",margin:0}}>{changed} of {simulation.rows.length} ads changed · projections use {activeSnapshot.label}</p>
+                    </div>
+                    <input value={whatIfSearch} onChange={e=>setWhatIfSearch(e.target.value)} placeholder="Search URL..." style={{...ctl,fontFamily:"inherit",width:200}} />
+                  </div>
+                  <div style={{overflowX:"auto",maxHeight:560}}>
+                    <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+                      <thead>
+                        <tr style={{borderBottom:"1px solid var(--border)",position:"sticky",top:0,background:"var(--card)"}}>
+                          {["URL","Status","Pause","Budget %","Spend","Revenue","Profit","Δ Profit"].map(h => <th key={h} style={{padding:"10px 12px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.8}}>{h}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rows.map(r => {
+                          const o = scenario.urlOverrides[r.slug] || {};
+                          const dp = r.profit - r.curProfit;
+                          return (
+                            <tr key={r.slug} className="rhover" style={{borderBottom:"1px solid var(--border)",opacity:r.paused?0.6:1}}>
+                              <td style={{padding:"8px 12px",fontWeight:600,maxWidth:220,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{r.slug}</td>
+                              <td style={{padding:"8px 12px"}}><StatusBadge status={r.status} config={statusConfig} /></td>
+                              <td style={{padding:"8px 12px"}}><input type="checkbox" checked={!!o.paused} onChange={e=>setOverride(r.slug,{paused:e.target.checked})} style={{cursor:"pointer"}} /></td>
+                              <td style={{padding:"8px 12px"}}>
+                                <input type="number" step={5} min={-100} value={o.scale ?? ""} disabled={o.paused} placeholder={String(scenario.bucketScale[r.status]||0)}
+                                  onChange={e=>setOverride(r.slug,{scale:e.target.value===""?undefined:Math.max(-100,+e.target.value)})} style={{...ctl,width:70,padding:"4px 6px"}} />
+                              </td>
+                              <td style={{padding:"8px 12px",fontFamily:"'JetBrains Mono',monospace"}}>
+                                <span style={{color:"var(--muted)"}}>{fmt(r.curSpend)} → </span><span style={{color:"var(--red)"}}>{fmt(r.spend)}</span>
+                              </td>
+                              <td style={{padding:"8px 12px",fontFamily:"'JetBrains Mono',monospace"}}>
+                                <span style={{color:"var(--muted)"}}>{fmt(r.curRevenue)} → </span><span style={{color:"var(--green)"}}>{fmt(r.revenue)}</span>
+                              </td>
+                              <td style={{padding:"8px 12px",fontFamily:"'JetBrains Mono',monospace",fontWeight:700,color:r.profit>=0?"var(--green)":"var(--red)"}}>{fmt(r.profit)}</td>
+                              <td style={{padding:"8px 12px",fontFamily:"'JetBrains Mono',monospace",fontWeight:700,color:Math.abs(dp)<0.005?"var(--muted)":dp>0?"var(--green)":"var(--red)"}}>{dp>=0?"+":""}{fmt(dp)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              </div>
+              );
+            })()}
+
             {/* ══════════════════════════════════════════════ */}
             {/* DATE RANGE COMPARE VIEW                        */}
             {/* ══════════════════════════════════════════════ */}
@@ -1032,6 +4419,7 @@ export default function AdProfitDashboard() {
                       <input type="date" value={compareTo} onChange={e=>setCompareTo(e.target.value)} style={{padding:"9px 14px",borderRadius:8,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:13,fontFamily:"inherit"}} />
                     </div>
                     <div style={{marginTop:16,fontSize:12,color:"var(--muted)"}}>
+                      {compareData.unloaded?.length > 0 && <span style={{color:urlsError?"var(--red)":"var(--muted)",marginRight:8}}>{urlsError ? `⚠ ${urlsError}` : `⏳ Loading ${compareData.unloaded.length} snapshot${compareData.unloaded.length!==1?"s":""}…`}</span>}
                       {compareData.snapshotsUsed > 0
                         ? <span><strong style={{color:"var(--text)"}}>{compareData.snapshotsUsed}</strong> snapshot{compareData.snapshotsUsed!==1?"s":""} found · <strong style={{color:"var(--text)"}}>{compareData.totals?.urlCount||0}</strong> ad URLs</span>
                         : <span style={{color:"var(--amber)"}}>No snapshots in this date range</span>
@@ -1050,13 +4438,32 @@ export default function AdProfitDashboard() {
                       ))}
                     </div>
                   </div>
+                  {/* Coverage: how overlapping snapshots are counted, and what's missing */}
+                  <div style={{display:"flex",alignItems:"center",gap:10,flexWrap:"wrap",marginTop:14,paddingTop:12,borderTop:"1px solid var(--border)",fontSize:11}}>
+                    <span style={{fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.8,fontSize:10}}>Overlaps</span>
+                    <select value={aggregationMode} onChange={e=>saveSettings({...settings,aggregation:e.target.value})} style={{padding:"5px 10px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:11,cursor:"pointer",fontFamily:"inherit"}}>
+                      {Object.entries(AGGREGATION_MODES).map(([k,l]) => <option key={k} value={k}>{l}</option>)}
+                    </select>
+                    {compareData.issues && compareData.issues.overlaps.length > 0 && (
+                      <span style={{color:"var(--amber)"}} title={compareData.issues.overlaps.slice(0,20).map(([x,y]) => `${x.label} (${fmtRange(coverageOf(x))}) ↔ ${y.label} (${fmtRange(coverageOf(y))})`).join("\n")}>
+                        ⚠️ {compareData.issues.overlaps.length} overlapping snapshot pair{compareData.issues.overlaps.length!==1?"s":""}
+                        {aggregationMode === "pick" ? ` · ${compareData.issues.excluded.length} excluded to avoid double counting` : " · each day counted once from the finest revenue and cost snapshots"}
+                      </span>
+                    )}
+                    {compareData.issues && compareData.issues.gaps.length > 0 && (
+                      <span style={{color:"var(--amber)"}} title={compareData.issues.gaps.map(g => `${fmtRange(g)} (${g.days} day${g.days!==1?"s":""})`).join("\n")}>
+                        ⚠️ {compareData.issues.gaps.reduce((n,g) => n + g.days, 0)} uncovered day{compareData.issues.gaps.reduce((n,g) => n + g.days, 0)!==1?"s":""} in {compareData.issues.gaps.length} gap{compareData.issues.gaps.length!==1?"s":""}
+                      </span>
+                    )}
+                    {compareData.issues && !compareData.issues.overlaps.length && !compareData.issues.gaps.length && compareData.snapshotsUsed > 0 && <span style={{color:"var(--green)"}}>✓ Continuous coverage, no overlaps</span>}
+                  </div>
                 </Card>
 
                 {compareData.totals && compareData.snapshotsUsed > 0 ? (
                   <>
                     {/* Summary Metrics */}
                     <div style={{display:"flex",gap:12,flexWrap:"wrap",marginBottom:16}}>
-                      <MetricCard icon="💚" label="Total MV Revenue" value={fmt(compareData.totals.mvRevenue)} color="var(--green)" />
+                      <MetricCard icon="💚" label="Total Revenue" value={fmt(compareData.totals.mvRevenue)} sub={revenueSources.length > 1 ? fmtSources(compareData.totals.bySource) : undefined} color="var(--green)" />
                       <MetricCard icon="📢" label="Total Ad Spend" value={fmt(compareData.totals.gaSpendUSD)} sub={fmtINR(compareData.totals.gaSpendINR)} color="var(--red)" />
                       <MetricCard icon="🎯" label="Total Net Profit" value={fmt(compareData.totals.profit)} color={compareData.totals.profit>=0?"var(--emerald-glow)":"var(--red)"} sovereign />
                       <MetricCard icon="⚡" label="Period ROI" value={pctStr(compareData.totals.roi)} color={compareData.totals.roi>=0?"var(--green)":"var(--red)"} />
@@ -1064,8 +4471,8 @@ export default function AdProfitDashboard() {
                     </div>
 
                     {/* Status summary bar */}
-                    <div style={{display:"grid",gridTemplateColumns:"repeat(4,1fr)",gap:10,marginBottom:16}}>
-                      {Object.entries(STATUS_CONFIG).map(([key,cfg]) => {
+                    <div style={{display:"grid",gridTemplateColumns:`repeat(${Math.min(Object.keys(statusConfig).length,6)},1fr)`,gap:10,marginBottom:16}}>
+                      {Object.entries(statusConfig).map(([key,cfg]) => {
                         const count = compareData.totals[key]||0;
                         return (
                           <div key={key} onClick={()=>setCompareFilterStatus(compareFilterStatus===key?"all":key)} style={{padding:"12px 14px",borderRadius:10,background:cfg.bg,border:`1px solid ${compareFilterStatus===key?cfg.color:cfg.color+"22"}`,cursor:"pointer",textAlign:"center",transition:"all 0.2s"}}>
@@ -1076,6 +4483,20 @@ export default function AdProfitDashboard() {
                       })}
                     </div>
 
+                    {/* Exchange rates applied per month */}
+                    <div style={{display:"flex",gap:6,flexWrap:"wrap",alignItems:"center",marginBottom:16}}>
+                      <span style={{fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.8,marginRight:4}}>INR→USD rate</span>
+                      {compareData.monthlyBreakdown.map(m => {
+                        const tableRate = (settings?.rateTable||[]).find(r=>r.month===m.month);
+                        const stale = tableRate && m.rates.some(r => Math.abs(r - tableRate.rate) >= 0.005);
+                        return (
+                          <span key={m.month} title={stale?`Rate table says ₹${tableRate.rate.toFixed(2)} — re-price in Snapshots`:undefined} style={{fontSize:10,padding:"3px 8px",borderRadius:10,background:"var(--card2)",border:`1px solid ${stale?"var(--amber)":"var(--border)"}`,color:stale?"var(--amber)":"var(--muted)",fontFamily:"'JetBrains Mono',monospace"}}>
+                            {m.label}: {m.rates.length ? m.rates.map(r=>"₹"+r.toFixed(2)).join(" / ") : "—"}
+                          </span>
+                        );
+                      })}
+                    </div>
+
                     {/* Monthly Trend Chart */}
                     {compareData.monthlyBreakdown.length > 1 && (
                       <Card style={{padding:22,marginBottom:16}}>
@@ -1093,7 +4514,9 @@ export default function AdProfitDashboard() {
                             <YAxis tick={{fill:"#5c6489",fontSize:10}} tickLine={false} axisLine={{stroke:"#1c2035"}} tickFormatter={v=>`$${Math.abs(v)>=1000?(v/1000).toFixed(1)+"k":v.toFixed(0)}`} />
                             <Tooltip contentStyle={{background:"#161926",border:"1px solid #1c2035",borderRadius:10,fontSize:12,color:"#e4e6f0"}} formatter={(v,n)=>["$"+Math.abs(v).toFixed(2),n]} />
                             <Bar dataKey="gaSpendUSD" name="Ad Spend" fill="#f8717133" stroke="#f87171" strokeWidth={1} radius={[3,3,0,0]} />
-                            <Bar dataKey="mvRevenue" name="MV Revenue" fill="#818cf833" stroke="#818cf8" strokeWidth={1} radius={[3,3,0,0]} />
+                            {revenueSources.length > 1
+                              ? revenueSources.map((id, i) => <Bar key={id} dataKey={sourceKey(id)} stackId="revenue" name={`${revenueSource(id).label} revenue`} fill={revenueSource(id).color+"33"} stroke={revenueSource(id).color} strokeWidth={1} radius={i === revenueSources.length - 1 ? [3,3,0,0] : 0} />)
+                              : <Bar dataKey="mvRevenue" name="Revenue" fill="#818cf833" stroke="#818cf8" strokeWidth={1} radius={[3,3,0,0]} />}
                             <Area type="monotone" dataKey="profit" name="Net Profit" stroke="#00E676" fill="url(#cProfitGrad)" strokeWidth={2.5} dot={{r:4,fill:"#00E676",stroke:"#11131a",strokeWidth:2}} />
                           </ComposedChart>
                         </ResponsiveContainer>
@@ -1109,20 +4532,21 @@ export default function AdProfitDashboard() {
                         </div>
                         <div style={{display:"flex",gap:6,alignItems:"center",flexWrap:"wrap"}}>
                           <input value={compareSearch} onChange={e=>setCompareSearch(e.target.value)} placeholder="Search URL or campaign..." style={{padding:"6px 12px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:11,fontFamily:"inherit",width:180}} />
-                          {[["profit","Profit"],["roi","ROI"],["adSpend","Spend"],["mvRevenue","MV Rev"],["clicks","Clicks"],["appearances","Freq"]].map(([k,l])=>(
+                          {[["profit","Profit"],...(adModel?[["adProfit","Ad Profit"]]:[]),["roi","ROI"],["adSpend","Spend"],["mvRevenue","Revenue"],["clicks","Clicks"],["appearances","Freq"]].map(([k,l])=>(
                             <button key={k} className={`sort-btn ${compareSortBy===k?"active":""}`} onClick={()=>{if(compareSortBy===k)setCompareSortDir(d=>d==="desc"?"asc":"desc");else{setCompareSortBy(k);setCompareSortDir("desc")}}}>{l}{compareSortBy===k?(compareSortDir==="desc"?" ↓":" ↑"):""}</button>
                           ))}
                           <button onClick={()=>{
-                            const headers=["Slug","Status","Trend","Campaigns","Months Active","MV Revenue","GA Spend USD","GA Spend INR","Clicks","Impressions","Profit","ROI%"];
-                            const rows=compareData.urls.map(u=>["/"+u.slug,u.status,u.trend,u.campaigns.join(" | "),u.monthCount,u.mvRevenue.toFixed(2),u.gaSpendUSD.toFixed(2),u.gaSpendINR.toFixed(2),u.gaClicks,u.gaImpressions,u.profit.toFixed(2),u.roi.toFixed(1)]);
-                            setExportData([headers,...rows].map(r=>r.map(c=>`"${c}"`).join(",")).join("\n"));
+                            const headers=["Slug","Status","Trend","Campaigns","Months Active","Revenue",...splitSources.map(id=>`${revenueSource(id).label} Revenue`),"Ad Spend USD","Ad Spend INR","Clicks","Impressions","Profit",...(adModel?["Ad Revenue","Ad Profit"]:[]),"ROI%"];
+                            const rows=compareData.urls.map(u=>["/"+u.slug,u.status,u.trend,u.campaigns.join(" | "),u.monthCount,u.mvRevenue.toFixed(2),...splitSources.map(id=>(u.bySource[id]||0).toFixed(2)),u.gaSpendUSD.toFixed(2),u.gaSpendINR.toFixed(2),u.gaClicks,u.gaImpressions,u.profit.toFixed(2),...(adModel?[u.adRevenue.toFixed(2),u.adProfit.toFixed(2)]:[]),u.roi.toFixed(1)]);
+                            downloadCSV(exportName([activeWorkspace.name, "date-range", compareFrom, compareTo], "csv"), headers, rows);
                           }} style={{padding:"5px 10px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--muted)",cursor:"pointer",fontSize:11,fontWeight:700}}>↓ CSV</button>
+                          <button onClick={()=>setReportSource("range")} title="Printable HTML/PDF report of this date range" style={{padding:"5px 10px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--muted)",cursor:"pointer",fontSize:11,fontWeight:700}}>📄 Report</button>
                         </div>
                       </div>
                       <div style={{overflowX:"auto"}}>
                         <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
                           <thead><tr style={{borderBottom:"1px solid var(--border)"}}>
-                            {["URL","Campaign","Months","MV Rev","GA Spend","Clicks","Profit","ROI","Trend","Status"].map(h=>(
+                            {["URL","Campaign","Months","Revenue","Ad Spend","Clicks","Profit",...(adModel?["Ad Profit"]:[]),"ROI","Trend","Status"].map(h=>(
                               <th key={h} style={{padding:"10px 12px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.6,whiteSpace:"nowrap"}}>{h}</th>
                             ))}
                           </tr></thead>
@@ -1136,13 +4560,14 @@ export default function AdProfitDashboard() {
                                 <td style={{padding:"9px 12px",color:"var(--red)",fontFamily:"'JetBrains Mono',monospace",fontWeight:600}}>{fmt(u.gaSpendUSD)}</td>
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace"}}>{u.gaClicks.toLocaleString()}</td>
                                 <td style={{padding:"9px 12px",fontWeight:800,color:u.profit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.profit)}</td>
+                                {adModel && <td style={{padding:"9px 12px",fontWeight:800,color:u.adProfit>=0?"var(--green)":"var(--red)",fontFamily:"'JetBrains Mono',monospace"}}>{fmt(u.adProfit)}</td>}
                                 <td style={{padding:"9px 12px",fontFamily:"'JetBrains Mono',monospace",fontSize:11}}>{u.roi>900?"∞":pctStr(u.roi)}</td>
                                 <td style={{padding:"9px 12px"}}>
                                   <span style={{fontSize:11,fontWeight:700,color: u.trend==="improving"?"var(--green)":u.trend==="declining"?"var(--red)":"var(--muted)"}}>
                                     {u.trend==="improving"?"📈 Up":u.trend==="declining"?"📉 Down":"➡️ Flat"}
                                   </span>
                                 </td>
-                                <td style={{padding:"9px 12px"}}><StatusBadge status={u.status} /></td>
+                                <td style={{padding:"9px 12px"}} title={fmtConfidence(u.confidence)}><StatusBadge status={u.status} config={statusConfig} /></td>
                               </tr>
                             ))}
                           </tbody>
@@ -1166,9 +4591,18 @@ export default function AdProfitDashboard() {
             {/* ══════════════════════════════════════════════ */}
             {view === "history" && (
               <div style={{animation:"fadeUp 0.3s ease"}}>
-                <Card style={{padding:20,marginBottom:16}}>
-                  <h3 style={{fontSize:15,fontWeight:800,marginBottom:4}}>📁 Data Snapshots</h3>
-                  <p style={{fontSize:12,color:"var(--muted)",margin:0}}>Each import creates a snapshot. Compare performance across time periods.</p>
+                <Card style={{padding:20,marginBottom:16,display:"flex",justifyContent:"space-between",alignItems:"center",gap:12,flexWrap:"wrap"}}>
+                  <div>
+                    <h3 style={{fontSize:15,fontWeight:800,marginBottom:4}}>📁 Data Snapshots</h3>
+                    <p style={{fontSize:12,color:"var(--muted)",margin:0}}>Each import creates a snapshot. Compare performance across time periods.</p>
+                  </div>
+                  {snapshots.length > 0 && (
+                    <div style={{display:"flex",gap:8,alignItems:"center"}}>
+                      <button onClick={()=>setRepriceIds(repriceIds.length===snapshots.length?[]:snapshots.map(s=>s.id))} style={{...btnS,padding:"7px 12px",fontSize:12}}>{repriceIds.length===snapshots.length?"Clear Selection":"Select All"}</button>
+                      <button onClick={()=>{const [x,y]=snapshots.filter(s=>repriceIds.includes(s.id));setDiffCell(null);setDiffPair(x.date<=y.date?{a:x.id,b:y.id}:{a:y.id,b:x.id})}} disabled={repriceIds.length!==2} title="Select exactly two snapshots" style={{...btnS,padding:"7px 14px",fontSize:12,opacity:repriceIds.length===2?1:0.5}}>🔀 Diff 2 Selected</button>
+                      <button onClick={repriceSelected} disabled={!repriceIds.length} style={{...btnP,padding:"7px 14px",fontSize:12,opacity:repriceIds.length?1:0.5}}>💱 Re-price {repriceIds.length||""} Selected</button>
+                    </div>
+                  )}
                 </Card>
                 {snapshots.length === 0 ? (
                   <Card style={{padding:40,textAlign:"center"}}><p style={{color:"var(--muted)"}}>No snapshots yet. Import data to create your first snapshot.</p></Card>
@@ -1177,9 +4611,12 @@ export default function AdProfitDashboard() {
                     {snapshots.map(s => (
                       <Card key={s.id} style={{padding:18,cursor:"pointer",borderColor:selectedSnapshot===s.id?"var(--accent)":"var(--border)"}} onClick={()=>{setSelectedSnapshot(s.id);setView("dashboard")}}>
                         <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}>
-                          <div>
-                            <div style={{fontSize:14,fontWeight:700,marginBottom:3}}>{s.label}</div>
-                            <div style={{fontSize:11,color:"var(--muted)"}}>{s.date} · {PERIOD_LABELS[s.period]} · {s.totals.adsUrlCount} ad URLs / {s.totals.urlCount} total</div>
+                          <div style={{display:"flex",alignItems:"center",gap:12}}>
+                            <input type="checkbox" checked={repriceIds.includes(s.id)} onClick={e=>e.stopPropagation()} onChange={()=>setRepriceIds(ids=>ids.includes(s.id)?ids.filter(x=>x!==s.id):[...ids,s.id])} style={{cursor:"pointer"}} />
+                            <div>
+                              <div style={{fontSize:14,fontWeight:700,marginBottom:3}}>{s.label}</div>
+                              <div style={{fontSize:11,color:"var(--muted)"}}>{fmtRange(coverageOf(s))}{s.start?"":" (inferred)"} · {PERIOD_LABELS[s.period]}{coveragePlan.excluded.includes(s) && <span style={{color:"var(--amber)"}} title="Overlaps finer or newer snapshots; left out of trend and date-range totals"> · not counted</span>} · {s.totals.adsUrlCount} ad URLs / {s.totals.urlCount} total · {snapshotRate(s) ? `₹${snapshotRate(s).toFixed(2)}/USD${s.fxRate?"":" (inferred)"}` : "no spend"}</div>
+                            </div>
                           </div>
                           <div style={{display:"flex",gap:16,alignItems:"center"}}>
                             <div style={{textAlign:"right"}}>
@@ -1191,6 +4628,7 @@ export default function AdProfitDashboard() {
                                 <strong style={{color:s.totals.totalProfit>=0?"var(--green)":"var(--red)"}}>{fmt(s.totals.totalProfit)}</strong>
                               </div>
                             </div>
+                            <button onClick={e=>{e.stopPropagation();setReportSnapshotId(s.id)}} title="Import report" style={{background:"none",border:"none",cursor:"pointer",fontSize:12,fontWeight:700,color:reportIssueCount(s.report)?"var(--amber)":"var(--muted)",padding:4,whiteSpace:"nowrap"}}>📋 {s.report ? (reportIssueCount(s.report) ? `${reportIssueCount(s.report)} issues` : "Clean") : "Report"}</button>
                             <button onClick={e=>{e.stopPropagation();setDeleteConfirm(s.id)}} style={{background:"none",border:"none",cursor:"pointer",fontSize:16,color:"var(--muted)",padding:4}}>🗑️</button>
                           </div>
                         </div>
@@ -1205,7 +4643,7 @@ export default function AdProfitDashboard() {
       </div>
 
       {/* ══ IMPORT MODAL ════════════════════════════════════ */}
-      <Modal open={importModal} onClose={()=>setImportModal(false)} title="Import Mediavine & Google Ads Data" width={720}>
+      <Modal open={importModal} onClose={()=>setImportModal(false)} title="Import Revenue & Google Ads Data" width={720}>
         <div style={{display:"grid",gridTemplateColumns:"1fr 1fr 1fr",gap:12,marginBottom:20}}>
           <div>
             <label style={{display:"block",fontSize:11,fontWeight:700,color:"var(--muted)",marginBottom:4,textTransform:"uppercase",letterSpacing:0.8}}>Label</label>
@@ -1222,131 +4660,571 @@ export default function AdProfitDashboard() {
             </select>
           </div>
         </div>
+        <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap",marginTop:-8,marginBottom:20,fontSize:12}}>
+          <span style={{fontSize:11,fontWeight:700,color:"var(--muted)",textTransform:"uppercase",letterSpacing:0.8}}>Covers</span>
+          <input type="date" value={importRange.start} onChange={e=>setImportCoverage({...importRange,start:e.target.value})} style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"}} />
+          <span style={{color:"var(--muted)"}}>→</span>
+          <input type="date" value={importRange.end} onChange={e=>setImportCoverage({...importRange,end:e.target.value})} style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"}} />
+          {importCoverage
+            ? <button onClick={()=>setImportCoverage(null)} style={{background:"none",border:"none",color:"var(--accent)",cursor:"pointer",fontSize:11,fontWeight:700}}>Reset to {PERIOD_LABELS[importPeriod].toLowerCase()}</button>
+            : <span style={{fontSize:11,color:"var(--muted)"}}>from date + period</span>}
+          {importRange.start > importRange.end && <span style={{fontSize:11,color:"var(--red)"}}>Start is after end</span>}
+          {importOverlaps.length > 0 && <span style={{fontSize:11,color:"var(--amber)"}} title={importOverlaps.map(s => `${s.label}: ${fmtRange(coverageOf(s))}`).join("\n")}>⚠️ Overlaps {importOverlaps.length} existing snapshot{importOverlaps.length!==1?"s":""} — totals count each day once ({AGGREGATION_MODES[aggregationMode].toLowerCase()})</span>}
+        </div>
+
+        {pendingCosts.length > 0 && (
+          <div style={{padding:12,borderRadius:10,border:"1px solid rgba(251,191,36,0.4)",background:"var(--card2)",marginBottom:16,fontSize:12}}>
+            <div style={{fontWeight:700,color:"var(--amber)",marginBottom:6}}>↩ Paid traffic routed here from other workspaces</div>
+            {pendingCosts.map(p => {
+              const target = storedSnapshots.find(s => samePeriod(p, coverageOf(s)));
+              return (
+                <div key={p.id} style={{display:"flex",alignItems:"center",gap:8,padding:"6px 0",borderTop:"1px solid var(--border)"}}>
+                  <span style={{flex:1,minWidth:0}}><strong>{p.from}</strong> · {p.label} · <span style={{fontFamily:"'JetBrains Mono',monospace"}}>{fmtRange(p)}</span> · {costRowCount(p.files)} rows</span>
+                  {samePeriod(p, importRange)
+                    ? <span style={{color:"var(--green)",fontWeight:700}}>Joins this import</span>
+                    : target
+                      ? <button onClick={()=>mergePendingCosts(p, target)} style={{...btnS,padding:"4px 10px",fontSize:11}}>Merge into {target.label}</button>
+                      : <span style={{color:"var(--muted)"}}>Waits for an import of this period</span>}
+                  <button onClick={()=>discardPendingCosts(p)} title="Discard" style={{background:"none",border:"none",cursor:"pointer",color:"var(--muted)"}}>🗑️</button>
+                </div>
+              );
+            })}
+          </div>
+        )}
 
-        {/* MV File Upload */}
+        {/* Revenue File Upload */}
         <div style={{marginBottom:16}}>
-          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--green)",marginBottom:6}}>💚 Mediavine Pages CSV</label>
-          <div style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Export from Mediavine → Reporting → Pages. Expected headers: <code style={{background:"var(--card2)",padding:"1px 5px",borderRadius:3}}>slug, views, revenue, rpm, ...</code></div>
-          <input ref={mvFileRef} type="file" accept=".csv,.txt" onChange={e=>handleFileUpload(e.target.files[0],setMvText,setMvFileName)} style={{display:"none"}} />
-          <div
-            onClick={()=>mvFileRef.current?.click()}
-            onDragOver={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--green)"}}
-            onDragLeave={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)"}}
-            onDrop={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)";handleFileUpload(e.dataTransfer.files[0],setMvText,setMvFileName)}}
-            style={{width:"100%",padding:mvFileName?"16px 20px":"28px 20px",borderRadius:10,border:`2px dashed ${mvFileName?"var(--green)":"var(--border)"}`,background:mvFileName?"rgba(52,211,153,0.04)":"var(--bg)",cursor:"pointer",textAlign:"center",transition:"all 0.2s"}}
-          >
-            {mvFileName ? (
-              <div style={{display:"flex",alignItems:"center",justifyContent:"center",gap:10}}>
-                <span style={{fontSize:20}}>✅</span>
-                <div style={{textAlign:"left"}}>
-                  <div style={{fontSize:13,fontWeight:700,color:"var(--green)"}}>{mvFileName}</div>
-                  <div style={{fontSize:11,color:"var(--muted)"}}>File loaded · Click to replace</div>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--green)",marginBottom:6}}>💚 Revenue Reports</label>
+          <div style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Page-level revenue in USD from one or more sources; each page's revenue is summed across them. {revenueSource(revenueSourcePick).label}: {revenueSource(revenueSourcePick).hint}.</div>
+          {revenueInputs.map(f => (
+            <div key={f.id} style={{padding:"10px 12px",borderRadius:10,border:`1px solid ${revenueSource(f.source).color}66`,background:"var(--bg)",marginBottom:8}}>
+              <div style={{display:"flex",alignItems:"center",gap:10}}>
+                <span style={{fontSize:18}}>✅</span>
+                <div style={{flex:1,minWidth:0}}>
+                  <div style={{fontSize:13,fontWeight:700,color:"var(--green)",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{f.name}</div>
+                  <div style={{fontSize:11,color:"var(--muted)"}}>{f.rows.length.toLocaleString()} rows · {fmt(f.rows.reduce((s,r) => s + num(r.revenue), 0))}</div>
                 </div>
+                <select value={f.source} onChange={e=>updateRevenueFile(f.id,{source:e.target.value,mapping:null})} title="Revenue source" style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card2)",color:revenueSource(f.source).color,fontSize:12,fontWeight:700,fontFamily:"inherit",cursor:"pointer"}}>
+                  {Object.entries(REVENUE_SOURCES).map(([id, src]) => <option key={id} value={id}>{src.label}</option>)}
+                </select>
+                <button onClick={()=>setRevenueFiles(fs=>fs.filter(x=>x.id!==f.id))} title="Remove file" style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:14}}>✕</button>
               </div>
-            ) : (
-              <div>
-                <div style={{fontSize:28,marginBottom:6}}>📄</div>
-                <div style={{fontSize:13,fontWeight:600,color:"var(--text)",marginBottom:3}}>Click to upload or drag & drop</div>
-                <div style={{fontSize:11,color:"var(--muted)"}}>Mediavine CSV file (.csv)</div>
-              </div>
-            )}
+              <ColumnMapper fields={revenueSource(f.source).fields} mapping={f.mapping} color={revenueSource(f.source).color} onChange={m=>updateRevenueFile(f.id,{mapping:m})} onSaveProfile={name=>saveImportProfile(profileSource(f.source),f.mapping,name)} />
+            </div>
+          ))}
+          <input ref={revenueFileRef} type="file" accept=".csv,.txt" multiple onChange={e=>{[...e.target.files].forEach(addRevenueFile); e.target.value="";}} style={{display:"none"}} />
+          <div style={{display:"flex",gap:8,alignItems:"stretch"}}>
+            <select value={revenueSourcePick} onChange={e=>setRevenueSourcePick(e.target.value)} title="Source of the next file" style={{padding:"0 12px",borderRadius:10,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"inherit",cursor:"pointer"}}>
+              {Object.entries(REVENUE_SOURCES).map(([id, src]) => <option key={id} value={id}>{src.label}</option>)}
+            </select>
+            <div
+              onClick={()=>revenueFileRef.current?.click()}
+              onDragOver={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--green)"}}
+              onDragLeave={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)"}}
+              onDrop={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)";[...e.dataTransfer.files].forEach(addRevenueFile)}}
+              style={{flex:1,padding:revenueFiles.length?"12px 20px":"28px 20px",borderRadius:10,border:"2px dashed var(--border)",background:"var(--bg)",cursor:"pointer",textAlign:"center",transition:"all 0.2s"}}
+            >
+              {revenueFiles.length ? (
+                <div style={{fontSize:12,fontWeight:600,color:"var(--text)"}}>+ Add another {revenueSource(revenueSourcePick).label} report</div>
+              ) : (
+                <div>
+                  <div style={{fontSize:28,marginBottom:6}}>📄</div>
+                  <div style={{fontSize:13,fontWeight:600,color:"var(--text)",marginBottom:3}}>Click to upload or drag & drop</div>
+                  <div style={{fontSize:11,color:"var(--muted)"}}>{revenueSource(revenueSourcePick).label} CSV file (.csv)</div>
+                </div>
+              )}
+            </div>
           </div>
         </div>
 
-        {/* GA File Upload */}
+        {/* Paid Traffic Upload */}
         <div style={{marginBottom:16}}>
-          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--red)",marginBottom:6}}>📢 Google Ads Landing Page Report CSV</label>
-          <div style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Export from Google Ads → Reports → Landing Page Report. Expected headers: <code style={{background:"var(--card2)",padding:"1px 5px",borderRadius:3}}>Landing page, Campaign, Clicks, Cost, ...</code></div>
-          <input ref={gaFileRef} type="file" accept=".csv,.txt" onChange={e=>handleFileUpload(e.target.files[0],setGaText,setGaFileName)} style={{display:"none"}} />
-          <div
-            onClick={()=>gaFileRef.current?.click()}
-            onDragOver={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--red)"}}
-            onDragLeave={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)"}}
-            onDrop={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)";handleFileUpload(e.dataTransfer.files[0],setGaText,setGaFileName)}}
-            style={{width:"100%",padding:gaFileName?"16px 20px":"28px 20px",borderRadius:10,border:`2px dashed ${gaFileName?"var(--red)":"var(--border)"}`,background:gaFileName?"rgba(248,113,113,0.04)":"var(--bg)",cursor:"pointer",textAlign:"center",transition:"all 0.2s"}}
-          >
-            {gaFileName ? (
-              <div style={{display:"flex",alignItems:"center",justifyContent:"center",gap:10}}>
-                <span style={{fontSize:20}}>✅</span>
-                <div style={{textAlign:"left"}}>
-                  <div style={{fontSize:13,fontWeight:700,color:"var(--red)"}}>{gaFileName}</div>
-                  <div style={{fontSize:11,color:"var(--muted)"}}>File loaded · Click to replace</div>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--red)",marginBottom:6}}>📢 Paid Traffic Reports</label>
+          <div style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Landing-page cost reports from one or more ad platforms, each in its account currency. {costChannel(costChannelPick).label}: {costChannel(costChannelPick).hint}.</div>
+          {costInputs.map(f => (
+            <div key={f.id} style={{padding:"10px 12px",borderRadius:10,border:`1px solid ${costChannel(f.channel).color}66`,background:"var(--bg)",marginBottom:8}}>
+              <div style={{display:"flex",alignItems:"center",gap:10}}>
+                <span style={{fontSize:18}}>✅</span>
+                <div style={{flex:1,minWidth:0}}>
+                  <div style={{fontSize:13,fontWeight:700,color:"var(--red)",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{f.name}</div>
+                  <div style={{fontSize:11,color:"var(--muted)"}}>{f.rows.length.toLocaleString()} rows · {fmtCost(f.rows.reduce((s,r) => s + num(r.Cost), 0), f.currency)}</div>
                 </div>
+                <select value={f.channel} onChange={e=>updateCostFile(f.id,{channel:e.target.value,currency:channelCurrency(e.target.value),mapping:null})} title="Ad platform" style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card2)",color:costChannel(f.channel).color,fontSize:12,fontWeight:700,fontFamily:"inherit",cursor:"pointer"}}>
+                  {Object.entries(COST_CHANNELS).map(([id, ch]) => <option key={id} value={id}>{ch.label}</option>)}
+                </select>
+                <select value={f.currency} onChange={e=>setChannelCurrency(f,e.target.value)} title="Account currency — remembered for this platform" style={{padding:"6px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--text)",fontSize:12,fontFamily:"inherit",cursor:"pointer"}}>
+                  {Object.entries(CURRENCIES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <button onClick={()=>setCostFiles(fs=>fs.filter(x=>x.id!==f.id))} title="Remove file" style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:14}}>✕</button>
               </div>
-            ) : (
-              <div>
-                <div style={{fontSize:28,marginBottom:6}}>📊</div>
-                <div style={{fontSize:13,fontWeight:600,color:"var(--text)",marginBottom:3}}>Click to upload or drag & drop</div>
-                <div style={{fontSize:11,color:"var(--muted)"}}>Google Ads CSV file (.csv)</div>
-              </div>
-            )}
+              <ColumnMapper fields={costChannel(f.channel).fields} mapping={f.mapping} color={costChannel(f.channel).color} onChange={m=>updateCostFile(f.id,{mapping:m})} onSaveProfile={name=>saveImportProfile(channelProfile(f.channel),f.mapping,name)} />
+            </div>
+          ))}
+          <input ref={costFileRef} type="file" accept=".csv,.txt" multiple onChange={e=>{[...e.target.files].forEach(addCostFile); e.target.value="";}} style={{display:"none"}} />
+          <div style={{display:"flex",gap:8,alignItems:"stretch"}}>
+            <select value={costChannelPick} onChange={e=>setCostChannelPick(e.target.value)} title="Platform of the next file" style={{padding:"0 12px",borderRadius:10,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"inherit",cursor:"pointer"}}>
+              {Object.entries(COST_CHANNELS).map(([id, ch]) => <option key={id} value={id}>{ch.label}</option>)}
+            </select>
+            <div
+              onClick={()=>costFileRef.current?.click()}
+              onDragOver={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--red)"}}
+              onDragLeave={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)"}}
+              onDrop={e=>{e.preventDefault();e.currentTarget.style.borderColor="var(--border)";[...e.dataTransfer.files].forEach(addCostFile)}}
+              style={{flex:1,padding:costFiles.length?"12px 20px":"28px 20px",borderRadius:10,border:"2px dashed var(--border)",background:"var(--bg)",cursor:"pointer",textAlign:"center",transition:"all 0.2s"}}
+            >
+              {costFiles.length ? (
+                <div style={{fontSize:12,fontWeight:600,color:"var(--text)"}}>+ Add another {costChannel(costChannelPick).label} report</div>
+              ) : (
+                <div>
+                  <div style={{fontSize:28,marginBottom:6}}>📊</div>
+                  <div style={{fontSize:13,fontWeight:600,color:"var(--text)",marginBottom:3}}>Click to upload or drag & drop</div>
+                  <div style={{fontSize:11,color:"var(--muted)"}}>{costChannel(costChannelPick).label} CSV file (.csv)</div>
+                </div>
+              )}
+            </div>
           </div>
         </div>
 
         {/* Parse Preview */}
-        {(mvText || gaText) && (() => {
-          const mvRows = mvText ? parseMediavineCSV(mvText) : [];
-          const gaRows = gaText ? parseGoogleAdsCSV(gaText) : [];
+        {(revenueFiles.length > 0 || costFiles.length > 0) && (() => {
+          const mvRows = revenueInputs.flatMap(f => f.rows);
+          const gaRows = costInputs.flatMap(f => f.rows);
           const mvWithRev = mvRows.filter(r => num(r.revenue) > 0);
           const totalMV = mvRows.reduce((s,r) => s + num(r.revenue), 0);
-          const totalGACost = gaRows.reduce((s,r) => s + num(r.Cost), 0);
+          const byChannel = channelsIn(costInputs.map(f => ({ [f.channel]: true }))).flatMap(id => Object.keys(CURRENCIES).map(currency => {
+            const fs = costInputs.filter(f => f.channel === id && f.currency === currency);
+            return { id, currency, files: fs.length, cost: fs.reduce((s,f) => s + f.rows.reduce((t,r) => t + num(r.Cost), 0), 0) };
+          })).filter(c => c.files);
+          const totalUSD = byChannel.reduce((s,c) => s + toUSD(c.cost, c.currency, importRate.rate), 0);
           const totalGAClicks = gaRows.reduce((s,r) => s + num(r.Clicks), 0);
+          const mvDims = dimensionsOf(mvRows);
+          const gaDims = dimensionsOf(gaRows.map(r => ({ device: r.Device, country: r.Country })));
+          const mvPages = new Set(mvRows.map(r => r.slug)).size;
+          const bySource = sourcesIn(revenueInputs.map(f => ({ [f.source]: true }))).map(id => ({ id, revenue: revenueInputs.filter(f => f.source === id).reduce((s,f) => s + f.rows.reduce((t,r) => t + num(r.revenue), 0), 0) }));
+          const mvDays = mvDims.includes("date") ? mvRows.map(r => isoDate(r.date)).filter(Boolean).sort() : [];
+          const mvSpan = mvDays.length ? { start: mvDays[0], end: mvDays[mvDays.length - 1] } : null;
+          const routedPreview = Object.entries(routeCostsByHost(costInputs, workspaceState.workspaces, activeWorkspace).routed)
+            .map(([id, files]) => ({ name: workspaceState.workspaces.find(w=>w.id===id)?.name || id, rows: files.reduce((n,f) => n + f.rows.length, 0) }));
           return (
             <div style={{padding:14,background:"rgba(99,102,241,0.06)",borderRadius:10,border:"1px solid rgba(99,102,241,0.15)",marginBottom:16}}>
               <div style={{fontSize:12,fontWeight:700,color:"var(--accent)",marginBottom:8}}>📋 Parse Preview</div>
               <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:12,fontSize:12}}>
-                {mvText && (
+                {revenueFiles.length > 0 && (
                   <div>
-                    <div style={{fontWeight:700,color:"var(--green)",marginBottom:4}}>Mediavine</div>
-                    <div style={{color:"var(--text)"}}>Pages parsed: <strong>{mvRows.length.toLocaleString()}</strong></div>
+                    <div style={{fontWeight:700,color:"var(--green)",marginBottom:4}}>Revenue</div>
+                    {revenueInputs.map(f => <div key={f.id} style={{color:"var(--muted)",fontSize:11,marginBottom:2}}>{revenueSource(f.source).label} · {(fileEncodings[f.name]||"utf-8").toUpperCase()} · {DELIMITER_LABELS[detectDelimiter(f.text)]}-separated</div>)}
+                    {mvDims.length ? <>
+                      <div style={{color:"var(--text)"}}>Rows parsed: <strong>{mvRows.length.toLocaleString()}</strong> across <strong>{mvPages.toLocaleString()}</strong> pages</div>
+                      <div style={{color:"var(--text)"}}>Broken down by: <strong>{mvDims.map(d => DIMENSIONS[d]).join(", ")}</strong></div>
+                      {mvSpan && <div style={{color:"var(--text)"}}>Days: <strong>{fmtRange(mvSpan)}</strong> ({mvDays.filter((d,i)=>d!==mvDays[i-1]).length})
+                        {(mvSpan.start !== importRange.start || mvSpan.end !== importRange.end) && <button onClick={()=>setImportCoverage(mvSpan)} style={{background:"none",border:"none",color:"var(--accent)",cursor:"pointer",fontSize:11,fontWeight:700,marginLeft:4}}>Use as coverage</button>}
+                      </div>}
+                    </> : <div style={{color:"var(--text)"}}>Pages parsed: <strong>{mvRows.length.toLocaleString()}</strong></div>}
                     <div style={{color:"var(--text)"}}>Pages with revenue: <strong>{mvWithRev.length}</strong></div>
                     <div style={{color:"var(--text)"}}>Total revenue: <strong style={{color:"var(--green)"}}>${totalMV.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}</strong></div>
+                    {bySource.length > 1 && bySource.map(b => <div key={b.id} style={{color:"var(--text)",paddingLeft:10}}><span style={{color:revenueSource(b.id).color}}>●</span> {revenueSource(b.id).label}: <strong>{fmt(b.revenue)}</strong></div>)}
                   </div>
                 )}
-                {gaText && (
+                {costFiles.length > 0 && (
                   <div>
-                    <div style={{fontWeight:700,color:"var(--red)",marginBottom:4}}>Google Ads</div>
+                    <div style={{fontWeight:700,color:"var(--red)",marginBottom:4}}>Paid Traffic</div>
+                    {costInputs.map(f => <div key={f.id} style={{color:"var(--muted)",fontSize:11,marginBottom:2}}>{costChannel(f.channel).label} · {(fileEncodings[f.name]||"utf-8").toUpperCase()} · {DELIMITER_LABELS[detectDelimiter(f.text)]}-separated</div>)}
                     <div style={{color:"var(--text)"}}>Ad rows parsed: <strong>{gaRows.length}</strong></div>
+                    {gaDims.length > 0 && <div style={{color:"var(--text)"}}>Segmented by: <strong>{gaDims.map(d => DIMENSIONS[d]).join(", ")}</strong></div>}
+                    {routedPreview.map(r => <div key={r.name} style={{color:"var(--amber)"}}>→ {r.rows} rows for <strong>{r.name}</strong> go to that workspace</div>)}
                     <div style={{color:"var(--text)"}}>Total clicks: <strong>{totalGAClicks.toLocaleString()}</strong></div>
-                    <div style={{color:"var(--text)"}}>Total cost: <strong style={{color:"var(--red)"}}>₹{totalGACost.toLocaleString("en-IN",{minimumFractionDigits:2})} (${(totalGACost/rate).toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})})</strong></div>
+                    <div style={{color:"var(--text)"}}>Total cost: <strong style={{color:"var(--red)"}}>{fmt(totalUSD)}</strong>{byChannel.some(c => c.currency === "INR") && <> at ₹{importRate.rate.toFixed(2)}/USD</>}</div>
+                    {byChannel.map(c => <div key={c.id+c.currency} style={{color:"var(--text)",paddingLeft:10}}><span style={{color:costChannel(c.id).color}}>●</span> {costChannel(c.id).label}: <strong>{fmtCost(c.cost, c.currency)}</strong>{c.currency !== "USD" && <span style={{color:"var(--muted)"}}> ({fmt(toUSD(c.cost, c.currency, importRate.rate))})</span>}</div>)}
                   </div>
                 )}
               </div>
-              {mvRows.length === 0 && mvText && <div style={{color:"var(--red)",marginTop:6,fontSize:11}}>⚠️ Could not parse Mediavine CSV — check file format</div>}
-              {gaRows.length === 0 && gaText && <div style={{color:"var(--red)",marginTop:6,fontSize:11}}>⚠️ Could not parse Google Ads CSV — check file format</div>}
+              {revenueInputs.filter(f => f.rows.length === 0).map(f => <div key={f.id} style={{color:"var(--red)",marginTop:6,fontSize:11}}>⚠️ Could not parse {f.name} as a {revenueSource(f.source).label} report — check file format and column mapping</div>)}
+              {costInputs.filter(f => f.rows.length === 0).map(f => <div key={f.id} style={{color:"var(--red)",marginTop:6,fontSize:11}}>⚠️ Could not parse {f.name} as a {costChannel(f.channel).label} report — check file format and column mapping</div>)}
             </div>
           );
         })()}
 
         <div style={{padding:12,background:"var(--card2)",borderRadius:8,marginBottom:16,fontSize:12,color:"var(--muted)",lineHeight:1.7}}>
-          <strong>💡 How it works:</strong> URLs are matched by slug (the path after ponly.com). Google Ads costs in INR are auto-converted to USD at ₹{rate}/USD. Multiple campaigns for the same URL are aggregated. You can upload just one file or both.
+          <strong>💡 How it works:</strong> URLs are matched by slug (the normalized path after {(activeWorkspace.domains||[]).join(" / ") || "the domain"}). Ad landing pages on another workspace's domain are held for that workspace's import of the same period. Costs in INR are auto-converted to USD at ₹{importRate.rate.toFixed(2)}/USD ({importRate.source==="table"?`rate table, ${importDate.slice(0,7)}`:"default rate"}) and the rate is stored with the snapshot; each platform's spend is kept in its own currency. Multiple campaigns and platforms for the same URL are aggregated. You can upload revenue reports, paid traffic reports or both.
         </div>
 
         <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
           <button onClick={()=>setImportModal(false)} style={btnS}>Cancel</button>
-          <button onClick={processImport} disabled={!mvText.trim()&&!gaText.trim()} style={{...btnP,opacity:(mvText.trim()||gaText.trim())?1:0.5}}>
+          <button onClick={processImport} disabled={(!revenueFiles.length&&!costFiles.length)||importRange.start>importRange.end} style={{...btnP,opacity:(revenueFiles.length||costFiles.length)&&importRange.start<=importRange.end?1:0.5}}>
             Import & Analyze
           </button>
         </div>
       </Modal>
 
       {/* ══ SETTINGS MODAL ══════════════════════════════════ */}
-      <Modal open={settingsModal} onClose={()=>setSettingsModal(false)} title="Settings" width={420}>
+      <Modal open={settingsModal} onClose={()=>setSettingsModal(false)} title={`Settings — ${activeWorkspace.name}`} width={640}>
+        <div style={{marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Workspace</label>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 2fr",gap:10}}>
+            <input key={"wn"+activeWorkspace.id} defaultValue={activeWorkspace.name} onBlur={e=>e.target.value.trim()&&updateWorkspace({name:e.target.value.trim()})} placeholder="Name" style={{padding:"9px 12px",borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"inherit"}} />
+            <input key={"wd"+activeWorkspace.id} defaultValue={(activeWorkspace.domains||[]).join(", ")} onBlur={e=>updateWorkspace({domains:splitList(e.target.value).map(bareHost)})} placeholder="Domains, e.g. example.com, blog.example.com" style={{padding:"9px 12px",borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"'JetBrains Mono',monospace"}} />
+          </div>
+          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>Snapshots, exchange rates, rules and aliases below belong to this workspace. Paid traffic landing pages on these domains are routed here when imported from any workspace and join this workspace's import of the same period.</p>
+        </div>
         <div style={{marginBottom:20}}>
           <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>INR to USD Exchange Rate</label>
           <input type="number" value={settings?.inrToUsd||87} onChange={e=>saveSettings({...settings,inrToUsd:parseFloat(e.target.value)||87})} step="0.1" style={{width:"100%",padding:"10px 14px",borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:14,fontFamily:"'JetBrains Mono',monospace"}} />
-          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>Current: ₹{settings?.inrToUsd||87} = $1 USD. This affects all profit/ROI calculations.</p>
+          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>Current: ₹{settings?.inrToUsd||87} = $1 USD. Used for new imports whose month has no entry in the rate table below. Existing snapshots keep their rate until re-priced from the Snapshots tab.</p>
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Monthly Rate Table</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Paste <code style={{background:"var(--card2)",padding:"1px 5px",borderRadius:3}}>YYYY-MM, rate</code> lines (daily <code style={{background:"var(--card2)",padding:"1px 5px",borderRadius:3}}>YYYY-MM-DD</code> rows are averaged per month) or load a CSV.</p>
+          <textarea value={rateTableText} onChange={e=>setRateTableText(e.target.value)} placeholder={"2026-01, 86.42\n2026-02, 86.95"} style={{width:"100%",minHeight:70,padding:10,borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"'JetBrains Mono',monospace",resize:"vertical"}} />
+          <input ref={rateFileRef} type="file" accept=".csv,.txt" onChange={e=>handleFileUpload(e.target.files[0],setRateTableText,()=>{})} style={{display:"none"}} />
+          <div style={{display:"flex",gap:8,marginTop:8}}>
+            <button onClick={()=>rateFileRef.current?.click()} style={{...btnS,padding:"7px 12px",fontSize:12}}>📄 Load CSV</button>
+            <button onClick={()=>{const rows=parseRateTable(rateTableText);if(!rows.length)return alert("No valid YYYY-MM, rate rows found.");saveSettings({...settings,rateTable:mergeRateTable(settings?.rateTable,rows)});setRateTableText("")}} disabled={!rateTableText.trim()} style={{...btnP,padding:"7px 14px",fontSize:12,opacity:rateTableText.trim()?1:0.5}}>Add Rates</button>
+          </div>
+          {(settings?.rateTable||[]).length > 0 && (
+            <div style={{display:"flex",gap:6,flexWrap:"wrap",marginTop:10,maxHeight:120,overflowY:"auto"}}>
+              {settings.rateTable.map(r => (
+                <span key={r.month} style={{display:"inline-flex",alignItems:"center",gap:4,fontSize:10,padding:"3px 8px",borderRadius:10,background:"var(--card2)",border:"1px solid var(--border)",fontFamily:"'JetBrains Mono',monospace"}}>
+                  {r.month}: ₹{r.rate.toFixed(2)}
+                  <button onClick={()=>saveSettings({...settings,rateTable:settings.rateTable.filter(x=>x.month!==r.month)})} style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:10}}>✕</button>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Revenue Attribution</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>How much of a page's revenue is credited to its paid clicks. Statuses, campaign and channel profit and the Action Center use the attributed revenue; page profit is always shown alongside.</p>
+          <div style={{display:"grid",gridTemplateColumns:"2fr 1fr",gap:10}}>
+            <select value={attribution.model} onChange={e=>saveSettings({...settings,attribution:{...attribution,model:e.target.value}})} style={{padding:"9px 12px",borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"inherit",cursor:"pointer"}}>
+              {Object.entries(ATTRIBUTION_MODELS).map(([k,l])=><option key={k} value={k}>{l}</option>)}
+            </select>
+            <input type="number" min="0.1" step="0.1" value={attribution.pagesPerSession} disabled={!adModel} onChange={e=>saveSettings({...settings,attribution:{...attribution,pagesPerSession:parseFloat(e.target.value)||DEFAULT_ATTRIBUTION.pagesPerSession}})} title="Pages per paid session" style={{padding:"9px 12px",borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:13,fontFamily:"'JetBrains Mono',monospace",opacity:adModel?1:0.5}} />
+          </div>
+          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>
+            {attribution.model === "page" && "All page revenue, organic included, counts against ad spend."}
+            {attribution.model === "rpv" && `Paid clicks × ${attribution.pagesPerSession} pages per session × the page's revenue per view, capped at the page's revenue.`}
+            {attribution.model === "baseline" && `Revenue above the page's organic revenue per day in earlier snapshots without ads; pages never seen without ads use paid clicks × ${attribution.pagesPerSession} pages per session × revenue per view.`}
+          </p>
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>URL Normalization</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>Applied to revenue report slugs and Google Ads landing pages before they are matched. Scheme, host and #fragments are always dropped.</p>
+          <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:10,marginBottom:8}}>
+            <div>
+              <div style={{fontSize:10,fontWeight:700,color:"var(--muted)",marginBottom:3}}>Keep query params (allowlist)</div>
+              <input key={"kp"+normalization.keepParams.join()} defaultValue={normalization.keepParams.join(", ")} onBlur={e=>saveSettings({...settings,normalization:{...normalization,keepParams:splitList(e.target.value)}})} placeholder="none — utm_* etc. are dropped" style={{width:"100%",padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"'JetBrains Mono',monospace"}} />
+            </div>
+            <div>
+              <div style={{fontSize:10,fontWeight:700,color:"var(--muted)",marginBottom:3}}>Strip path suffixes</div>
+              <input key={"ss"+normalization.stripSuffixes.join()} defaultValue={normalization.stripSuffixes.join(", ")} onBlur={e=>saveSettings({...settings,normalization:{...normalization,stripSuffixes:splitList(e.target.value)}})} placeholder="amp, print" style={{width:"100%",padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"'JetBrains Mono',monospace"}} />
+            </div>
+          </div>
+          <label style={{display:"flex",alignItems:"center",gap:6,fontSize:12,marginBottom:10,cursor:"pointer"}}>
+            <input type="checkbox" checked={normalization.lowercase} onChange={e=>saveSettings({...settings,normalization:{...normalization,lowercase:e.target.checked}})} /> Lowercase slugs
+          </label>
+          <div style={{fontSize:10,fontWeight:700,color:"var(--muted)",marginBottom:3}}>Aliases / redirects — one <code style={{background:"var(--card2)",padding:"1px 5px",borderRadius:3}}>old-slug, canonical-slug</code> per line</div>
+          <textarea value={aliasText} onChange={e=>setAliasText(e.target.value)} placeholder={"2019/05/old-permalink, new-permalink"} style={{width:"100%",minHeight:56,padding:10,borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"'JetBrains Mono',monospace",resize:"vertical"}} />
+          <div style={{display:"flex",gap:8,marginTop:6,alignItems:"center"}}>
+            <button onClick={()=>{const rows=parseAliasTable(aliasText);if(!rows.length)return alert("No valid old, new rows found.");addAliases(rows);setAliasText("")}} disabled={!aliasText.trim()} style={{...btnP,padding:"7px 14px",fontSize:12,opacity:aliasText.trim()?1:0.5}}>Add Aliases</button>
+            <input value={normTest} onChange={e=>setNormTest(e.target.value)} placeholder="Test a URL…" style={{flex:1,padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"'JetBrains Mono',monospace"}} />
+          </div>
+          {normTest && <div style={{fontSize:11,color:"var(--accent2)",marginTop:4,fontFamily:"'JetBrains Mono',monospace"}}>→ /{slugNormalizer(settings)(normTest)}</div>}
+          {(settings?.aliases||[]).length > 0 && (
+            <div style={{maxHeight:120,overflowY:"auto",marginTop:8}}>
+              {settings.aliases.map(a => (
+                <div key={a.from} style={{display:"flex",justifyContent:"space-between",fontSize:11,padding:"3px 0",borderBottom:"1px solid var(--border)",fontFamily:"'JetBrains Mono',monospace"}}>
+                  <span>/{a.from} <span style={{color:"var(--muted)"}}>→</span> /{a.to}</span>
+                  <button onClick={()=>saveSettings({...settings,aliases:settings.aliases.filter(x=>x.from!==a.from)})} style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer",fontSize:10}}>✕</button>
+                </div>
+              ))}
+            </div>
+          )}
+          <button onClick={renormalizeAll} disabled={!storedSnapshots.length} style={{...btnS,width:"100%",marginTop:10,fontSize:12,opacity:storedSnapshots.length?1:0.5}}>🔁 Apply Normalization & Aliases to {storedSnapshots.length} Stored Snapshot{storedSnapshots.length!==1?"s":""}</button>
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Snapshot Storage</label>
+          <label style={{display:"flex",alignItems:"center",gap:6,fontSize:12,marginBottom:6,cursor:canCompress?"pointer":"not-allowed",opacity:canCompress?1:0.5}}>
+            <input type="checkbox" disabled={!canCompress} checked={canCompress && settings?.compressSnapshots !== false} onChange={e=>saveSettings({...settings,compressSnapshots:e.target.checked})} /> Compress snapshot data (gzip)
+          </label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>
+            {canCompress ? "Applies to snapshots written from now on." : "This browser has no CompressionStream, so snapshots are stored uncompressed."}
+            {migratedSnapshots > 0 && <span style={{color:"var(--green)"}}> Migrated {migratedSnapshots} snapshot{migratedSnapshots!==1?"s":""} from the single-key v3 format.</span>}
+          </p>
+          {(() => {
+            const used = storedSnapshots.reduce((t,s) => t + (s.storage?.bytes || 0), 0);
+            return (
+              <div style={{maxHeight:180,overflowY:"auto",border:"1px solid var(--border)",borderRadius:8}}>
+                <table style={{width:"100%",borderCollapse:"collapse",fontSize:11}}>
+                  <tbody>
+                    {storedSnapshots.map(s => (
+                      <tr key={s.id} style={{borderBottom:"1px solid var(--border)"}}>
+                        <td style={{padding:"5px 10px"}}>{s.label}</td>
+                        <td style={{padding:"5px 10px",textAlign:"right",fontFamily:"'JetBrains Mono',monospace"}}>{s.storage ? fmtBytes(s.storage.bytes) : <span style={{color:"var(--muted)"}}>pending</span>}</td>
+                        <td style={{padding:"5px 10px",color:"var(--muted)"}}>{s.storage && (s.storage.compressed ? `gzip from ${fmtBytes(s.storage.rawBytes)}` : "uncompressed")}{s.storage?.chunks > 1 && ` · ${s.storage.chunks} parts`}</td>
+                      </tr>
+                    ))}
+                    <tr style={{fontWeight:700}}>
+                      <td style={{padding:"5px 10px"}}>Index ({storedSnapshots.length} snapshot{storedSnapshots.length!==1?"s":""})</td>
+                      <td style={{padding:"5px 10px",textAlign:"right",fontFamily:"'JetBrains Mono',monospace"}}>{fmtBytes(indexBytes)}</td>
+                      <td style={{padding:"5px 10px",color:"var(--muted)"}}>total {fmtBytes(used + indexBytes)}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            );
+          })()}
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Storage Backend</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>Applies to all workspaces. Currently <strong style={{color:"var(--text)"}}>{STORAGE_BACKENDS[backend.type].label}</strong>{backend.type==="rest" && ` at ${backend.url}`}.</p>
+          {(() => {
+            const d = backendDraft || backend;
+            const field = {padding:"8px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"};
+            const changed = JSON.stringify(d) !== JSON.stringify(backend);
+            const ready = d.type !== "rest" || /^https?:\/\//.test(d.url || "");
+            return (
+              <>
+                <select value={d.type} onChange={e=>setBackendDraft({...d,type:e.target.value})} style={{...field,width:"100%",cursor:"pointer",marginBottom:8}}>
+                  {Object.entries(STORAGE_BACKENDS).map(([k,b]) => <option key={k} value={k}>{b.label} — {b.hint}</option>)}
+                </select>
+                {d.type === "rest" && (
+                  <div style={{display:"grid",gridTemplateColumns:"2fr 1fr",gap:8,marginBottom:8}}>
+                    <input value={d.url||""} onChange={e=>setBackendDraft({...d,url:e.target.value.trim()})} placeholder="https://sync.example.com" style={field} />
+                    <input value={d.token||""} onChange={e=>setBackendDraft({...d,token:e.target.value.trim()})} placeholder="Bearer token (optional)" style={field} />
+                  </div>
+                )}
+                {d.type === "rest" && <p style={{fontSize:10,color:"var(--muted)",marginBottom:8,lineHeight:1.6}}>The server stores each key at <code>GET/PUT/DELETE {"{url}"}/kv/{"{key}"}</code>, returns an ETag, honours <code>If-Match</code> / <code>If-None-Match: *</code> on PUT and answers 412 when they don't match.</p>}
+                {changed && (
+                  <div style={{display:"flex",gap:8}}>
+                    <button onClick={()=>switchBackend(d,true)} disabled={!ready} style={{...btnP,fontSize:12,padding:"7px 14px",opacity:ready?1:0.5}}>Copy data & switch</button>
+                    <button onClick={()=>switchBackend(d,false)} disabled={!ready} style={{...btnS,fontSize:12,padding:"7px 14px",opacity:ready?1:0.5}}>Switch without copying</button>
+                    <button onClick={()=>setBackendDraft(null)} style={{...btnS,fontSize:12,padding:"7px 14px"}}>Cancel</button>
+                  </div>
+                )}
+              </>
+            );
+          })()}
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Import Profiles</label>
+          {importProfiles.length === 0 ? (
+            <p style={{fontSize:11,color:"var(--muted)"}}>No saved column mappings. Save one from the Import dialog; it is applied automatically to files with the same headers.</p>
+          ) : importProfiles.map(p => (
+            <div key={p.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"6px 0",borderBottom:"1px solid var(--border)",fontSize:12}}>
+              <span><strong>{p.name}</strong> <span style={{color:"var(--muted)",fontSize:11}}>· {channelOfProfile(p.source)?costChannel(channelOfProfile(p.source)).label:revenueSource(sourceOfProfile(p.source)).label} · {Object.values(p.mapping).filter(Boolean).length} fields</span></span>
+              <button onClick={()=>saveImportProfiles(importProfiles.filter(x=>x.id!==p.id))} style={{background:"none",border:"none",cursor:"pointer",color:"var(--muted)"}}>🗑️</button>
+            </div>
+          ))}
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Classification Rules</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>Rules are checked top to bottom; the first match sets the URL status. Saving creates a new version and re-classifies every snapshot.</p>
+          <RuleSetEditor settings={settings} onSave={rules=>saveSettings({...settings,rules})} btnP={btnP} btnS={btnS} />
+        </div>
+        <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:20}}>
+          <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--muted)",marginBottom:6,textTransform:"uppercase",letterSpacing:0.8}}>Backup & Restore</label>
+          <p style={{fontSize:11,color:"var(--muted)",marginBottom:10}}>One JSON file with every snapshot of "{activeWorkspace.name}", its settings (rules, rates, aliases, scenarios) and the import profiles.</p>
+          <div style={{display:"flex",gap:8}}>
+            <button onClick={downloadBackup} disabled={!storedSnapshots.length} style={{...btnP,fontSize:12,padding:"8px 14px",opacity:storedSnapshots.length?1:0.5}}>⬇ Download Backup</button>
+            <button onClick={()=>backupFileRef.current?.click()} style={{...btnS,fontSize:12,padding:"8px 14px"}}>⬆ Restore from File…</button>
+            <input ref={backupFileRef} type="file" accept=".json,application/json" onChange={e=>{openBackupFile(e.target.files[0]);e.target.value=""}} style={{display:"none"}} />
+          </div>
         </div>
         <div style={{borderTop:"1px solid var(--border)",paddingTop:16,marginBottom:16}}>
           <label style={{display:"block",fontSize:12,fontWeight:700,color:"var(--red)",marginBottom:8,textTransform:"uppercase",letterSpacing:0.8}}>Danger Zone</label>
           <button onClick={()=>{if(window.confirm("Delete ALL snapshots? This cannot be undone.")){saveSnapshots([]);setSelectedSnapshot("latest");setSettingsModal(false)}}} style={{...btnS,color:"var(--red)",borderColor:"rgba(239,68,68,0.3)",background:"rgba(239,68,68,0.06)",width:"100%",textAlign:"center"}}>
             🗑️ Clear All Data & Snapshots
           </button>
-          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>This permanently deletes all imported snapshots from storage.</p>
+          <p style={{fontSize:11,color:"var(--muted)",marginTop:6}}>This permanently deletes all imported snapshots of this workspace from storage.</p>
+          {activeWorkspace.id !== "default" && (
+            <button onClick={deleteWorkspace} style={{...btnS,color:"var(--red)",borderColor:"rgba(239,68,68,0.3)",background:"rgba(239,68,68,0.06)",width:"100%",textAlign:"center",marginTop:10}}>
+              🗑️ Delete Workspace "{activeWorkspace.name}"
+            </button>
+          )}
         </div>
         <button onClick={()=>setSettingsModal(false)} style={btnP}>Done</button>
       </Modal>
 
+      {/* ══ EXECUTIVE REPORT MODAL ══════════════════════════ */}
+      <Modal open={!!reportSource} onClose={()=>setReportSource(null)} title={`📄 Executive Report — ${reportSource === "range" ? "Date Range" : "Snapshot"}`} width={1180}>
+        {(() => {
+          const t = reportTemplate;
+          const set = (patch) => setReportTemplate({ ...t, ...patch });
+          const field = {width:"100%",padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit",marginBottom:8};
+          const lbl = {display:"block",fontSize:10,fontWeight:700,color:"var(--muted)",marginBottom:3,textTransform:"uppercase",letterSpacing:0.6};
+          const move = (k, d) => { const a = [...t.sections]; const i = a.indexOf(k); if (a[i+d]) { [a[i], a[i+d]] = [a[i+d], a[i]]; set({ sections: a }); } };
+          const order = [...t.sections, ...Object.keys(REPORT_SECTIONS).filter(k => !t.sections.includes(k))];
+          const name = exportName([activeWorkspace.name, "report", reportSource === "range" ? `${compareFrom}_${compareTo}` : `${activeSnapshot?.label}_${activeSnapshot?.date}`], "html");
+          return (
+            <div style={{display:"grid",gridTemplateColumns:"300px 1fr",gap:18}}>
+              <div>
+                <label style={lbl}>Template</label>
+                <select value={t.id} onChange={e=>setReportTemplate(reportTemplates.find(x=>x.id===e.target.value) || DEFAULT_REPORT_TEMPLATE)} style={{...field,cursor:"pointer"}}>
+                  {reportTemplates.map(x => <option key={x.id} value={x.id}>{x.name}</option>)}
+                </select>
+                <label style={lbl}>Template name</label>
+                <input value={t.name} onChange={e=>set({name:e.target.value})} style={field} />
+                <label style={lbl}>Title · subtitle <span style={{textTransform:"none",fontWeight:500}}>({"{site}"}, {"{period}"}, {"{date}"})</span></label>
+                <input value={t.title} onChange={e=>set({title:e.target.value})} style={field} />
+                <input value={t.subtitle} onChange={e=>set({subtitle:e.target.value})} style={field} />
+                <label style={lbl}>Intro</label>
+                <textarea value={t.intro} onChange={e=>set({intro:e.target.value})} placeholder="Optional note shown under the title" style={{...field,minHeight:54,resize:"vertical"}} />
+                <label style={lbl}>Sections</label>
+                <div style={{marginBottom:8}}>
+                  {order.map(k => {
+                    const on = t.sections.includes(k);
+                    return (
+                      <div key={k} style={{display:"flex",alignItems:"center",gap:6,fontSize:12,padding:"3px 0",opacity:on?1:0.55}}>
+                        <input type="checkbox" checked={on} onChange={()=>set({ sections: on ? t.sections.filter(x=>x!==k) : [...t.sections, k] })} />
+                        <span style={{flex:1}}>{REPORT_SECTIONS[k]}</span>
+                        {on && <><button onClick={()=>move(k,-1)} style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer"}}>↑</button><button onClick={()=>move(k,1)} style={{background:"none",border:"none",color:"var(--muted)",cursor:"pointer"}}>↓</button></>}
+                      </div>
+                    );
+                  })}
+                </div>
+                <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:8}}>
+                  <div><label style={lbl}>Rows per list</label><input type="number" min={1} max={100} value={t.topN} onChange={e=>set({topN:Math.max(1, Math.min(100, +e.target.value || 1))})} style={field} /></div>
+                  <div><label style={lbl}>Accent</label><input type="color" value={t.accent} onChange={e=>set({accent:e.target.value})} style={{...field,padding:2,height:33,cursor:"pointer"}} /></div>
+                </div>
+                <label style={lbl}>Footer</label>
+                <input value={t.footer} onChange={e=>set({footer:e.target.value})} style={field} />
+                <div style={{display:"flex",gap:8,marginTop:4}}>
+                  <button onClick={saveReportTemplate} style={{...btnS,flex:1,fontSize:12,padding:"7px 10px"}}>{t.id === "default" ? "Save as Template" : "Save Template"}</button>
+                  {t.id !== "default" && <button onClick={deleteReportTemplate} style={{...btnS,fontSize:12,padding:"7px 10px"}}>🗑️</button>}
+                </div>
+              </div>
+              <div>
+                {reportHTML ? (
+                  <>
+                    <iframe ref={reportFrameRef} title="Report preview" srcDoc={reportHTML} style={{width:"100%",height:"62vh",border:"1px solid var(--border)",borderRadius:10,background:"#fff"}} />
+                    <div style={{display:"flex",gap:10,justifyContent:"flex-end",marginTop:12}}>
+                      <button onClick={()=>downloadFile(name, reportHTML, "text/html;charset=utf-8")} style={btnS}>⬇ Download HTML</button>
+                      <button onClick={()=>reportFrameRef.current?.contentWindow?.print()} style={btnP}>🖨 Print / Save as PDF</button>
+                    </div>
+                  </>
+                ) : (
+                  <p style={{color:"var(--muted)",fontSize:13}}>{reportSource === "range" ? "No data in the selected date range." : "Open a snapshot first."}</p>
+                )}
+              </div>
+            </div>
+          );
+        })()}
+      </Modal>
+
+      {/* ══ GOOGLE ADS EDITOR MODAL ════════════════════════ */}
+      <Modal open={!!bulkModal} onClose={()=>setBulkModal(null)} title={bulkModal === "log" ? "📜 Google Ads Editor Change Files" : "Review Google Ads Editor Changes"} width={900}>
+        {bulkModal === "review" && bulkPlan && (() => {
+          const field = {padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit"};
+          const included = bulkPlan.rows.filter(r => !bulkExcluded.includes(r.id));
+          const th = {padding:"7px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"};
+          const td = {padding:"7px 10px",fontSize:12};
+          return (
+            <>
+              <div style={{display:"flex",gap:10,flexWrap:"wrap",alignItems:"flex-end",marginBottom:14}}>
+                <label style={{fontSize:11,color:"var(--muted)"}}>Budget change %<br/>
+                  <input type="number" value={bulkOptions.pct} onChange={e=>setBulkOptions({...bulkOptions,pct:+e.target.value||0})} style={{...field,width:80,marginTop:3}} />
+                </label>
+              </div>
+              <p style={{fontSize:11,color:"var(--muted)",marginBottom:10,lineHeight:1.6}}>
+                Budgets are daily budget values in INR, computed from this snapshot ({bulkPlan.days} days) — compare them with the live values in Editor before posting. Pauses and bids need ad group and ad names the cost import doesn't have, so make those in Editor. Untick a row to leave it out.
+              </p>
+              <div style={{maxHeight:"44vh",overflowY:"auto",border:"1px solid var(--border)",borderRadius:8}}>
+                <table style={{width:"100%",borderCollapse:"collapse"}}>
+                  <thead><tr style={{borderBottom:"1px solid var(--border)"}}><th style={th}></th><th style={th}>Change</th><th style={th}>Campaign</th><th style={th}>Target</th><th style={th}>Basis</th><th style={{...th,textAlign:"right"}}>New value</th></tr></thead>
+                  <tbody>
+                    {bulkPlan.rows.map(r => {
+                      const on = !bulkExcluded.includes(r.id);
+                      return (
+                        <tr key={r.id} style={{borderBottom:"1px solid var(--border)",opacity:on?1:0.45}}>
+                          <td style={td}><input type="checkbox" checked={on} onChange={()=>setBulkExcluded(x => on ? [...x, r.id] : x.filter(id => id !== r.id))} /></td>
+                          <td style={{...td,fontWeight:700,color:"var(--green)"}}>{bulkOptions.pct>=0?"▲":"▼"} Daily budget</td>
+                          <td style={td}>{r.campaign}</td>
+                          <td style={{...td,color:"var(--muted)",maxWidth:240,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}} title={r.slugs.map(x=>"/"+x).join("\n")}>{r.slugs.length} profitable URL{r.slugs.length!==1?"s":""}</td>
+                          <td style={{...td,color:"var(--muted)"}}>{r.basis}</td>
+                          <td style={{...td,textAlign:"right",fontFamily:"'JetBrains Mono',monospace",fontWeight:700}}>{fmtINR(r.value)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {!bulkPlan.rows.length && <p style={{padding:16,fontSize:12,color:"var(--muted)"}}>The selection produces no changes.</p>}
+              </div>
+              {bulkPlan.skipped.length > 0 && <p style={{fontSize:11,color:"var(--amber)",marginTop:8}} title={bulkPlan.skipped.join("\n")}>⚠ {bulkPlan.skipped.length} item{bulkPlan.skipped.length!==1?"s":""} skipped (hover for details)</p>}
+              <div style={{display:"flex",gap:10,justifyContent:"flex-end",marginTop:14}}>
+                <button onClick={()=>setBulkModal(null)} style={btnS}>Back</button>
+                <button onClick={generateBulkFile} disabled={!included.length} style={{...btnP,opacity:included.length?1:0.5}}>⬇ Generate Change File ({included.length})</button>
+              </div>
+            </>
+          );
+        })()}
+        {bulkModal === "log" && (
+          bulkLog.length === 0 ? (
+            <p style={{fontSize:13,color:"var(--muted)"}}>No change files yet. Tick profitable URLs in the Action Center and review the changes.</p>
+          ) : (
+            <table style={{width:"100%",borderCollapse:"collapse",fontSize:12}}>
+              <thead><tr style={{borderBottom:"1px solid var(--border)"}}>{["Generated","Snapshot","File","Budgets","Change"].map(h => <th key={h} style={{padding:"7px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"}}>{h}</th>)}</tr></thead>
+              <tbody>
+                {bulkLog.map(l => (
+                  <tr key={l.id} style={{borderBottom:"1px solid var(--border)"}}>
+                    <td style={{padding:"7px 10px"}}>{new Date(l.at).toLocaleString()}</td>
+                    <td style={{padding:"7px 10px"}}>{l.snapshotLabel}</td>
+                    <td style={{padding:"7px 10px",fontFamily:"'JetBrains Mono',monospace",fontSize:11,color:"var(--muted)"}}>{l.file}</td>
+                    <td style={{padding:"7px 10px"}}>{l.budgets}</td>
+                    <td style={{padding:"7px 10px"}}>{`${l.pct>0?"+":""}${l.pct}%`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )
+        )}
+      </Modal>
+
+      {/* ══ RESTORE MODAL ═══════════════════════════════════ */}
+      <Modal open={!!restore} onClose={()=>setRestore(null)} title="⬆ Restore Backup" width={560}>
+        {restore && (() => {
+          const b = restore.backup;
+          if (!b) return (
+            <>
+              <p style={{fontSize:13,color:"var(--red)",marginBottom:16}}>⚠ {restore.fileName}: {restore.error}</p>
+              <button onClick={()=>setRestore(null)} style={btnS}>Close</button>
+            </>
+          );
+          const known = new Set(storedSnapshots.map(s => s.id));
+          const dupes = b.snapshots.filter(s => known.has(s.id)).length;
+          const dates = b.snapshots.map(s => s.date).sort();
+          const row = (label, value) => <div style={{display:"flex",justifyContent:"space-between",padding:"5px 0",borderBottom:"1px solid var(--border)",fontSize:12}}><span style={{color:"var(--muted)"}}>{label}</span><span style={{fontWeight:700}}>{value}</span></div>;
+          const modes = {
+            merge: { label:"Merge", desc:`Adds ${b.snapshots.length - dupes} snapshot${b.snapshots.length - dupes!==1?"s":""}; ${dupes} with an id already stored are skipped. Current settings win, missing ones come from the backup.` },
+            replace: { label:"Replace", desc:`Deletes the ${storedSnapshots.length} stored snapshot${storedSnapshots.length!==1?"s":""} and uses the backup's ${b.snapshots.length}${b.settings ? " and its settings" : ""}.` },
+          };
+          return (
+            <>
+              <div style={{marginBottom:14}}>
+                {row("File", restore.fileName)}
+                {row("Exported", b.exportedAt ? new Date(b.exportedAt).toLocaleString() : "unknown (v3 snapshot list)")}
+                {b.workspace && row("Workspace", b.workspace.name)}
+                {row("Snapshots", `${b.snapshots.length}${dates.length ? ` · ${dates[0]} → ${dates[dates.length-1]}` : ""}`)}
+                {row("Settings", b.settings ? "included" : "not included")}
+                {row("Import profiles", b.importProfiles.length)}
+              </div>
+              {b.workspace && b.workspace.name !== activeWorkspace.name && <p style={{fontSize:11,color:"var(--amber)",marginBottom:10}}>⚠ This backup is from "{b.workspace.name}"; it will be restored into "{activeWorkspace.name}".</p>}
+              {Object.entries(modes).map(([k, m]) => (
+                <label key={k} style={{display:"flex",gap:8,alignItems:"flex-start",padding:"8px 10px",marginBottom:6,borderRadius:8,border:`1px solid ${restoreMode===k?"var(--accent)":"var(--border)"}`,cursor:"pointer",fontSize:12}}>
+                  <input type="radio" checked={restoreMode===k} onChange={()=>setRestoreMode(k)} style={{marginTop:2}} />
+                  <span><strong>{m.label}</strong><br/><span style={{color:"var(--muted)",fontSize:11}}>{m.desc}</span></span>
+                </label>
+              ))}
+              <p style={{fontSize:11,color:"var(--muted)",margin:"8px 0 14px"}}>Import profiles are merged in both modes because every workspace shares them.</p>
+              {restore.error && <p style={{fontSize:12,color:"var(--red)",marginBottom:10}}>⚠ {restore.error}</p>}
+              <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
+                <button onClick={()=>setRestore(null)} style={btnS}>Cancel</button>
+                <button onClick={()=>{ if (restoreMode !== "replace" || window.confirm(`Replace all ${storedSnapshots.length} snapshots of "${activeWorkspace.name}"? Download a backup first if unsure.`)) applyRestore(); }} style={{...btnP,...(restoreMode==="replace"?{background:"var(--red)"}:{})}}>{modes[restoreMode].label}</button>
+              </div>
+            </>
+          );
+        })()}
+      </Modal>
+
       {/* ══ DELETE CONFIRM ═══════════════════════════════════ */}
       {deleteConfirm && (
         <div onClick={()=>setDeleteConfirm(null)} style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.6)",backdropFilter:"blur(4px)",display:"flex",alignItems:"center",justifyContent:"center",zIndex:1100}}>
@@ -1354,40 +5232,215 @@ export default function AdProfitDashboard() {
             <p style={{margin:"0 0 16px",fontSize:14}}>Delete this snapshot? This cannot be undone.</p>
             <div style={{display:"flex",gap:10,justifyContent:"flex-end"}}>
               <button onClick={()=>setDeleteConfirm(null)} style={btnS}>Cancel</button>
-              <button onClick={()=>{saveSnapshots(snapshots.filter(s=>s.id!==deleteConfirm));setDeleteConfirm(null);if(selectedSnapshot===deleteConfirm)setSelectedSnapshot("latest")}} style={{...btnP,background:"#ef4444"}}>Delete</button>
+              <button onClick={()=>{saveSnapshots(storedSnapshots.filter(s=>s.id!==deleteConfirm));setDeleteConfirm(null);if(selectedSnapshot===deleteConfirm)setSelectedSnapshot("latest")}} style={{...btnP,background:"#ef4444"}}>Delete</button>
             </div>
           </div>
         </div>
       )}
 
-      {/* ══ EXPORT MODAL ════════════════════════════════════ */}
-      <Modal open={!!exportData} onClose={()=>setExportData(null)} title="Export Report" width={640}>
-        <p style={{fontSize:13,color:"var(--muted)",marginBottom:12}}>
-          {processedUrls.length} rows exported. Copy the CSV below or use the button to copy to clipboard, then paste into a spreadsheet or save as a .csv file.
-        </p>
-        <textarea
-          readOnly
-          value={exportData||""}
-          onClick={e=>e.target.select()}
-          style={{width:"100%",minHeight:250,padding:12,borderRadius:8,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:11,fontFamily:"'JetBrains Mono',monospace",resize:"vertical"}}
-        />
-        <div style={{display:"flex",gap:10,justifyContent:"flex-end",marginTop:14}}>
-          <button onClick={()=>setExportData(null)} style={btnS}>Close</button>
-          <button onClick={()=>{
-            if (navigator.clipboard && navigator.clipboard.writeText) {
-              navigator.clipboard.writeText(exportData||"").then(()=>alert("Copied to clipboard!")).catch(()=>{});
-            } else {
-              const ta = document.createElement("textarea");
-              ta.value = exportData||"";
-              document.body.appendChild(ta);
-              ta.select();
-              document.execCommand("copy");
-              document.body.removeChild(ta);
-              alert("Copied to clipboard!");
-            }
-          }} style={btnP}>📋 Copy to Clipboard</button>
-        </div>
+      {/* ══ SYNC STATUS MODAL ═══════════════════════════════ */}
+      <Modal open={syncOpen} onClose={()=>setSyncOpen(false)} title={`🗄️ Storage — ${STORAGE_BACKENDS[backend.type].label}`} width={620}>
+        {syncStores.map(({ name, data, sync, merge }) => {
+          const st = sync.status;
+          const color = st.state==="conflict"||st.state==="error" ? "var(--red)" : st.state==="saving" ? "var(--amber)" : "var(--muted)";
+          const theirs = st.remote ? JSON.parse(st.remote.value) : null;
+          const count = (v) => Array.isArray(v) ? `${v.length} item${v.length!==1?"s":""}` : v?.workspaces ? `${v.workspaces.length} workspaces` : "";
+          return (
+            <div key={name} style={{padding:"12px 0",borderBottom:"1px solid var(--border)"}}>
+              <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",fontSize:13}}>
+                <strong>{name}</strong>
+                <span style={{fontSize:11,fontWeight:700,color}}>
+                  {st.state === "saving" ? (st.retry ? `Retrying (${st.retry}/${SAVE_RETRIES.length})…` : "Saving…")
+                    : st.state === "saved" ? `Saved ${new Date(st.at).toLocaleTimeString()}`
+                    : st.state === "error" ? (st.op === "load" ? "Could not load" : "Save failed")
+                    : st.state === "conflict" ? "Changed elsewhere" : "Loaded"}
+                </span>
+              </div>
+              {st.error && <div style={{fontSize:11,color:"var(--muted)",marginTop:4}}>{st.error}</div>}
+              {st.state === "error" && st.op === "save" && <button onClick={sync.retry} style={{...btnS,fontSize:11,padding:"5px 12px",marginTop:8}}>↻ Retry now</button>}
+              {st.state === "conflict" && (
+                <div style={{marginTop:8}}>
+                  <div style={{fontSize:11,color:"var(--muted)",marginBottom:8}}>Yours: {count(data) || "edited"} · Stored: {theirs ? count(theirs) || "edited" : "deleted"}</div>
+                  <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+                    {merge && theirs && <button onClick={()=>sync.saveOnTheirs(merge(data, theirs))} style={{...btnP,fontSize:11,padding:"5px 12px"}}>⇄ Merge both</button>}
+                    <button onClick={sync.keepMine} style={{...btnS,fontSize:11,padding:"5px 12px"}}>Keep mine (overwrite)</button>
+                    <button onClick={sync.useTheirs} style={{...btnS,fontSize:11,padding:"5px 12px"}}>Use stored copy</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        <p style={{fontSize:11,color:"var(--muted)",marginTop:12}}>Failed saves retry {SAVE_RETRIES.length} times with backoff. A conflict means someone saved this data after you loaded it; nothing is overwritten until you choose.</p>
+      </Modal>
+
+      {/* ══ ALERTS MODAL ════════════════════════════════════ */}
+      <Modal open={alertsOpen} onClose={()=>setAlertsOpen(false)} title="🔔 Anomaly Alerts" width={720}>
+        {alertFeed.length === 0 ? (
+          <p style={{fontSize:13,color:"var(--muted)",textAlign:"center",padding:"20px 0"}}>No anomalies. Each import is checked against the previous snapshot of the same period type.</p>
+        ) : alertFeed.map(s => (
+          <div key={s.id} style={{marginBottom:18}}>
+            <div style={{display:"flex",justifyContent:"space-between",alignItems:"baseline",marginBottom:8}}>
+              <h4 style={{fontSize:13,fontWeight:800,margin:0}}>{s.label} <span style={{fontSize:11,color:"var(--muted)",fontWeight:500}}>vs {s.alertBase.label} ({s.alertBase.date})</span></h4>
+              <span style={{fontSize:11,color:"var(--muted)"}}>{s.alerts.length} alert{s.alerts.length!==1?"s":""}</span>
+            </div>
+            {[...s.alerts].sort((a,b) => (ANOMALY_TYPES[a.type].severity==="high"?0:1) - (ANOMALY_TYPES[b.type].severity==="high"?0:1)).map((a,i) => {
+              const t = ANOMALY_TYPES[a.type];
+              return (
+                <div key={i} className="rhover" onClick={()=>{setSelectedSnapshot(s.id);setDetailSlug(a.slug);setView("analysis");setAlertsOpen(false)}}
+                  style={{display:"flex",alignItems:"center",gap:10,padding:"8px 10px",borderRadius:8,cursor:"pointer",borderLeft:`3px solid ${t.severity==="high"?"var(--red)":"var(--amber)"}`,marginBottom:4,background:"var(--card2)"}}>
+                  <span style={{fontSize:14}}>{t.icon}</span>
+                  <span style={{fontSize:12,fontWeight:700,width:140}}>{t.label}</span>
+                  <span style={{fontSize:12,flex:1,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{a.slug}</span>
+                  <span style={{fontSize:11,fontFamily:"'JetBrains Mono',monospace",color:"var(--muted)"}}>{describeAnomaly(a, statusConfig)}</span>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </Modal>
+
+      {/* ══ SNAPSHOT DIFF MODAL ═════════════════════════════ */}
+      <Modal open={!!diffPair} onClose={()=>setDiffPair(null)} title="🔀 Snapshot Diff" width={980}>
+        {!diff && <p style={{color:urlsError?"var(--red)":"var(--muted)",fontSize:13}}>{urlsError ? `⚠ ${urlsError}` : "⏳ Loading both snapshots…"}</p>}
+        {diff && (() => {
+          const csv = (what, headers, rows) => downloadCSV(exportName([activeWorkspace.name, "diff", diff.a.label, diff.b.label, what], "csv"), headers, rows);
+          const csvBtn = (onClick) => <button onClick={onClick} style={{padding:"4px 10px",borderRadius:6,border:"1px solid var(--border)",background:"var(--card2)",color:"var(--muted)",cursor:"pointer",fontSize:11,fontWeight:700}}>↓ CSV</button>;
+          const h4 = {fontSize:13,fontWeight:800,margin:0};
+          const sel = {padding:"7px 10px",borderRadius:7,border:"1px solid var(--border)",background:"var(--bg)",color:"var(--text)",fontSize:12,fontFamily:"inherit",cursor:"pointer",flex:1};
+          const th = {padding:"7px 10px",textAlign:"left",fontSize:10,fontWeight:700,color:"var(--muted)",textTransform:"uppercase"};
+          const td = {padding:"7px 10px",fontFamily:"'JetBrains Mono',monospace",fontSize:12};
+          const sign = (v, f) => `${v>0?"+":""}${f(v)}`;
+          const statuses = [...Object.keys(statusConfig), NO_ADS];
+          const statusName = (k) => k === NO_ADS ? "No ads" : statusConfig[k]?.label || k;
+          const rank = (k) => k === NO_ADS ? -1 : (STATUS_RANK[k] ?? 1.5);
+          const cellSlugs = diffCell ? diff.transitions[diffCell] || [] : [];
+          const moverFmt = diffMetric === "roi" ? (v => v.toFixed(1)+" pts") : fmt;
+          const ranked = diff.movers.filter(m => m[diffMetric] !== null && Math.abs(m[diffMetric]) > 0.005).sort((x,y) => y[diffMetric] - x[diffMetric]);
+          const gainers = ranked.slice(0, 15).filter(m => m[diffMetric] > 0), losers = ranked.slice(-15).reverse().filter(m => m[diffMetric] < 0);
+          const urlCell = (slug) => <td style={{padding:"6px 10px",fontWeight:600,fontSize:12,maxWidth:240,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>/{slug}</td>;
+          return (
+            <div>
+              <div style={{display:"flex",gap:8,alignItems:"center",marginBottom:18}}>
+                <select value={diffPair.a} onChange={e=>{setDiffCell(null);setDiffPair({...diffPair,a:e.target.value})}} style={sel}>
+                  {snapshots.map(s => <option key={s.id} value={s.id}>A: {s.label} ({s.date})</option>)}
+                </select>
+                <button onClick={()=>{setDiffCell(null);setDiffPair({a:diffPair.b,b:diffPair.a})}} title="Swap" style={{...btnS,padding:"6px 12px"}}>⇄</button>
+                <select value={diffPair.b} onChange={e=>{setDiffCell(null);setDiffPair({...diffPair,b:e.target.value})}} style={sel}>
+                  {snapshots.map(s => <option key={s.id} value={s.id}>B: {s.label} ({s.date})</option>)}
+                </select>
+              </div>
+              {diff.a.period !== diff.b.period && <div style={{fontSize:11,color:"var(--amber)",marginBottom:12}}>⚠️ Comparing a {PERIOD_LABELS[diff.a.period]} snapshot with a {PERIOD_LABELS[diff.b.period]} one — totals are not like-for-like.</div>}
+
+              {/* Portfolio totals */}
+              <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+                <h4 style={h4}>Portfolio Totals</h4>
+                {csvBtn(()=>csv("totals", ["Metric","A","B","Change","Change %"], diff.totals.map(t => [TOTAL_FIELDS[t.key].label, t.a.toFixed(2), t.b.toFixed(2), t.delta.toFixed(2), t.a ? (t.delta/Math.abs(t.a)*100).toFixed(1) : ""])))}
+              </div>
+              <table style={{width:"100%",borderCollapse:"collapse",marginBottom:22}}>
+                <thead><tr style={{borderBottom:"1px solid var(--border)"}}>{["Metric",diff.a.label,diff.b.label,"Change","%"].map(h=><th key={h} style={th}>{h}</th>)}</tr></thead>
+                <tbody>{diff.totals.map(t => {
+                  const f = TOTAL_FIELDS[t.key].f;
+                  const good = t.key.startsWith("gaSpend") ? t.delta < 0 : t.delta > 0;
+                  return (
+                    <tr key={t.key} style={{borderBottom:"1px solid var(--border)"}}>
+                      <td style={{...td,fontFamily:"inherit",fontWeight:600}}>{TOTAL_FIELDS[t.key].label}</td>
+                      <td style={{...td,color:"var(--muted)"}}>{f(t.a)}</td>
+                      <td style={td}>{f(t.b)}</td>
+                      <td style={{...td,fontWeight:700,color:Math.abs(t.delta)<0.005?"var(--muted)":good?"var(--green)":"var(--red)"}}>{sign(t.delta, f)}</td>
+                      <td style={{...td,color:"var(--muted)"}}>{t.a ? pctStr(t.delta/Math.abs(t.a)*100) : "—"}</td>
+                    </tr>
+                  );
+                })}</tbody>
+              </table>
+
+              {/* Status transitions */}
+              <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+                <h4 style={h4}>Status Transitions <span style={{fontSize:11,color:"var(--muted)",fontWeight:500}}>rows: A · columns: B · click a cell for its URLs</span></h4>
+                {csvBtn(()=>csv("status-changes", ["Slug","Status A","Status B"], Object.entries(diff.transitions).flatMap(([k,slugs]) => { const [from,to] = k.split(">"); return slugs.map(sl => ["/"+sl, statusName(from), statusName(to)]); })))}
+              </div>
+              <table style={{borderCollapse:"collapse",marginBottom:10}}>
+                <thead><tr><th style={th}>A ↓ / B →</th>{statuses.map(k => <th key={k} style={{...th,color:statusConfig[k]?.color||"var(--muted)"}}>{statusName(k)}</th>)}</tr></thead>
+                <tbody>{statuses.map(from => (
+                  <tr key={from}>
+                    <td style={{...th,color:statusConfig[from]?.color||"var(--muted)"}}>{statusName(from)}</td>
+                    {statuses.map(to => {
+                      const key = `${from}>${to}`, n = diff.transitions[key]?.length || 0;
+                      const tint = from === to ? "var(--card2)" : rank(to) > rank(from) ? "rgba(248,113,113,0.14)" : "rgba(52,211,153,0.14)";
+                      return (
+                        <td key={to} onClick={()=>n && setDiffCell(diffCell===key?null:key)} style={{...td,textAlign:"center",minWidth:70,background:n?tint:"transparent",border:diffCell===key?"1px solid var(--accent)":"1px solid var(--border)",cursor:n?"pointer":"default",fontWeight:n?800:400,color:n?"var(--text)":"var(--muted)"}}>{n||"·"}</td>
+                      );
+                    })}
+                  </tr>
+                ))}</tbody>
+              </table>
+              {diffCell && <div style={{fontSize:11,color:"var(--muted)",marginBottom:10,lineHeight:1.7}}>
+                <strong style={{color:"var(--text)"}}>{cellSlugs.length} URL{cellSlugs.length!==1?"s":""} went {diffCell.split(">").map(statusName).join(" → ")}:</strong> {cellSlugs.map(sl => <span key={sl} onClick={()=>{setSelectedSnapshot(diff.b.id);setDetailSlug(sl);setView("analysis");setDiffPair(null)}} style={{cursor:"pointer",color:"var(--accent)",marginRight:8}}>/{sl}</span>)}
+              </div>}
+
+              {/* Added / removed */}
+              <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:14,margin:"14px 0 22px"}}>
+                {[["➕ Added in B", diff.added, "var(--green)"], ["➖ Removed in B", diff.removed, "var(--red)"]].map(([title, urls, color]) => (
+                  <div key={title}>
+                    <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:6}}>
+                      <h4 style={{...h4,color}}>{title} <span style={{fontSize:11,color:"var(--muted)",fontWeight:500}}>{urls.length}</span></h4>
+                      {csvBtn(()=>csv(urls === diff.added ? "added" : "removed", ["Slug","Revenue (USD)","Ad Spend (USD)","Profit (USD)","Status"], urls.map(u => ["/"+u.slug, u.mv.revenue.toFixed(2), u.ga.costUSD.toFixed(2), u.profit.toFixed(2), u.hasAds ? u.status : ""])))}
+                    </div>
+                    <div style={{maxHeight:200,overflowY:"auto"}}>
+                      <table style={{width:"100%",borderCollapse:"collapse"}}><tbody>
+                        {[...urls].sort((x,y) => Math.abs(y.profit) - Math.abs(x.profit)).slice(0,50).map(u => (
+                          <tr key={u.slug} style={{borderBottom:"1px solid var(--border)"}}>{urlCell(u.slug)}<td style={{...td,textAlign:"right",color:u.profit>=0?"var(--green)":"var(--red)"}}>{fmt(u.profit)}</td></tr>
+                        ))}
+                      </tbody></table>
+                      {!urls.length && <p style={{fontSize:12,color:"var(--muted)"}}>None</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Top movers */}
+              <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:8}}>
+                <div style={{display:"flex",alignItems:"center",gap:10}}>
+                  <h4 style={h4}>Top Movers</h4>
+                  <div style={{display:"flex",gap:4}}>
+                    {Object.entries(MOVER_METRICS).map(([k,l]) => <button key={k} onClick={()=>setDiffMetric(k)} style={{padding:"4px 10px",borderRadius:6,border:"1px solid var(--border)",background:diffMetric===k?"var(--accent)":"var(--card2)",color:diffMetric===k?"#fff":"var(--muted)",cursor:"pointer",fontSize:11,fontWeight:700}}>{l}</button>)}
+                  </div>
+                </div>
+                {csvBtn(()=>csv(`movers-${diffMetric}`, ["Slug","Profit A","Profit B","Profit Change","Spend A","Spend B","Spend Change","ROI A","ROI B","ROI Change (pts)","Status A","Status B"], ranked.map(m => [
+                  "/"+m.slug, m.from.profit.toFixed(2), m.to.profit.toFixed(2), m.profit.toFixed(2), m.from.ga.costUSD.toFixed(2), m.to.ga.costUSD.toFixed(2), m.spend.toFixed(2),
+                  m.from.roi.toFixed(1), m.to.roi.toFixed(1), m.roi === null ? "" : m.roi.toFixed(1), m.from.status, m.to.status,
+                ])))}
+              </div>
+              <div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:14}}>
+                {[["▲ Biggest increases", gainers], ["▼ Biggest decreases", losers]].map(([title, list]) => (
+                  <div key={title}>
+                    <div style={{fontSize:11,fontWeight:700,color:"var(--muted)",marginBottom:6}}>{title}</div>
+                    <table style={{width:"100%",borderCollapse:"collapse"}}><tbody>
+                      {list.map(m => (
+                        <tr key={m.slug} className="rhover" onClick={()=>{setSelectedSnapshot(diff.b.id);setDetailSlug(m.slug);setView("analysis");setDiffPair(null)}} style={{borderBottom:"1px solid var(--border)",cursor:"pointer"}}>
+                          {urlCell(m.slug)}
+                          <td style={{...td,textAlign:"right",fontWeight:700,color:(diffMetric==="spend" ? m.spend<0 : m[diffMetric]>0) ? "var(--green)" : "var(--red)"}}>{sign(m[diffMetric], moverFmt)}</td>
+                        </tr>
+                      ))}
+                    </tbody></table>
+                    {!list.length && <p style={{fontSize:12,color:"var(--muted)"}}>None</p>}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })()}
       </Modal>
+
+      {/* ══ IMPORT REPORT MODAL ═════════════════════════════ */}
+      {(() => {
+        const s = snapshots.find(x => x.id === reportSnapshotId);
+        return (
+          <Modal open={!!s} onClose={()=>setReportSnapshotId(null)} title={`Import Report — ${s?.label||""}`} width={760}>
+            {s && <ImportReport report={s.report} rate={snapshotRate(s) || importRate.rate} onOpenSlug={slug=>{setSelectedSnapshot(s.id);setDetailSlug(slug);setView("analysis");setReportSnapshotId(null)}} onAddAlias={(from,to)=>aliasInSnapshot(s.id,from,to)} />}
+          </Modal>
+        );
+      })()}
     </div>
   );
 }